@@ -6,24 +6,46 @@
 class TodoApp {
     constructor() {
         this.storage = new TodoStorage();
-        this.ui = new TodoUI(this.storage);
+        this.ui = null;
         this.installPrompt = null;
+        this.reminderTimer = null;
+        this.syncTimer = null;
+
+        // Whether periodic background cleanup is registered (null until checked)
+        this.cleanupSyncEnabled = null;
         
-        this.init();
+        this.ready = this.init();
     }
 
     /**
      * Initialize the application
      */
-    init() {
+    async init() {
         console.log('Todo PWA: Initializing application...');
+
+        // Wait for stored data to load before the first render
+        await this.storage.ready;
+
+        this.ui = new TodoUI(this.storage);
+
+        // Make UI globally accessible for inline event handlers
+        window.todoUI = this.ui;
         
         // Register service worker
         this.registerServiceWorker();
         
+        // Setup due-date reminders
+        this.setupReminders();
+        
+        // Setup server sync
+        this.setupSync();
+        
         // Setup PWA install functionality
         this.setupPWAInstall();
         
+        // Setup the import/export menu
+        this.setupDataMenu();
+        
         // Setup keyboard shortcuts
         this.setupKeyboardShortcuts();
         
@@ -77,6 +99,362 @@ class TodoApp {
         }
     }
 
+    /**
+     * Setup due-date reminders: the toggle, and delivery while the app is open
+     */
+    setupReminders() {
+        const toggle = document.getElementById('remindersToggle');
+        toggle.addEventListener('click', () => this.toggleReminders());
+
+        // Todos changing (here or in another tab) can move the next reminder
+        window.addEventListener('todo-storage-change', () => this.scheduleReminders());
+
+        // The service worker asks an open window to show a clicked reminder's todo
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'OPEN_TODO') {
+                    this.ui.openDetail(event.data.todoId);
+                }
+            });
+        }
+
+        this.updateRemindersToggle();
+        this.deliverReminders();
+        this.scheduleReminders();
+    }
+
+    /**
+     * Whether reminders are switched on and allowed by the browser
+     */
+    remindersEnabled() {
+        return Boolean(this.storage.getSettings().notifications) &&
+            'Notification' in window &&
+            Notification.permission === 'granted';
+    }
+
+    /**
+     * Turn reminders on (asking for notification permission) or off
+     */
+    async toggleReminders() {
+        const settings = this.storage.getSettings();
+
+        if (this.remindersEnabled()) {
+            this.storage.saveSettings({ ...settings, notifications: false });
+            clearTimeout(this.reminderTimer);
+            this.unregisterReminderSync();
+            this.updateRemindersToggle();
+            this.ui.showNotification('Reminders turned off', 'info');
+            return;
+        }
+
+        if (!('Notification' in window)) {
+            this.ui.showNotification('This browser does not support notifications', 'error');
+            return;
+        }
+
+        const permission = await Notification.requestPermission();
+
+        if (permission !== 'granted') {
+            this.updateRemindersToggle();
+            this.ui.showNotification('Notifications are blocked. Allow them in your browser settings to get reminders.', 'error', 6000);
+            return;
+        }
+
+        // Only remind about what falls due from now on
+        await this.storage.setReminderCheckpoint(Date.now());
+        this.storage.saveSettings({ ...settings, notifications: true });
+        this.registerReminderSync();
+        this.scheduleReminders();
+        this.updateRemindersToggle();
+        this.ui.showNotification('Reminders turned on', 'success');
+    }
+
+    /**
+     * Ask the browser to wake the service worker periodically to deliver reminders
+     */
+    async registerReminderSync() {
+        try {
+            const registration = await navigator.serviceWorker.ready;
+
+            if ('periodicSync' in registration) {
+                await registration.periodicSync.register(TodoReminders.SYNC_TAG, {
+                    minInterval: 15 * 60 * 1000
+                });
+            }
+        } catch (error) {
+            // Without periodic sync, reminders are delivered while the app is open
+            console.log('Todo PWA: Periodic sync for reminders unavailable:', error);
+        }
+    }
+
+    async unregisterReminderSync() {
+        try {
+            const registration = await navigator.serviceWorker.ready;
+
+            if ('periodicSync' in registration) {
+                await registration.periodicSync.unregister(TodoReminders.SYNC_TAG);
+            }
+        } catch (error) {
+            console.log('Todo PWA: Could not unregister reminder sync:', error);
+        }
+    }
+
+    /**
+     * Wake up for the next reminder while the app is open.
+     * Capped at an hour so timers don't drift across sleep or long waits.
+     */
+    scheduleReminders() {
+        clearTimeout(this.reminderTimer);
+        this.reminderTimer = null;
+
+        if (!this.remindersEnabled()) return;
+
+        const next = TodoReminders.nextTime(this.storage.getTodos());
+        if (next === null) return;
+
+        const delay = Math.min(Math.max(next - Date.now(), 0), TodoApp.MAX_REMINDER_WAIT);
+        this.reminderTimer = setTimeout(() => {
+            this.deliverReminders();
+            this.scheduleReminders();
+        }, delay);
+    }
+
+    /**
+     * Show reminders that have fallen due. The service worker delivers them when it
+     * controls the page, since it shares the IndexedDB checkpoint with periodic sync.
+     */
+    async deliverReminders() {
+        if (!this.remindersEnabled()) return;
+
+        const controller = 'serviceWorker' in navigator && navigator.serviceWorker.controller;
+
+        if (controller && this.storage.backend === 'indexeddb') {
+            controller.postMessage({ type: 'CHECK_REMINDERS' });
+            return;
+        }
+
+        try {
+            const now = Date.now();
+            const since = (await this.storage.getReminderCheckpoint()) || now;
+
+            TodoReminders.collectDue(this.storage.getTodos(), since, now).forEach(reminder => {
+                // Action buttons only work on notifications shown by the service worker
+                const { title, options: { actions, ...options } } = TodoReminders.getNotification(reminder);
+                const notification = new Notification(title, options);
+
+                notification.onclick = () => {
+                    window.focus();
+                    this.ui.openDetail(reminder.todoId);
+                    notification.close();
+                };
+            });
+
+            await this.storage.setReminderCheckpoint(now);
+
+        } catch (error) {
+            console.error('Todo PWA: Failed to show reminders:', error);
+        }
+    }
+
+    /**
+     * Reflect the reminder state on the header toggle
+     */
+    updateRemindersToggle() {
+        const toggle = document.getElementById('remindersToggle');
+        const enabled = this.remindersEnabled();
+        const blocked = 'Notification' in window && Notification.permission === 'denied';
+
+        toggle.textContent = enabled ? '🔔 Reminders on' : blocked ? '🔕 Reminders blocked' : '🔕 Reminders off';
+        toggle.setAttribute('aria-pressed', String(enabled));
+        toggle.title = blocked
+            ? 'Notifications are blocked in your browser settings'
+            : 'Get notified when todos fall due';
+    }
+
+    /**
+     * Setup server sync: the toggle, the status line and what triggers a replay
+     */
+    setupSync() {
+        document.getElementById('syncToggle').addEventListener('click', () => this.configureSync());
+
+        window.addEventListener('todo-storage-change', (event) => {
+            // The server merges what we send, so pushing local edits needs no pull first
+            if (event.detail.type === 'outbox_updated') {
+                this.requestSync(false, { pull: false });
+            }
+        });
+
+        // Connectivity is back: retry now rather than waiting out the backoff
+        window.addEventListener('online', () => this.requestSync(true));
+        window.addEventListener('offline', () => this.refreshSyncStatus());
+
+        // The service worker reports on replays it ran from Background Sync
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'SYNC_STATUS') {
+                    this.handleSyncStatus(event.data.status);
+                }
+            });
+        }
+
+        this.refreshSyncStatus();
+        this.requestSync();
+    }
+
+    /**
+     * Ask for the sync endpoint ('' turns sync off)
+     */
+    async configureSync() {
+        if (this.storage.backend !== 'indexeddb') {
+            this.ui.showNotification('Server sync needs IndexedDB, which is not available in this browser', 'error');
+            return;
+        }
+
+        const endpoint = this.ui.showPromptDialog(
+            'Server sync',
+            'REST endpoint to sync with, e.g. http://localhost:8787/api. Leave empty to turn sync off.',
+            this.storage.getSettings().syncEndpoint
+        );
+
+        if (endpoint === null) return;
+
+        if (await this.storage.setSyncEndpoint(endpoint.trim())) {
+            this.ui.showNotification(endpoint.trim() ? 'Sync turned on' : 'Sync turned off', 'success');
+        } else {
+            this.ui.showNotification('Please enter an http:// or https:// URL', 'error');
+        }
+
+        this.refreshSyncStatus();
+    }
+
+    /**
+     * Replay the outbox. Background Sync is preferred since the browser keeps retrying
+     * after the tab is closed; otherwise (or when forced) the page replays it itself.
+     * Unless `pull` is false, what other devices synced is merged in first.
+     */
+    async requestSync(force = false, { pull = true } = {}) {
+        clearTimeout(this.syncTimer);
+        this.syncTimer = null;
+
+        if (!this.storage.isSyncEnabled()) {
+            this.refreshSyncStatus();
+            return;
+        }
+
+        try {
+            if (pull) await this.pullFromServer();
+        } catch (error) {
+            console.error('Todo PWA: Could not merge server data:', error);
+            await this.showSyncError(error);
+            return;
+        }
+
+        try {
+            if (!force && 'serviceWorker' in navigator && navigator.serviceWorker.controller) {
+                const registration = await navigator.serviceWorker.ready;
+
+                if ('sync' in registration) {
+                    await registration.sync.register(TodoSync.SYNC_TAG);
+                    return;
+                }
+            }
+        } catch (error) {
+            console.log('Todo PWA: Background sync unavailable, syncing from the page:', error);
+        }
+
+        try {
+            this.showSyncStatus({ ...(await this.storage.sync.getStatus()), state: 'syncing' });
+
+            const status = await this.storage.sync.replay(this.storage.getSettings().syncEndpoint, { force });
+            this.handleSyncStatus(status);
+
+        } catch (error) {
+            console.error('Todo PWA: Sync failed:', error);
+            await this.showSyncError(error);
+        }
+    }
+
+    /**
+     * Show a sync that failed on this side (not a rejection by the server)
+     */
+    async showSyncError(error) {
+        try {
+            const status = await this.storage.sync.getStatus();
+            this.showSyncStatus({ ...status, state: 'error', failed: true, lastError: error.message || String(error) });
+        } catch (statusError) {
+            console.error('Todo PWA: Could not read sync status:', statusError);
+        }
+    }
+
+    /**
+     * Merge the server's data into local data
+     */
+    async pullFromServer() {
+        const changed = await this.storage.pullFromServer();
+
+        if (changed) {
+            console.log(`Todo PWA: Merged ${changed} change(s) from the server`);
+        }
+    }
+
+    /**
+     * Show a replay result and come back when the next retry is due
+     */
+    handleSyncStatus(status) {
+        this.showSyncStatus(status);
+
+        clearTimeout(this.syncTimer);
+        this.syncTimer = null;
+
+        if (status.nextRetryAt && this.storage.isSyncEnabled()) {
+            this.syncTimer = setTimeout(() => this.requestSync(), Math.max(status.nextRetryAt - Date.now(), 0));
+        }
+    }
+
+    async refreshSyncStatus() {
+        try {
+            this.showSyncStatus(this.storage.sync ? await this.storage.sync.getStatus() : TodoSync.IDLE_STATUS);
+        } catch (error) {
+            console.error('Todo PWA: Could not read sync status:', error);
+        }
+    }
+
+    /**
+     * Reflect the sync state on the header toggle and status line
+     */
+    showSyncStatus(status) {
+        const toggle = document.getElementById('syncToggle');
+        const line = document.getElementById('syncStatus');
+        const enabled = this.storage.isSyncEnabled();
+
+        toggle.textContent = enabled ? '☁️ Sync on' : '☁️ Sync off';
+        toggle.setAttribute('aria-pressed', String(enabled));
+        line.hidden = !enabled;
+
+        if (!enabled) return;
+
+        const time = timestamp => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const changes = `${status.pending} change${status.pending !== 1 ? 's' : ''}`;
+        const offline = status.state === 'offline' || (status.pending > 0 && !navigator.onLine);
+
+        if (status.state === 'syncing') {
+            line.textContent = `⟳ Syncing ${changes}…`;
+        } else if (offline) {
+            line.textContent = `⏸ Offline · ${changes} waiting`;
+        } else if (status.state === 'retrying') {
+            line.textContent = `⚠️ Sync failed · retrying at ${time(status.nextRetryAt)}`;
+        } else if (status.state === 'error') {
+            line.textContent = status.failed ? '⚠️ Sync failed' : '⚠️ The server rejected some changes';
+        } else if (status.pending > 0) {
+            line.textContent = `⏳ ${changes} waiting to sync`;
+        } else {
+            line.textContent = status.lastSyncedAt ? `✓ Synced at ${time(status.lastSyncedAt)}` : '✓ Synced';
+        }
+
+        line.dataset.state = offline ? 'offline' : status.state;
+        line.title = status.lastError || '';
+    }
+
     /**
      * Setup PWA installation functionality
      */
@@ -183,10 +561,18 @@ class TodoApp {
             this.ui.focusAddInput();
         }
         
-        // Handle filter parameter
+        // Handle filter parameter: a built-in filter, or else a saved view by ID or name
         const filter = urlParams.get('filter');
         if (filter) {
-            this.ui.setFilter(filter);
+            if (TodoUI.FILTERS.includes(filter) || !this.ui.applySavedView(filter)) {
+                this.ui.setFilter(filter);
+            }
+        }
+        
+        // Handle todo parameter (opened from a reminder)
+        const todoId = urlParams.get('todo');
+        if (todoId) {
+            this.ui.openDetail(todoId);
         }
         
         // Clean URL after handling parameters
@@ -197,46 +583,72 @@ class TodoApp {
     }
 
     /**
-     * Setup periodic cleanup of old completed todos
+     * Setup cleanup: purge expired trash, clean up completed todos once a day while the
+     * app is used, and let the service worker do it in the background while cleanup is on
      */
-    setupPeriodicCleanup() {
-        // Run cleanup weekly (7 days)
-        const lastCleanup = localStorage.getItem('todo-pwa-last-cleanup');
-        const now = Date.now();
-        const weekInMs = 7 * 24 * 60 * 60 * 1000;
-        
-        if (!lastCleanup || now - parseInt(lastCleanup) > weekInMs) {
+    async setupPeriodicCleanup() {
+        // Purge trash past its retention period
+        this.storage.purgeTrash();
+
+        // Cleanup settings can change here or in another tab
+        window.addEventListener('todo-storage-change', (event) => {
+            const { type, data } = event.detail;
+
+            if (type === 'changes' && data.changes.some(change => change.collection === 'settings')) {
+                this.updateCleanupSync();
+            }
+        });
+        this.updateCleanupSync();
+
+        const lastCleanup = await this.storage.getLastCleanup();
+
+        if (!lastCleanup || Date.now() - lastCleanup >= TodoCleanup.INTERVAL) {
             this.cleanupOldTodos();
-            localStorage.setItem('todo-pwa-last-cleanup', now.toString());
         }
     }
 
     /**
-     * Clean up completed todos older than 30 days
+     * Move completed todos to the trash or archive as the cleanup settings say (see TodoCleanup)
      */
-    cleanupOldTodos() {
+    async cleanupOldTodos() {
         try {
-            const todos = this.storage.getTodos();
-            const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
-            
-            const todosToKeep = todos.filter(todo => {
-                if (!todo.completed) return true;
-                
-                const completedDate = new Date(todo.completedAt || todo.createdAt).getTime();
-                return completedDate > thirtyDaysAgo;
-            });
-            
-            if (todosToKeep.length < todos.length) {
-                this.storage.saveTodos(todosToKeep);
-                console.log(`Todo PWA: Cleaned up ${todos.length - todosToKeep.length} old completed todos`);
-                this.ui.render();
+            const result = this.storage.cleanupTodos();
+            await this.storage.setLastCleanup(Date.now());
+
+            if (result) {
+                this.ui.reportCleanup(result);
             }
-            
         } catch (error) {
             console.error('Todo PWA: Cleanup failed:', error);
         }
     }
 
+    /**
+     * Ask the browser to wake the service worker daily for cleanup while it is on
+     */
+    async updateCleanupSync() {
+        const enabled = TodoCleanup.isEnabled(this.storage.getSettings());
+        if (enabled === this.cleanupSyncEnabled || !('serviceWorker' in navigator)) return;
+
+        this.cleanupSyncEnabled = enabled;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!('periodicSync' in registration)) return;
+
+            if (enabled) {
+                await registration.periodicSync.register(TodoCleanup.SYNC_TAG, {
+                    minInterval: TodoCleanup.INTERVAL
+                });
+            } else {
+                await registration.periodicSync.unregister(TodoCleanup.SYNC_TAG);
+            }
+        } catch (error) {
+            // Without periodic sync, cleanup runs when the app is opened
+            console.log('Todo PWA: Periodic sync for cleanup unavailable:', error);
+        }
+    }
+
     /**
      * Show update available notification
      */
@@ -295,75 +707,271 @@ class TodoApp {
     }
 
     /**
-     * Export todos data
+     * Setup the import/export menu
      */
-    exportTodos() {
+    setupDataMenu() {
+        const menu = document.getElementById('dataMenu');
+        const fileInput = document.getElementById('importFile');
+
+        menu.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-export], [data-import]');
+            if (!button) return;
+
+            menu.open = false;
+
+            if (button.dataset.import !== undefined) {
+                fileInput.click();
+            } else if (button.dataset.copy !== undefined) {
+                this.copyTodos(button.dataset.export, document.getElementById('exportScope').value);
+            } else {
+                this.exportTodos(button.dataset.export, document.getElementById('exportScope').value);
+            }
+        });
+
+        fileInput.addEventListener('change', async () => {
+            const [file] = fileInput.files;
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                const count = await this.importTodos(file);
+
+                if (count !== null) {
+                    this.ui.showNotification(`Imported ${count} todo${count !== 1 ? 's' : ''}`, 'success', 5000, this.ui.getUndoAction());
+                }
+            } catch (error) {
+                console.error('Todo PWA: Import failed:', error);
+                this.ui.showNotification(`Import failed: ${error.message}`, 'error', 5000);
+            }
+        });
+    }
+
+    /**
+     * Todos to export: 'view' is what the open view shows (filters and search included),
+     * 'all' is every todo
+     */
+    getExportTodos(scope = 'all') {
+        if (scope !== 'view') return this.storage.getTodos();
+
+        switch (this.ui.currentView) {
+            case 'trash':
+                return this.storage.getTrash();
+            case 'archive':
+                return this.storage.searchArchive(this.ui.searchQuery, this.ui.currentList);
+            default:
+                return this.ui.getFilteredTodos();
+        }
+    }
+
+    /**
+     * Export todos as 'json', 'csv' or 'markdown'. A JSON export of everything also
+     * carries the lists, trash, archive and tombstones, so it can restore a device.
+     */
+    exportTodos(format = 'json', scope = 'all') {
         try {
-            const todos = this.storage.getTodos();
-            const dataStr = JSON.stringify(todos, null, 2);
-            const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
-            
-            const exportFileDefaultName = `todos-${new Date().toISOString().split('T')[0]}.json`;
-            
-            const linkElement = document.createElement('a');
-            linkElement.setAttribute('href', dataUri);
-            linkElement.setAttribute('download', exportFileDefaultName);
-            linkElement.click();
+            const todos = this.getExportTodos(scope);
+            const lists = this.storage.getLists();
+            const day = new Date().toISOString().split('T')[0];
+
+            switch (format) {
+                case 'csv':
+                    this.downloadFile(TodoFormats.toCSV(todos, lists), `todos-${day}.csv`, 'text/csv');
+                    break;
+                case 'markdown':
+                    this.downloadFile(TodoFormats.toMarkdown(todos, lists), `todos-${day}.md`, 'text/markdown');
+                    break;
+                default: {
+                    const data = {
+                        version: this.storage.version,
+                        exportedAt: new Date().toISOString(),
+                        deviceId: this.storage.deviceId,
+                        lists,
+                        todos
+                    };
+
+                    // Trash and tombstones let another device merge deletions too
+                    if (scope !== 'view') {
+                        data.trash = this.storage.getTrash();
+                        data.archive = this.storage.getArchive();
+                        data.tombstones = this.storage.cache.tombstones;
+                    }
+
+                    this.downloadFile(JSON.stringify(data, null, 2), `todos-${day}.json`, 'application/json');
+                }
+            }
             
-            this.trackEvent('todos_exported', { count: todos.length });
+            this.trackEvent('todos_exported', { format, scope, count: todos.length });
             
         } catch (error) {
             console.error('Todo PWA: Export failed:', error);
-            alert('Failed to export todos. Please try again.');
+            this.ui.showNotification('Failed to export todos. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Copy todos to the clipboard as a Markdown checklist, for pasting into docs and tickets
+     */
+    async copyTodos(format = 'markdown', scope = 'all') {
+        const todos = this.getExportTodos(scope);
+        const text = format === 'csv'
+            ? TodoFormats.toCSV(todos, this.storage.getLists())
+            : TodoFormats.toMarkdown(todos, this.storage.getLists());
+
+        try {
+            await navigator.clipboard.writeText(text);
+            this.ui.showNotification(`Copied ${todos.length} todo${todos.length !== 1 ? 's' : ''} to the clipboard`, 'success');
+        } catch (error) {
+            console.error('Todo PWA: Copy failed:', error);
+            this.ui.showNotification('Could not copy to the clipboard', 'error');
         }
     }
 
     /**
-     * Import todos data
+     * Save text as a file through a temporary download link
      */
-    importTodos(file) {
+    downloadFile(content, fileName, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const linkElement = document.createElement('a');
+
+        linkElement.setAttribute('href', url);
+        linkElement.setAttribute('download', fileName);
+        linkElement.click();
+
+        // The download has started by the time the click returns
+        setTimeout(() => URL.revokeObjectURL(url));
+    }
+
+    /**
+     * Import todos from a JSON export, a CSV file (after the user maps its columns) or a
+     * Markdown checklist. Resolves with the number of todos imported, or null when cancelled.
+     */
+    async importTodos(file) {
+        const text = await this.readFile(file);
+
+        switch (TodoFormats.detect(file.name, text)) {
+            case 'csv': {
+                const [headers, ...rows] = TodoFormats.parseCSV(text);
+
+                if (!headers || rows.length === 0) {
+                    throw new Error('No rows found in CSV file');
+                }
+
+                const mapping = await this.ui.showColumnMapping(headers, rows, TodoFormats.guessMapping(headers));
+                if (!mapping) return null;
+
+                return this.importTodoData(TodoFormats.fromCSV(rows, mapping));
+            }
+            case 'markdown':
+                return this.importTodoData(TodoFormats.fromMarkdown(text));
+            default:
+                return this.importJSON(JSON.parse(text));
+        }
+    }
+
+    /**
+     * Read a file's text
+     */
+    readFile(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
-            
-            reader.onload = (event) => {
-                try {
-                    const importedTodos = JSON.parse(event.target.result);
-                    
-                    if (!Array.isArray(importedTodos)) {
-                        throw new Error('Invalid file format');
-                    }
-                    
-                    // Validate todo structure
-                    const validTodos = importedTodos.filter(todo => 
-                        todo && 
-                        typeof todo.title === 'string' && 
-                        typeof todo.completed === 'boolean'
-                    );
-                    
-                    if (validTodos.length === 0) {
-                        throw new Error('No valid todos found in file');
-                    }
-                    
-                    // Merge with existing todos
-                    const existingTodos = this.storage.getTodos();
-                    const mergedTodos = [...validTodos, ...existingTodos];
-                    
-                    this.storage.saveTodos(mergedTodos);
-                    this.ui.render();
-                    
-                    this.trackEvent('todos_imported', { count: validTodos.length });
-                    resolve(validTodos.length);
-                    
-                } catch (error) {
-                    reject(error);
-                }
-            };
-            
+            reader.onload = (event) => resolve(event.target.result);
             reader.onerror = () => reject(new Error('File read error'));
             reader.readAsText(file);
         });
     }
 
+    /**
+     * Add todos parsed from CSV or Markdown (see TodoFormats) as new todos. Lists are
+     * matched by name; todos from unknown lists go to the open list, or the default list.
+     */
+    importTodoData(items) {
+        if (items.length === 0) {
+            throw new Error('No todos found in file');
+        }
+
+        const lists = this.storage.getLists();
+        const fallbackList = this.storage.getList(this.ui.currentList) ? this.ui.currentList : this.storage.defaultListId;
+        const findList = name => lists.find(list => name && list.name.toLowerCase() === name.toLowerCase());
+        const now = new Date().toISOString();
+
+        const todos = items.map(({ listName, subtasks, ...item }) => ({
+            ...item,
+            id: this.storage.generateId(),
+            createdAt: item.createdAt || now,
+            completedAt: item.completed ? item.completedAt || now : null,
+            listId: (findList(listName) || { id: fallbackList }).id,
+            subtasks: subtasks.map(subtask => ({ ...subtask, id: this.storage.generateId() }))
+        }));
+
+        return this.importJSON({ todos });
+    }
+
+    /**
+     * Import a JSON export. Accepts an export with lists, or a plain array of todos.
+     * Records are merged field by field, so importing another device's export
+     * (or the same file twice) converges instead of duplicating todos.
+     */
+    importJSON(imported) {
+        // IDs the app would not load (e.g. from other apps) get new ones, references included
+        const { todos: importedTodos, lists: importedLists } = TodoMigrations.reassignIds({
+            todos: Array.isArray(imported) ? imported : imported && imported.todos,
+            lists: imported && Array.isArray(imported.lists) ? imported.lists : []
+        });
+        
+        if (!Array.isArray(importedTodos)) {
+            throw new Error('Invalid file format');
+        }
+        
+        // Validate todo structure
+        const validTodos = importedTodos.filter(todo => 
+            todo && 
+            typeof todo.title === 'string' && 
+            typeof todo.completed === 'boolean'
+        ).map(todo => ({ ...todo, id: todo.id || this.storage.generateId() }));
+        
+        if (validTodos.length === 0) {
+            throw new Error('No valid todos found in file');
+        }
+        
+        // Add lists we don't have yet; todos from unknown lists go to the default list
+        const existingLists = this.storage.getLists();
+        const newLists = importedLists.filter(list =>
+            list && !existingLists.some(existing => existing.id === list.id)
+        );
+        const listIds = new Set([...existingLists, ...newLists].map(list => list.id));
+
+        validTodos.forEach(todo => {
+            if (!listIds.has(todo.listId)) {
+                todo.listId = this.storage.defaultListId;
+            }
+        });
+        
+        // New todos keep their imported manual order, above the existing todos
+        const newTodos = validTodos.filter(todo => !this.storage.getTodo(todo.id));
+        const top = this.storage.getTopOrder();
+        newTodos
+            .map((todo, index) => ({ todo, rank: Number.isFinite(todo.order) ? todo.order : index }))
+            .sort((a, b) => a.rank - b.rank)
+            .forEach(({ todo }, index) => {
+                todo.order = top - newTodos.length + 1 + index;
+            });
+        
+        const changed = this.storage.mergeData({
+            lists: importedLists,
+            todos: validTodos,
+            trash: Array.isArray(imported.trash) ? imported.trash : [],
+            archive: Array.isArray(imported.archive) ? imported.archive : [],
+            tombstones: Array.isArray(imported.tombstones) ? imported.tombstones : []
+        }, `Import ${validTodos.length} todos`);
+
+        if (changed === null) {
+            throw new Error('Could not save imported todos');
+        }
+        
+        this.trackEvent('todos_imported', { count: validTodos.length });
+        return validTodos.length;
+    }
+
     /**
      * Get app statistics
      */
@@ -376,13 +984,10 @@ class TodoApp {
             completed: todos.filter(t => t.completed).length,
             pending: todos.filter(t => !t.completed).length,
             overdue: todos.filter(t => {
-                if (t.completed || !t.dueDate) return false;
-                return new Date(t.dueDate) < now;
+                return !t.completed && TodoDates.isOverdue(t.dueDate, now);
             }).length,
             dueToday: todos.filter(t => {
-                if (t.completed || !t.dueDate) return false;
-                const dueDate = new Date(t.dueDate);
-                return dueDate.toDateString() === now.toDateString();
+                return !t.completed && TodoDates.isDueToday(t.dueDate, now);
             }).length,
             createdThisWeek: todos.filter(t => {
                 const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
@@ -405,10 +1010,15 @@ class TodoApp {
         });
         
         // Show user-friendly error message
-        this.ui.showNotification('Something went wrong. Please try again.', 'error');
+        if (this.ui) {
+            this.ui.showNotification('Something went wrong. Please try again.', 'error');
+        }
     }
 }
 
+// Longest wait between reminder checks while the app is open
+TodoApp.MAX_REMINDER_WAIT = 60 * 60 * 1000;
+
 // Global error handling
 window.addEventListener('error', (event) => {
     if (window.todoApp) {
@@ -430,9 +1040,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Handle page visibility changes for potential sync
 document.addEventListener('visibilitychange', () => {
-    if (!document.hidden && window.todoApp) {
+    if (!document.hidden && window.todoApp && window.todoApp.ui) {
         // Refresh data when page becomes visible
         window.todoApp.ui.render();
+
+        // Timers don't run while the device sleeps; catch up on reminders
+        window.todoApp.deliverReminders();
+        window.todoApp.scheduleReminders();
+
+        // Pick up changes other devices synced meanwhile
+        window.todoApp.requestSync();
     }
 });
 
@@ -0,0 +1,121 @@
+/**
+ * Todo PWA - Cross-Tab Channel
+ * Carries messages between open tabs of the app over a BroadcastChannel. Where that is
+ * missing, each message is written to a localStorage key and read back from the
+ * `storage` event it fires in the other tabs.
+ */
+
+class TodoChannel {
+    constructor(name = TodoChannel.NAME) {
+        this.name = name;
+        this.messageKey = `${name}-message`;
+        this.listeners = new Set();
+        this.channel = null;
+        this.storageListener = null;
+    }
+
+    /**
+     * Check if BroadcastChannel is available in this context
+     */
+    static isBroadcastAvailable() {
+        return typeof BroadcastChannel !== 'undefined';
+    }
+
+    /**
+     * Start receiving messages from other tabs
+     */
+    open() {
+        if (this.channel || this.storageListener) return this;
+
+        if (TodoChannel.isBroadcastAvailable()) {
+            this.channel = new BroadcastChannel(this.name);
+            this.channel.onmessage = (event) => this.deliver(event.data);
+        } else if (typeof window !== 'undefined') {
+            this.storageListener = (event) => {
+                // Removing the key after writing it fires a second event without a value
+                if (event.key !== this.messageKey || !event.newValue) return;
+
+                try {
+                    this.deliver(JSON.parse(event.newValue).message);
+                } catch (error) {
+                    console.warn('Todo PWA: Ignoring unreadable cross-tab message:', error);
+                }
+            };
+            window.addEventListener('storage', this.storageListener);
+        }
+
+        return this;
+    }
+
+    /**
+     * Call `listener(message)` for every message from another tab; returns an unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Send a message to the other tabs (never back to this one). Returns false when it could not be sent.
+     */
+    post(message) {
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+                return true;
+            }
+
+            if (this.storageListener) {
+                // A unique value so repeating a message still fires an event
+                const nonce = `${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+                localStorage.setItem(this.messageKey, JSON.stringify({ nonce, message }));
+                localStorage.removeItem(this.messageKey);
+                return true;
+            }
+        } catch (error) {
+            console.warn('Todo PWA: Could not send cross-tab message:', error);
+        }
+
+        return false;
+    }
+
+    deliver(message) {
+        if (!message || typeof message !== 'object') return;
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(message);
+            } catch (error) {
+                console.error('Todo PWA: Cross-tab message handler failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Stop sending and receiving
+     */
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+
+        if (this.storageListener) {
+            window.removeEventListener('storage', this.storageListener);
+            this.storageListener = null;
+        }
+
+        this.listeners.clear();
+    }
+}
+
+TodoChannel.NAME = 'todo-pwa-changes';
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TodoChannel = TodoChannel;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoChannel;
+}
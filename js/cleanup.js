@@ -0,0 +1,101 @@
+/**
+ * Todo PWA - Cleanup
+ * Works out which completed todos automatic cleanup removes, following the user's
+ * settings, and where they go (trash or archive). Shared by the page (which runs it on
+ * start) and the service worker (which runs it from periodic background sync).
+ */
+
+class TodoCleanup {
+    /**
+     * The cleanup settings, normalized:
+     * { enabled, afterDays, keepCompleted, action }
+     */
+    static getRules(settings = {}) {
+        const count = value => Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+
+        return {
+            enabled: settings.autoCleanup !== false,
+            afterDays: count(settings.cleanupAfterDays),
+            keepCompleted: count(settings.cleanupKeepCompleted),
+            action: settings.cleanupAction === 'archive' ? 'archive' : 'trash'
+        };
+    }
+
+    /**
+     * Whether cleanup would ever remove anything with these settings
+     */
+    static isEnabled(settings) {
+        const rules = TodoCleanup.getRules(settings);
+        return rules.enabled && Boolean(rules.afterDays || rules.keepCompleted);
+    }
+
+    /**
+     * IDs of the todos cleanup removes: completed todos done more than `afterDays` ago,
+     * and any beyond the `keepCompleted` most recently done. Recurring todos keep their history.
+     */
+    static select(todos, settings, now = Date.now()) {
+        if (!TodoCleanup.isEnabled(settings)) return [];
+
+        const { afterDays, keepCompleted } = TodoCleanup.getRules(settings);
+        const doneAt = todo => new Date(todo.completedAt || todo.createdAt).getTime() || 0;
+        const completed = todos
+            .filter(todo => todo.completed && !todo.repeat)
+            .sort((a, b) => doneAt(b) - doneAt(a));
+        const cutoff = now - afterDays * 24 * 60 * 60 * 1000;
+
+        return completed
+            .filter((todo, index) => (afterDays && doneAt(todo) <= cutoff) || (keepCompleted && index >= keepCompleted))
+            .map(todo => todo.id);
+    }
+
+    /**
+     * Clean up raw data ({ todos, trash, archive }). Returns the collections that change and
+     * what happened, as { collections, action, count }, or null when there is nothing to do.
+     */
+    static apply(data, settings, now = Date.now()) {
+        const ids = new Set(TodoCleanup.select(data.todos || [], settings, now));
+        if (ids.size === 0) return null;
+
+        const { action } = TodoCleanup.getRules(settings);
+        const time = new Date(now).toISOString();
+        const moved = data.todos
+            .filter(todo => ids.has(todo.id))
+            .map(todo => action === 'archive'
+                ? { ...todo, archivedAt: time, archivedReason: 'cleanup' }
+                : { ...todo, deletedAt: time, deletedReason: 'cleanup' });
+
+        return {
+            collections: {
+                todos: data.todos.filter(todo => !ids.has(todo.id)),
+                [action]: [...moved, ...(data[action] || [])]
+            },
+            action,
+            count: moved.length
+        };
+    }
+
+    /**
+     * "Moved 3 completed todos to the archive"
+     */
+    static describe({ action, count }) {
+        return `Moved ${count} completed todo${count !== 1 ? 's' : ''} to the ${action}`;
+    }
+}
+
+// Cleanup runs at most this often
+TodoCleanup.INTERVAL = 24 * 60 * 60 * 1000;
+
+// IndexedDB meta key holding when cleanup last ran
+TodoCleanup.LAST_RUN_KEY = 'cleanupRanAt';
+
+// Periodic background sync tag the service worker cleans up on
+TodoCleanup.SYNC_TAG = 'todo-cleanup';
+
+// Export for the page and the service worker (importScripts)
+if (typeof self !== 'undefined') {
+    self.TodoCleanup = TodoCleanup;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoCleanup;
+}
@@ -0,0 +1,133 @@
+/**
+ * Todo PWA - Due Dates
+ * Due dates are stored as local calendar values: 'YYYY-MM-DD' for all-day todos and
+ * 'YYYY-MM-DDTHH:MM' for timed ones. They are never parsed with `new Date(string)`,
+ * which reads date-only strings as UTC midnight and shifts them a day west of UTC.
+ */
+
+class TodoDates {
+    /**
+     * Bring a stored or imported due date into canonical form, or null if invalid.
+     * Full timestamps with a zone ('...Z', '+02:00') are converted to local time.
+     */
+    static normalize(value) {
+        if (typeof value !== 'string' || !value) return null;
+
+        const match = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?$/.exec(value);
+
+        if (match) {
+            const [, day, hours, minutes] = match;
+            const date = TodoRecurrence.parseDate(day);
+
+            if (!date || TodoRecurrence.formatDate(date) !== day) return null;
+            if (hours === undefined) return day;
+            if (Number(hours) > 23 || Number(minutes) > 59) return null;
+
+            return `${day}T${hours}:${minutes}`;
+        }
+
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return null;
+
+        return TodoDates.combine(TodoRecurrence.formatDate(date), TodoDates.formatTime(date));
+    }
+
+    /**
+     * Build a due date from a 'YYYY-MM-DD' day and an optional 'HH:MM' time
+     */
+    static combine(day, time = null) {
+        return time ? `${day}T${time}` : day;
+    }
+
+    /**
+     * The calendar day of a due date ('YYYY-MM-DD')
+     */
+    static dayOf(dueDate) {
+        return dueDate.slice(0, 10);
+    }
+
+    /**
+     * The time of a timed due date ('HH:MM'), or null for all-day todos
+     */
+    static timeOf(dueDate) {
+        return dueDate && dueDate.includes('T') ? dueDate.slice(11, 16) : null;
+    }
+
+    static isAllDay(dueDate) {
+        return !TodoDates.timeOf(dueDate);
+    }
+
+    /**
+     * The local Date a due date refers to (midnight for all-day todos)
+     */
+    static toDate(dueDate) {
+        const date = TodoRecurrence.parseDate(dueDate);
+        const time = TodoDates.timeOf(dueDate);
+
+        if (date && time) {
+            const [hours, minutes] = time.split(':').map(Number);
+            date.setHours(hours, minutes);
+        }
+
+        return date;
+    }
+
+    /**
+     * Today's local calendar day ('YYYY-MM-DD')
+     */
+    static today(now = new Date()) {
+        return TodoRecurrence.formatDate(now);
+    }
+
+    /**
+     * Calendar days from today to the due day (negative when past).
+     * Counts days, not 24-hour periods, so DST changes don't skew it.
+     */
+    static daysUntil(dueDate, now = new Date()) {
+        const toUTC = day => {
+            const [year, month, date] = day.split('-').map(Number);
+            return Date.UTC(year, month - 1, date);
+        };
+
+        return Math.round((toUTC(TodoDates.dayOf(dueDate)) - toUTC(TodoDates.today(now))) / (24 * 60 * 60 * 1000));
+    }
+
+    /**
+     * Timed todos are overdue once their time has passed, all-day todos from the next day on
+     */
+    static isOverdue(dueDate, now = new Date()) {
+        if (!dueDate) return false;
+
+        return TodoDates.isAllDay(dueDate)
+            ? TodoDates.dayOf(dueDate) < TodoDates.today(now)
+            : TodoDates.toDate(dueDate) < now;
+    }
+
+    static isDueToday(dueDate, now = new Date()) {
+        return Boolean(dueDate) && TodoDates.dayOf(dueDate) === TodoDates.today(now);
+    }
+
+    /**
+     * Order two due dates; on the same day all-day todos come before timed ones
+     */
+    static compare(a, b) {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    /**
+     * Local 'HH:MM' of a Date
+     */
+    static formatTime(date) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+}
+
+// Export for the page and the service worker (importScripts)
+if (typeof self !== 'undefined') {
+    self.TodoDates = TodoDates;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoDates;
+}
@@ -0,0 +1,246 @@
+/**
+ * Todo PWA - IndexedDB Access
+ * Small promise-based wrapper around IndexedDB, shared by the page and the service worker
+ */
+
+class TodoDB {
+    constructor(name = TodoDB.NAME, version = TodoDB.VERSION) {
+        this.name = name;
+        this.version = version;
+        this.connection = null;
+    }
+
+    /**
+     * Check if IndexedDB is available in this context
+     */
+    static isAvailable() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Run `callback` while holding the write lock shared by every tab and the service worker.
+     * Without Web Locks it runs straight away, and update() relies on its revision check alone.
+     */
+    static withLock(callback) {
+        if (typeof navigator !== 'undefined' && navigator.locks && typeof navigator.locks.request === 'function') {
+            return navigator.locks.request(TodoDB.LOCK_NAME, { mode: 'exclusive' }, () => callback());
+        }
+
+        return callback();
+    }
+
+    /**
+     * Open (and upgrade if needed) the database
+     */
+    open() {
+        if (this.connection) {
+            return this.connection;
+        }
+
+        this.connection = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                // Record stores use out-of-line keys so we control ordering
+                TodoDB.STORES.forEach(storeName => {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName);
+                    }
+                });
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+
+                // Let newer versions in other tabs upgrade without blocking
+                db.onversionchange = () => {
+                    db.close();
+                    this.connection = null;
+                };
+
+                resolve(db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('Todo PWA: IndexedDB upgrade blocked by another tab');
+        });
+
+        // Allow a later retry if opening failed
+        this.connection.catch(() => {
+            this.connection = null;
+        });
+
+        return this.connection;
+    }
+
+    /**
+     * Run a callback inside a transaction and resolve when it completes
+     */
+    async transaction(storeNames, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+            result = callback(tx);
+        });
+    }
+
+    /**
+     * Read every record of a store, in key order
+     */
+    async getAll(storeName) {
+        let records = [];
+
+        await this.transaction([storeName], 'readonly', tx => {
+            const request = tx.objectStore(storeName).getAll();
+            request.onsuccess = () => {
+                records = request.result || [];
+            };
+        });
+
+        return records;
+    }
+
+    /**
+     * Read whole stores together with the revision they were written at, as
+     * { revision, data: { storeName: records } }
+     */
+    async readRevision(storeNames) {
+        const data = {};
+        let revision = 0;
+
+        await this.transaction([...storeNames, 'meta'], 'readonly', tx => {
+            storeNames.forEach(storeName => {
+                const request = tx.objectStore(storeName).getAll();
+                request.onsuccess = () => {
+                    data[storeName] = request.result || [];
+                };
+            });
+
+            const request = tx.objectStore('meta').get(TodoDB.REVISION_KEY);
+            request.onsuccess = () => {
+                revision = request.result || 0;
+            };
+        });
+
+        return { revision, data };
+    }
+
+    /**
+     * Replace whole stores ({ storeName: records }), but only while the stored revision is
+     * still `expected`. Resolves with the new revision, or null when another writer got there first.
+     */
+    async compareAndSwap(expected, writes) {
+        const storeNames = Object.keys(writes);
+        let revision = null;
+
+        await this.transaction([...storeNames, 'meta'], 'readwrite', tx => {
+            const meta = tx.objectStore('meta');
+            const request = meta.get(TodoDB.REVISION_KEY);
+
+            request.onsuccess = () => {
+                if ((request.result || 0) !== expected) return;
+
+                revision = expected + 1;
+                storeNames.forEach(storeName => {
+                    const store = tx.objectStore(storeName);
+                    store.clear();
+                    writes[storeName].forEach((record, index) => store.put(record, index));
+                });
+                meta.put(revision, TodoDB.REVISION_KEY);
+            };
+        });
+
+        return revision;
+    }
+
+    /**
+     * Read-modify-write stores without losing other writers' changes. `mutate(data, attempt)`
+     * gets fresh { storeName: records } and returns the stores to write (or null to write
+     * nothing); it runs again on fresh data whenever another writer got in between.
+     * Resolves with { revision, data, writes }.
+     */
+    update(storeNames, mutate) {
+        return TodoDB.withLock(async () => {
+            for (let attempt = 1; attempt <= TodoDB.MAX_ATTEMPTS; attempt++) {
+                const { revision, data } = await this.readRevision(storeNames);
+                const writes = mutate(data, attempt);
+
+                if (!writes) return { revision, data, writes: null };
+
+                const next = await this.compareAndSwap(revision, writes);
+                if (next !== null) return { revision: next, data, writes };
+            }
+
+            throw new Error(`Gave up writing ${storeNames.join(', ')} after ${TodoDB.MAX_ATTEMPTS} conflicting attempts`);
+        });
+    }
+
+    /**
+     * Read a single keyed value
+     */
+    async get(storeName, key) {
+        let value;
+
+        await this.transaction([storeName], 'readonly', tx => {
+            const request = tx.objectStore(storeName).get(key);
+            request.onsuccess = () => {
+                value = request.result;
+            };
+        });
+
+        return value;
+    }
+
+    /**
+     * Write a single keyed value
+     */
+    set(storeName, key, value) {
+        return this.transaction([storeName], 'readwrite', tx => {
+            tx.objectStore(storeName).put(value, key);
+        });
+    }
+
+    /**
+     * Close the connection
+     */
+    async close() {
+        if (this.connection) {
+            const db = await this.connection;
+            db.close();
+            this.connection = null;
+        }
+    }
+}
+
+TodoDB.NAME = 'todo-pwa';
+TodoDB.VERSION = 6;
+TodoDB.STORES = ['todos', 'meta', 'trash', 'lists', 'outbox', 'tombstones', 'archive'];
+
+// Web Lock held while writing records, and the 'meta' key of the revision bumped by every write
+TodoDB.LOCK_NAME = 'todo-pwa-write';
+TodoDB.REVISION_KEY = 'revision';
+
+// Writes give up after this many attempts that lost a race with another writer
+TodoDB.MAX_ATTEMPTS = 5;
+
+// Export for the page and the service worker (importScripts)
+if (typeof self !== 'undefined') {
+    self.TodoDB = TodoDB;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoDB;
+}
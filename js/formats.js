@@ -0,0 +1,338 @@
+/**
+ * Todo PWA - Import/Export Formats
+ * Converts todos to and from CSV and Markdown checklists. Parsing returns plain todo
+ * data ({ title, completed, ..., listName }) without IDs; the app turns it into records.
+ *
+ * Markdown checklists look like this, with the list as a heading when there is more than one:
+ *
+ *   ## Work
+ *   - [ ] Send the report #reports !high 📅 2026-11-02
+ *     - [x] Collect numbers
+ */
+
+class TodoFormats {
+    /**
+     * Work out a file's format from its name, falling back to its contents:
+     * 'json', 'csv' or 'markdown'. Plain `.txt` files can hold any of them, so only
+     * their contents count.
+     */
+    static detect(fileName = '', text = '') {
+        const extension = (fileName.split('.').pop() || '').toLowerCase();
+
+        if (extension === 'json') return 'json';
+        if (extension === 'csv') return 'csv';
+        if (['md', 'markdown'].includes(extension)) return 'markdown';
+
+        const start = text.trimStart();
+        if (start.startsWith('{') || start.startsWith('[')) return 'json';
+        return TodoFormats.MARKDOWN_ITEM.test(text) ? 'markdown' : 'csv';
+    }
+
+    /**
+     * Todos as CSV, one row per todo with a header row (see TodoFormats.CSV_FIELDS)
+     */
+    static toCSV(todos, lists = []) {
+        const fields = Object.keys(TodoFormats.CSV_FIELDS);
+        const listName = id => {
+            const list = lists.find(entry => entry.id === id);
+            return list ? list.name : '';
+        };
+        const values = todo => ({
+            title: todo.title,
+            description: todo.description,
+            completed: todo.completed ? 'yes' : 'no',
+            priority: todo.priority,
+            dueDate: todo.dueDate || '',
+            tags: todo.tags.join(', '),
+            list: listName(todo.listId),
+            subtasks: todo.subtasks.map(subtask => `[${subtask.completed ? 'x' : ' '}] ${subtask.title}`).join('\n'),
+            createdAt: todo.createdAt,
+            completedAt: todo.completedAt || ''
+        });
+
+        const rows = [
+            fields.map(field => TodoFormats.CSV_FIELDS[field]),
+            ...todos.map(todo => {
+                const row = values(todo);
+                return fields.map(field => row[field]);
+            })
+        ];
+
+        return rows.map(row => row.map(TodoFormats.quoteCSV).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV cell when it holds a separator, quote or line break. Cells that a
+     * spreadsheet would run as a formula get a leading `'` (see unescapeCSV).
+     */
+    static quoteCSV(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (TodoFormats.CSV_FORMULA.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Drop the `'` that quoteCSV puts in front of formula-like cells
+     */
+    static unescapeCSV(value) {
+        return value.startsWith("'") && TodoFormats.CSV_FORMULA.test(value.slice(1)) ? value.slice(1) : value;
+    }
+
+    /**
+     * Split CSV text into rows of cells (RFC 4180: quoted cells may hold commas,
+     * doubled quotes and line breaks). Blank lines are skipped.
+     */
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        // Spreadsheet apps often start UTF-8 files with a byte order mark
+        const input = String(text || '').replace(/^\uFEFF/, '');
+
+        const endRow = () => {
+            row.push(cell);
+            if (row.some(value => value.trim())) rows.push(row);
+            row = [];
+            cell = '';
+        };
+
+        for (let index = 0; index < input.length; index++) {
+            const char = input[index];
+
+            if (quoted) {
+                if (char === '"' && input[index + 1] === '"') {
+                    cell += '"';
+                    index++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[index + 1] === '\n') index++;
+                endRow();
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell || row.length) endRow();
+
+        return rows;
+    }
+
+    /**
+     * Guess which column holds each field from the header row.
+     * Returns { field: columnIndex }, with -1 for fields no column matches.
+     */
+    static guessMapping(headers) {
+        const normalize = value => String(value).toLowerCase().replace(/[^a-z]/g, '');
+        const columns = headers.map(normalize);
+        const mapping = {};
+
+        Object.keys(TodoFormats.CSV_FIELDS).forEach(field => {
+            const names = [field, TodoFormats.CSV_FIELDS[field], ...(TodoFormats.CSV_ALIASES[field] || [])].map(normalize);
+            mapping[field] = columns.findIndex(column => names.includes(column));
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Turn CSV data rows (without the header) into todo data using a mapping from
+     * guessMapping(). Rows without a title are skipped.
+     */
+    static fromCSV(rows, mapping) {
+        const cell = (row, field) => {
+            const index = mapping[field];
+            return index >= 0 && index < row.length ? TodoFormats.unescapeCSV(row[index]).trim() : '';
+        };
+
+        return rows
+            .map(row => {
+                const priority = cell(row, 'priority').toLowerCase();
+                const completedAt = cell(row, 'completedAt');
+                const completed = TodoFormats.parseBoolean(cell(row, 'completed')) || Boolean(completedAt);
+
+                return {
+                    title: cell(row, 'title'),
+                    description: cell(row, 'description'),
+                    completed,
+                    priority: TodoStorage.PRIORITIES.includes(priority) ? priority : 'normal',
+                    dueDate: TodoDates.normalize(cell(row, 'dueDate')),
+                    tags: cell(row, 'tags').split(/[,;]/).map(tag => tag.trim()).filter(Boolean),
+                    listName: cell(row, 'list'),
+                    subtasks: cell(row, 'subtasks').split(/\r?\n/).map(line => {
+                        const match = /^\[([ xX])\]\s*(.*)$/.exec(line.trim());
+                        return match
+                            ? { title: match[2].trim(), completed: match[1] !== ' ' }
+                            : { title: line.trim(), completed: false };
+                    }).filter(subtask => subtask.title),
+                    createdAt: TodoFormats.parseTimestamp(cell(row, 'createdAt')),
+                    completedAt: completed ? TodoFormats.parseTimestamp(completedAt) : null
+                };
+            })
+            .filter(todo => todo.title);
+    }
+
+    /**
+     * Read yes/no style cells: 'yes', 'true', 'x', 'done', '1' and the like
+     */
+    static parseBoolean(value) {
+        return ['yes', 'y', 'true', '1', 'x', '✓', '✔', 'done', 'completed', 'complete'].includes(value.toLowerCase());
+    }
+
+    /**
+     * An ISO timestamp for a date cell, or null when it cannot be read
+     */
+    static parseTimestamp(value) {
+        if (!value) return null;
+
+        const day = TodoDates.normalize(value);
+        if (!day) return null;
+
+        // Timestamps with a zone are exact; date-only and zoneless values are local time
+        const date = /(?:z|[+-]\d{2}:?\d{2})$/i.test(value) ? new Date(value) : TodoDates.toDate(day);
+        return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+    }
+
+    /**
+     * Todos as a Markdown checklist. Subtasks are nested items; with todos from more
+     * than one list, each list gets a heading.
+     */
+    static toMarkdown(todos, lists = []) {
+        const item = todo => {
+            const extras = [
+                ...todo.tags.map(tag => `#${tag.replace(/\s+/g, '-')}`),
+                todo.priority !== 'normal' ? `!${todo.priority}` : '',
+                todo.dueDate ? `📅 ${todo.dueDate}` : ''
+            ].filter(Boolean);
+
+            return [
+                `- [${todo.completed ? 'x' : ' '}] ${[todo.title, ...extras].join(' ')}`,
+                ...todo.subtasks.map(subtask => `  - [${subtask.completed ? 'x' : ' '}] ${subtask.title}`)
+            ].join('\n');
+        };
+
+        const listIds = [...new Set(todos.map(todo => todo.listId))];
+
+        if (listIds.length <= 1) {
+            return todos.map(item).join('\n') + '\n';
+        }
+
+        return listIds.map(listId => {
+            const list = lists.find(entry => entry.id === listId);
+            const heading = `## ${list ? list.name : listId}`;
+            return [heading, '', ...todos.filter(todo => todo.listId === listId).map(item)].join('\n');
+        }).join('\n\n') + '\n';
+    }
+
+    /**
+     * Read todos from a Markdown checklist. Nested items become subtasks of the item
+     * above them, headings name the list of the items below them, and `#tag`,
+     * `!priority` and `📅 YYYY-MM-DD` in an item are picked up. Other lines are ignored.
+     */
+    static fromMarkdown(text) {
+        const todos = [];
+        let listName = '';
+        let parent = null;
+
+        String(text || '').split(/\r?\n/).forEach(line => {
+            const heading = /^#{1,6}\s+(.+?)\s*#*\s*$/.exec(line);
+            if (heading) {
+                listName = heading[1];
+                parent = null;
+                return;
+            }
+
+            const match = TodoFormats.MARKDOWN_ITEM.exec(line);
+            if (!match) return;
+
+            const [, indent, mark, content] = match;
+            const completed = mark !== ' ';
+
+            if (indent.replace(/\t/g, '  ').length >= 2 && parent) {
+                parent.subtasks.push({ title: content.trim(), completed });
+                return;
+            }
+
+            parent = { ...TodoFormats.parseMarkdownItem(content), completed, listName };
+            if (parent.title) todos.push(parent);
+        });
+
+        return todos;
+    }
+
+    /**
+     * Split a checklist item into its title and the tags, priority and due date written in it
+     */
+    static parseMarkdownItem(content) {
+        const todo = { title: '', tags: [], priority: 'normal', dueDate: null, subtasks: [] };
+
+        const title = content
+            .replace(/(^|\s)📅\s*(\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2})?)(?=\s|$)/u, (match, before, date) => {
+                todo.dueDate = TodoDates.normalize(date);
+                return before;
+            })
+            .replace(/(^|\s)!(urgent|high|normal|low)(?=\s|$)/i, (match, before, priority) => {
+                todo.priority = priority.toLowerCase();
+                return before;
+            })
+            .replace(/(^|\s)#([\p{L}\p{N}_/-]+)(?=\s|$)/gu, (match, before, tag) => {
+                todo.tags.push(tag);
+                return before;
+            });
+
+        todo.title = title.replace(/\s+/g, ' ').trim();
+        return todo;
+    }
+}
+
+// CSV columns in export order: field -> header
+TodoFormats.CSV_FIELDS = {
+    title: 'Title',
+    description: 'Description',
+    completed: 'Completed',
+    priority: 'Priority',
+    dueDate: 'Due date',
+    tags: 'Tags',
+    list: 'List',
+    subtasks: 'Subtasks',
+    createdAt: 'Created',
+    completedAt: 'Completed at'
+};
+
+// Other headers recognised when guessing the column mapping
+TodoFormats.CSV_ALIASES = {
+    title: ['name', 'task', 'taskname', 'todo', 'item', 'summary', 'subject'],
+    description: ['notes', 'note', 'details', 'body'],
+    completed: ['done', 'status', 'complete', 'checked'],
+    dueDate: ['due', 'deadline', 'duedate'],
+    tags: ['labels', 'tag', 'categories'],
+    list: ['project', 'listname'],
+    subtasks: ['checklist'],
+    createdAt: ['createdat', 'createddate', 'created on'],
+    completedAt: ['completedat', 'donedate', 'completed on']
+};
+
+// Cells a spreadsheet would read as a formula
+TodoFormats.CSV_FORMULA = /^[=+\-@\t\r]/;
+
+// A checklist item: indent, mark and text
+TodoFormats.MARKDOWN_ITEM = /^([ \t]*)[-*+]\s+\[([ xX])\]\s+(.+)$/m;
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TodoFormats = TodoFormats;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoFormats;
+}
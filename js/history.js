@@ -0,0 +1,195 @@
+/**
+ * Todo PWA - Undo/Redo History
+ * Records the records each storage mutation changed so it can be reverted
+ */
+
+class TodoHistory {
+    constructor(storage, limit = 50) {
+        this.storage = storage;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Set while an undo/redo writes its changes back
+        this.replaying = false;
+    }
+
+    /**
+     * Record a write as a single undoable step. Only the records that changed are kept,
+     * not copies of whole collections.
+     */
+    record(label, before, after) {
+        if (this.replaying) return;
+
+        const changes = Object.keys(after)
+            .map(name => TodoHistory.diff(name, before[name] || [], after[name] || []))
+            .filter(Boolean);
+
+        // Skip no-op writes
+        if (changes.length === 0) return;
+
+        this.undoStack.push({ label, changes, timestamp: Date.now() });
+        this.redoStack = [];
+
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+
+        this.notify();
+    }
+
+    /**
+     * Revert the most recent step
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        if (!this.apply(entry, 'before')) {
+            this.undoStack.push(entry);
+            return null;
+        }
+
+        this.redoStack.push(entry);
+        this.notify();
+        return entry;
+    }
+
+    /**
+     * Re-apply the most recently undone step
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        if (!this.apply(entry, 'after')) {
+            this.redoStack.push(entry);
+            return null;
+        }
+
+        this.undoStack.push(entry);
+        this.notify();
+        return entry;
+    }
+
+    /**
+     * Write one side ('before' or 'after') of a step back without recording it
+     */
+    apply(entry, side) {
+        const collections = {};
+        entry.changes.forEach(change => {
+            collections[change.collection] = TodoHistory.rebuild(this.storage.cache[change.collection], change, side);
+        });
+
+        this.replaying = true;
+        try {
+            return this.storage.saveCollections(collections);
+        } finally {
+            this.replaying = false;
+        }
+    }
+
+    /**
+     * What a write changed in one collection, or null if nothing:
+     * { collection, records: [{ id, before, after, beforeIndex, afterIndex }], order }.
+     * A record is null on the side where it did not exist. `order` holds the IDs on
+     * both sides, and is only kept when records kept by the write were moved around.
+     */
+    static diff(collection, before, after) {
+        const beforeIndex = new Map(before.map((record, index) => [record.id, index]));
+        const afterIndex = new Map(after.map((record, index) => [record.id, index]));
+        const records = [];
+
+        after.forEach((record, index) => {
+            const previous = beforeIndex.has(record.id) ? before[beforeIndex.get(record.id)] : null;
+            if (previous && JSON.stringify(previous) === JSON.stringify(record)) return;
+
+            records.push({
+                id: record.id,
+                before: previous,
+                after: record,
+                beforeIndex: previous ? beforeIndex.get(record.id) : -1,
+                afterIndex: index
+            });
+        });
+
+        before.forEach((record, index) => {
+            if (afterIndex.has(record.id)) return;
+            records.push({ id: record.id, before: record, after: null, beforeIndex: index, afterIndex: -1 });
+        });
+
+        const kept = ids => ids.filter(id => beforeIndex.has(id) && afterIndex.has(id));
+        const keptBefore = kept([...beforeIndex.keys()]);
+        const keptAfter = kept([...afterIndex.keys()]);
+        const moved = keptBefore.some((id, index) => id !== keptAfter[index]);
+
+        if (records.length === 0 && !moved) return null;
+
+        return {
+            collection,
+            records,
+            order: moved ? { before: [...beforeIndex.keys()], after: [...afterIndex.keys()] } : null
+        };
+    }
+
+    /**
+     * A collection with one side ('before' or 'after') of a change put back into it
+     */
+    static rebuild(records, change, side) {
+        const touched = new Map(change.records.map(entry => [entry.id, entry[side]]));
+
+        if (change.order) {
+            const current = new Map(records.map(record => [record.id, record]));
+            return change.order[side]
+                .map(id => touched.has(id) ? touched.get(id) : current.get(id))
+                .filter(Boolean);
+        }
+
+        // Other records kept their order, so the touched ones go back in at their old positions
+        const index = `${side}Index`;
+        const result = records.filter(record => !touched.has(record.id));
+
+        change.records
+            .filter(entry => entry[side])
+            .sort((a, b) => a[index] - b[index])
+            .forEach(entry => result.splice(Math.min(entry[index], result.length), 0, entry[side]));
+
+        return result;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget all steps (e.g. after another tab changed the data)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Let the UI know the stacks changed
+     */
+    notify() {
+        this.storage.triggerStorageEvent('history_changed', {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo()
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TodoHistory = TodoHistory;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoHistory;
+}
@@ -0,0 +1,301 @@
+/**
+ * Todo PWA - Multi-device Merge
+ * Every record keeps a modification stamp per field in `fieldTimes`, and `origin` names the
+ * device that created it. A stamp is '<ISO time>@<device id>', so stamps compare as strings:
+ * by time first, then by device ID, which makes every merge deterministic.
+ *
+ * Merging is last-writer-wins per field. Deleted records leave a tombstone; a record only
+ * comes back if it was changed after its tombstone. Merging the same data on any device,
+ * in any order, gives the same result.
+ */
+
+class TodoMerge {
+    /**
+     * A stamp for a change made now on this device
+     */
+    static stamp(deviceId, time = Date.now()) {
+        return `${new Date(time).toISOString()}@${deviceId}`;
+    }
+
+    /**
+     * The time (ms) of a stamp, or 0
+     */
+    static stampTime(stamp) {
+        const time = stamp ? Date.parse(stamp.split('@')[0]) : NaN;
+        return isNaN(time) ? 0 : time;
+    }
+
+    /**
+     * The newest stamp of a record ('' when it has none)
+     */
+    static latest(record) {
+        return Object.values((record && record.fieldTimes) || {}).reduce((max, stamp) => stamp > max ? stamp : max, '');
+    }
+
+    /**
+     * Fields that are merged, i.e. everything but the record's identity and bookkeeping
+     */
+    static fields(...records) {
+        const fields = new Set();
+
+        records.filter(Boolean).forEach(record => {
+            Object.keys(record).forEach(field => fields.add(field));
+            Object.keys(record.fieldTimes || {}).forEach(field => fields.add(field));
+        });
+
+        TodoMerge.UNTRACKED.forEach(field => fields.delete(field));
+        return [...fields];
+    }
+
+    /**
+     * Stamp what changed between two versions of a collection.
+     * Records new to the collection get every unstamped field stamped, plus '$added' so that
+     * re-adding a record (restore, undo) counts as newer than its tombstone. Fields whose
+     * stamp the caller already changed (e.g. merged in from another device) are kept as is.
+     * With `merging`, records that already carry stamps are taken over unchanged.
+     */
+    static track(previous, next, stamp, deviceId, { merging = false } = {}) {
+        const before = new Map((previous || []).map(record => [record.id, record]));
+
+        return next.map(record => {
+            const old = before.get(record.id);
+            const fieldTimes = { ...(record.fieldTimes || {}) };
+
+            if (!old) {
+                if (merging && record.fieldTimes) return record;
+
+                TodoMerge.fields(record).forEach(field => {
+                    if (!fieldTimes[field]) fieldTimes[field] = stamp;
+                });
+                fieldTimes.$added = stamp;
+
+                return { ...record, fieldTimes, origin: record.origin || deviceId };
+            }
+
+            const oldTimes = old.fieldTimes || {};
+            let changed = false;
+
+            TodoMerge.fields(record, old).forEach(field => {
+                if (field === '$added' || fieldTimes[field] !== oldTimes[field]) return;
+
+                if (JSON.stringify(record[field]) !== JSON.stringify(old[field])) {
+                    fieldTimes[field] = stamp;
+                    changed = true;
+                }
+            });
+
+            if (!changed && record.fieldTimes) return record;
+
+            const origin = record.origin || old.origin;
+            return origin ? { ...record, fieldTimes, origin } : { ...record, fieldTimes };
+        });
+    }
+
+    /**
+     * Stamp what changed in several collections ({ name: records }) and update `tombstones`:
+     * removed records get one, records that are back (restored, undone) lose theirs.
+     * Returns the stamped collections along with the new tombstones.
+     */
+    static trackCollections(previous, next, tombstones, stamp, deviceId, { merging = false } = {}) {
+        const result = { ...next };
+
+        TodoMerge.COLLECTIONS.filter(name => next[name]).forEach(name => {
+            result[name] = TodoMerge.track(previous[name], next[name], stamp, deviceId, { merging });
+
+            // A merge already carries the tombstones that removed its records
+            if (merging) return;
+
+            const ids = new Set(next[name].map(record => record.id));
+
+            tombstones = [
+                ...tombstones.filter(tombstone => tombstone.collection !== name || !ids.has(tombstone.recordId)),
+                ...TodoMerge.removed(name, previous[name], next[name], stamp)
+            ];
+        });
+
+        result.tombstones = tombstones;
+        return result;
+    }
+
+    /**
+     * Tombstones for records that left a collection
+     */
+    static removed(collection, previous, next, stamp) {
+        const ids = new Set(next.map(record => record.id));
+
+        return (previous || [])
+            .filter(record => !ids.has(record.id))
+            .map(record => TodoMerge.tombstone(collection, record.id, stamp));
+    }
+
+    static tombstone(collection, recordId, stamp) {
+        return { id: `${collection}:${recordId}`, collection, recordId, stamp };
+    }
+
+    /**
+     * Merge two versions of one record, field by field (either may be missing)
+     */
+    static mergeRecords(a, b) {
+        if (!a || !b) return a || b;
+
+        const aTimes = a.fieldTimes || {};
+        const bTimes = b.fieldTimes || {};
+        const merged = { id: a.id };
+        const fieldTimes = {};
+
+        TodoMerge.fields(a, b).forEach(field => {
+            const aStamp = aTimes[field] || '';
+            const bStamp = bTimes[field] || '';
+            let source;
+
+            if (aStamp !== bStamp) {
+                source = aStamp > bStamp ? a : b;
+            } else {
+                // Same stamp (or both unstamped legacy data): pick by value so both sides agree
+                source = (JSON.stringify(a[field]) || '') >= (JSON.stringify(b[field]) || '') ? a : b;
+            }
+
+            if (field in source) merged[field] = source[field];
+
+            const newest = aStamp > bStamp ? aStamp : bStamp;
+            if (newest) fieldTimes[field] = newest;
+        });
+
+        // Unstamped, unknown-origin records (legacy data, the default list) stay that way,
+        // so merging a record with itself gives back the record storage holds
+        if (a.fieldTimes || b.fieldTimes || Object.keys(fieldTimes).length > 0) {
+            merged.fieldTimes = fieldTimes;
+        }
+
+        // The creating device never changes; prefer a known one
+        const [origin] = [a.origin, b.origin].filter(Boolean).sort();
+        if (origin) merged.origin = origin;
+
+        return merged;
+    }
+
+    /**
+     * Apply record changes (see TodoSync.diff) made against an older copy of a collection
+     * to what it holds now. A record that changed on both sides is merged field by field
+     * (tombstones keep the newest stamp); new records take their place from `order`, the
+     * collection as the changes left it.
+     */
+    static apply(collection, records, changes, order = []) {
+        const result = records.slice();
+
+        changes.forEach(change => {
+            const index = result.findIndex(record => record.id === change.recordId);
+
+            if (change.op === 'delete') {
+                if (index !== -1) result.splice(index, 1);
+                return;
+            }
+
+            if (index !== -1) {
+                const current = result[index];
+
+                result[index] = TodoMerge.COLLECTIONS.includes(collection)
+                    ? TodoMerge.mergeRecords(change.record, current)
+                    : current.stamp > change.record.stamp ? current : change.record;
+                return;
+            }
+
+            const position = order.findIndex(record => record.id === change.recordId);
+            result.splice(position === -1 ? result.length : position, 0, change.record);
+        });
+
+        return result;
+    }
+
+    /**
+     * Merge two tombstone lists, keeping the newest stamp per record
+     */
+    static mergeTombstones(a = [], b = []) {
+        const byId = new Map();
+
+        [...a, ...b].forEach(tombstone => {
+            const existing = byId.get(tombstone.id);
+            if (!existing || tombstone.stamp > existing.stamp) {
+                byId.set(tombstone.id, tombstone);
+            }
+        });
+
+        return [...byId.values()];
+    }
+
+    /**
+     * Merge one collection. Local order is kept; records only the other side has follow.
+     */
+    static mergeCollection(collection, local = [], remote = [], tombstones = new Map()) {
+        const remoteById = new Map(remote.map(record => [record.id, record]));
+        const localIds = new Set(local.map(record => record.id));
+        const merged = [];
+
+        [...local, ...remote.filter(record => !localIds.has(record.id))].forEach(record => {
+            const result = TodoMerge.mergeRecords(record, localIds.has(record.id) ? remoteById.get(record.id) : null);
+            const tombstone = tombstones.get(`${collection}:${record.id}`);
+
+            // Deleted, and not changed since
+            if (tombstone && tombstone.stamp >= TodoMerge.latest(result)) return;
+
+            merged.push(result);
+        });
+
+        return merged;
+    }
+
+    /**
+     * Merge two data sets { todos, trash, archive, lists, tombstones } into one
+     */
+    static merge(local, remote) {
+        const tombstones = TodoMerge.mergeTombstones(local.tombstones, remote.tombstones);
+        const tombstoneMap = new Map(tombstones.map(tombstone => [tombstone.id, tombstone]));
+        const result = { tombstones };
+
+        TodoMerge.COLLECTIONS.forEach(name => {
+            result[name] = TodoMerge.mergeCollection(name, local[name], remote[name], tombstoneMap);
+        });
+
+        // A todo trashed or archived on one device and edited on another ends up in several
+        // places; keep whichever happened last (on a tie, the later place in PLACES)
+        const newest = new Map();
+
+        TodoMerge.PLACES.forEach(name => {
+            result[name].forEach(record => {
+                const latest = TodoMerge.latest(record);
+                const current = newest.get(record.id);
+
+                if (!current || latest >= current.latest) {
+                    newest.set(record.id, { name, latest });
+                }
+            });
+        });
+
+        TodoMerge.PLACES.forEach(name => {
+            result[name] = result[name].filter(record => newest.get(record.id).name === name);
+        });
+
+        return result;
+    }
+}
+
+// Record collections that are merged
+TodoMerge.COLLECTIONS = ['todos', 'trash', 'archive', 'lists'];
+
+// Collections a todo can be in, one at a time
+TodoMerge.PLACES = ['todos', 'trash', 'archive'];
+
+// Record properties that are not merged field by field
+TodoMerge.UNTRACKED = ['id', 'fieldTimes', 'origin'];
+
+// Tombstones older than this are dropped
+TodoMerge.TOMBSTONE_TTL = 90 * 24 * 60 * 60 * 1000;
+
+// Export for the page, the service worker (importScripts) and the mock sync server
+if (typeof self !== 'undefined') {
+    self.TodoMerge = TodoMerge;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoMerge;
+}
@@ -0,0 +1,334 @@
+/**
+ * Todo PWA - Data Migrations
+ * Ordered, numbered schema migration steps and the runner that applies them
+ */
+
+class TodoMigrations {
+    constructor(steps = TodoMigrations.steps) {
+        this.steps = [...steps].sort((a, b) => a.step - b.step);
+        this.validateSteps();
+    }
+
+    /**
+     * Compare two semver strings ("1.2.10" > "1.2.9"). Returns -1, 0 or 1.
+     */
+    static compareVersions(a, b) {
+        const parse = version => String(version || '0.0.0')
+            .split('-')[0]
+            .split('.')
+            .map(part => parseInt(part, 10) || 0);
+
+        const left = parse(a);
+        const right = parse(b);
+
+        for (let i = 0; i < Math.max(left.length, right.length); i++) {
+            const diff = (left[i] || 0) - (right[i] || 0);
+            if (diff !== 0) return diff > 0 ? 1 : -1;
+        }
+
+        return 0;
+    }
+
+    /**
+     * A stored collection as an array. Old or hand-edited data may be missing a
+     * collection or hold something else in its place.
+     */
+    static records(value) {
+        return Array.isArray(value) ? value : [];
+    }
+
+    /**
+     * An ID made only of ID_PATTERN characters for one that may hold others. The same
+     * old ID always gets the same new one, so devices migrating the same records (or
+     * importing the same file twice) agree on it.
+     */
+    static safeId(id) {
+        const text = String(id);
+        if (TodoMigrations.ID_PATTERN.test(text)) return text;
+
+        // FNV-1a hash of the whole ID, so IDs that differ only past the cut stay apart
+        let hash = 0x811c9dc5;
+        for (let index = 0; index < text.length; index++) {
+            hash = Math.imul(hash ^ text.charCodeAt(index), 0x01000193) >>> 0;
+        }
+
+        const suffix = hash.toString(36);
+        const readable = text.replace(/[^A-Za-z0-9_-]+/g, '_').slice(0, 63 - suffix.length);
+        return `${readable}-${suffix}`;
+    }
+
+    /**
+     * Give records whose IDs are not ID_PATTERN-safe new ones (see safeId) and rewrite
+     * the references to them: subtasks, lists and next occurrences of todos, tombstones,
+     * and the lists of saved views. Works on raw data ({ todos, trash, archive, lists,
+     * tombstones, settings }, any of which may be missing) in place.
+     */
+    static reassignIds(data) {
+        const fix = id => typeof id === 'string' && id && !TodoMigrations.ID_PATTERN.test(id)
+            ? TodoMigrations.safeId(id)
+            : id;
+        const fixFields = (record, fields) => {
+            if (!record || typeof record !== 'object') return record;
+
+            const copy = { ...record };
+            fields.filter(field => field in copy).forEach(field => {
+                copy[field] = fix(copy[field]);
+            });
+            return copy;
+        };
+        const fixTodo = todo => {
+            const copy = fixFields(todo, ['id', 'listId', 'nextOccurrenceId']);
+            if (copy && Array.isArray(copy.subtasks)) {
+                copy.subtasks = copy.subtasks.map(subtask => fixFields(subtask, ['id']));
+            }
+            return copy;
+        };
+
+        ['todos', 'trash', 'archive'].filter(name => Array.isArray(data[name])).forEach(name => {
+            data[name] = data[name].map(fixTodo);
+        });
+        if (Array.isArray(data.lists)) {
+            data.lists = data.lists.map(list => fixFields(list, ['id']));
+        }
+        if (Array.isArray(data.tombstones)) {
+            data.tombstones = data.tombstones.map(tombstone => fixFields(tombstone, ['recordId']));
+        }
+        if (data.settings && typeof data.settings === 'object') {
+            data.settings = fixFields(data.settings, ['currentListId']);
+            if (Array.isArray(data.settings.savedViews)) {
+                data.settings.savedViews = data.settings.savedViews.map(view => fixFields(view, ['id', 'listId']));
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Make sure step numbers are unique and versions never go backwards
+     */
+    validateSteps() {
+        this.steps.forEach((step, index) => {
+            if (typeof step.migrate !== 'function') {
+                throw new Error(`Migration ${step.step} has no migrate function`);
+            }
+
+            const previous = this.steps[index - 1];
+            if (!previous) return;
+
+            if (previous.step === step.step) {
+                throw new Error(`Duplicate migration step number ${step.step}`);
+            }
+            if (TodoMigrations.compareVersions(previous.version, step.version) > 0) {
+                throw new Error(`Migration ${step.step} (${step.version}) is ordered before ${previous.step} (${previous.version})`);
+            }
+        });
+    }
+
+    /**
+     * Steps needed to go from one version to another
+     */
+    getPendingSteps(fromVersion, toVersion) {
+        return this.steps.filter(step =>
+            TodoMigrations.compareVersions(step.version, fromVersion) > 0 &&
+            TodoMigrations.compareVersions(step.version, toVersion) <= 0
+        );
+    }
+
+    /**
+     * Apply pending steps in sequence to a copy of the data.
+     * Throws (leaving the input untouched) if any step fails.
+     */
+    run(data, fromVersion, toVersion) {
+        let current = JSON.parse(JSON.stringify(data));
+
+        this.getPendingSteps(fromVersion, toVersion).forEach(step => {
+            try {
+                current = step.migrate(current) || current;
+            } catch (error) {
+                error.message = `Migration ${step.step} (${step.version}) failed: ${error.message}`;
+                throw error;
+            }
+
+            current.settings = { ...current.settings, version: step.version };
+        });
+
+        current.settings = { ...current.settings, version: toVersion };
+        return current;
+    }
+}
+
+/**
+ * Registered migrations. Each step receives `{ todos, trash, lists, settings }` as raw stored data
+ * and returns (or mutates) it. Append new steps with the next number.
+ */
+TodoMigrations.steps = [
+    {
+        step: 1,
+        version: '1.0.0',
+        description: 'Backfill id, createdAt and completed on pre-1.0 todos',
+        migrate(data) {
+            data.todos = TodoMigrations.records(data.todos)
+                .filter(todo => todo && typeof todo === 'object')
+                .map((todo, index) => ({
+                    ...todo,
+                    id: todo.id ? String(todo.id) : `${Date.now()}${index}${Math.random().toString(36).substr(2, 5)}`,
+                    createdAt: todo.createdAt || new Date().toISOString(),
+                    completed: typeof todo.completed === 'boolean' ? todo.completed : false
+                }));
+            return data;
+        }
+    },
+    {
+        step: 2,
+        version: '1.1.0',
+        description: 'Add the trash collection',
+        migrate(data) {
+            data.trash = TodoMigrations.records(data.trash);
+            return data;
+        }
+    },
+    {
+        step: 3,
+        version: '1.2.0',
+        description: 'Add an empty subtask checklist to every todo',
+        migrate(data) {
+            const addSubtasks = todo => todo && typeof todo === 'object'
+                ? { ...todo, subtasks: Array.isArray(todo.subtasks) ? todo.subtasks : [] }
+                : todo;
+
+            data.todos = TodoMigrations.records(data.todos).map(addSubtasks);
+            data.trash = TodoMigrations.records(data.trash).map(addSubtasks);
+            return data;
+        }
+    },
+    {
+        step: 4,
+        version: '1.3.0',
+        description: 'Add repeat rules to todos',
+        migrate(data) {
+            const addRepeat = todo => todo && typeof todo === 'object'
+                ? { ...todo, repeat: todo.repeat || null, nextOccurrenceId: todo.nextOccurrenceId || null }
+                : todo;
+
+            data.todos = TodoMigrations.records(data.todos).map(addRepeat);
+            data.trash = TodoMigrations.records(data.trash).map(addRepeat);
+            return data;
+        }
+    },
+    {
+        step: 5,
+        version: '1.4.0',
+        description: 'Add lists and put every todo in the Inbox',
+        migrate(data) {
+            const addList = todo => todo && typeof todo === 'object'
+                ? { ...todo, listId: todo.listId || 'inbox' }
+                : todo;
+
+            data.lists = Array.isArray(data.lists) && data.lists.length
+                ? data.lists
+                : [{ id: 'inbox', name: 'Inbox', emoji: '📥', color: '#4F46E5', createdAt: new Date().toISOString() }];
+            data.todos = TodoMigrations.records(data.todos).map(addList);
+            data.trash = TodoMigrations.records(data.trash).map(addList);
+            return data;
+        }
+    },
+    {
+        step: 6,
+        version: '1.5.0',
+        description: 'Add a manual order, starting from the current (newest first) order',
+        migrate(data) {
+            const addOrder = (todo, index) => todo && typeof todo === 'object'
+                ? { ...todo, order: Number.isFinite(todo.order) ? todo.order : index }
+                : todo;
+
+            data.todos = TodoMigrations.records(data.todos).map(addOrder);
+            data.trash = TodoMigrations.records(data.trash).map(addOrder);
+            return data;
+        }
+    },
+    {
+        step: 7,
+        version: '1.6.0',
+        description: 'Add due-date reminders to todos',
+        migrate(data) {
+            const addReminders = todo => todo && typeof todo === 'object'
+                ? { ...todo, reminders: Array.isArray(todo.reminders) ? todo.reminders : [] }
+                : todo;
+
+            data.todos = TodoMigrations.records(data.todos).map(addReminders);
+            data.trash = TodoMigrations.records(data.trash).map(addReminders);
+            return data;
+        }
+    },
+    {
+        step: 8,
+        version: '1.7.0',
+        description: 'Add reminder snoozing to todos',
+        migrate(data) {
+            const addSnooze = todo => todo && typeof todo === 'object'
+                ? { ...todo, snoozedUntil: Number.isFinite(todo.snoozedUntil) ? todo.snoozedUntil : null }
+                : todo;
+
+            data.todos = TodoMigrations.records(data.todos).map(addSnooze);
+            data.trash = TodoMigrations.records(data.trash).map(addSnooze);
+            return data;
+        }
+    },
+    {
+        step: 9,
+        version: '1.8.0',
+        description: 'Stamp every field with its modification time for multi-device merging',
+        migrate(data) {
+            // Existing fields count as changed at the record's last update, on an unknown device
+            const addStamps = record => {
+                if (!record || typeof record !== 'object' || record.fieldTimes) return record;
+
+                const time = Date.parse(record.updatedAt || record.createdAt);
+                const stamp = `${new Date(isNaN(time) ? 0 : time).toISOString()}@legacy`;
+                const fieldTimes = {};
+
+                Object.keys(record).filter(field => field !== 'id').forEach(field => {
+                    fieldTimes[field] = stamp;
+                });
+
+                return { ...record, fieldTimes };
+            };
+
+            data.todos = TodoMigrations.records(data.todos).map(addStamps);
+            data.trash = TodoMigrations.records(data.trash).map(addStamps);
+            data.lists = TodoMigrations.records(data.lists).map(addStamps);
+            data.tombstones = TodoMigrations.records(data.tombstones);
+            return data;
+        }
+    },
+    {
+        step: 10,
+        version: '1.9.0',
+        description: 'Add the archive collection for completed todos',
+        migrate(data) {
+            data.archive = TodoMigrations.records(data.archive);
+            return data;
+        }
+    },
+    {
+        step: 11,
+        version: '1.10.0',
+        description: 'Give records with IDs that are unsafe in markup new IDs',
+        migrate(data) {
+            return TodoMigrations.reassignIds(data);
+        }
+    }
+];
+
+// IDs that are safe in markup and inline handlers (TodoStorage only loads these).
+// Kept here as well so step 11 keeps migrating to the same rule.
+TodoMigrations.ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TodoMigrations = TodoMigrations;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoMigrations;
+}
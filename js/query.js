@@ -0,0 +1,433 @@
+/**
+ * Todo PWA - Search Query Language
+ * Parses search box queries such as
+ *   tag:work is:overdue -priority:low "quarterly report" (due:<2026-11-01 OR is:today)
+ * into a small syntax tree, and matches todos against it.
+ *
+ * Terms next to each other must all match; OR (or |) matches either side,
+ * a leading - or NOT negates, and parentheses group.
+ */
+
+class TodoQuery {
+    /**
+     * Parse a query. Always returns a usable tree (null matches everything);
+     * invalid terms are left out and reported in `errors` as { message, start, end }.
+     */
+    static parse(text, now = new Date()) {
+        const parser = new TodoQuery(String(text || ''), now);
+        return parser.parseQuery();
+    }
+
+    constructor(text, now = new Date()) {
+        this.text = text;
+        this.now = now;
+        this.errors = [];
+        this.tokens = this.tokenize(text);
+        this.position = 0;
+    }
+
+    /**
+     * Split the query into words, phrases, parentheses and operators
+     */
+    tokenize(text) {
+        const tokens = [];
+        let index = 0;
+
+        while (index < text.length) {
+            const char = text[index];
+
+            if (/\s/.test(char)) {
+                index++;
+                continue;
+            }
+
+            if (char === '(' || char === ')') {
+                tokens.push({ type: char === '(' ? 'lparen' : 'rparen', start: index, end: index + 1 });
+                index++;
+                continue;
+            }
+
+            if (char === '|') {
+                tokens.push({ type: 'or', start: index, end: index + 1 });
+                index++;
+                continue;
+            }
+
+            // A leading minus negates the following term
+            if (char === '-' && index + 1 < text.length && !/\s/.test(text[index + 1])) {
+                tokens.push({ type: 'not', start: index, end: index + 1 });
+                index++;
+                continue;
+            }
+
+            const start = index;
+            const phrase = char === '"';
+            let value = '';
+
+            // Read a word; a quote starts a phrase (also as a field value, e.g. title:"a b")
+            while (index < text.length && !/[\s()|]/.test(text[index])) {
+                if (text[index] === '"') {
+                    const close = text.indexOf('"', index + 1);
+
+                    if (close === -1) {
+                        this.error('Missing closing quote', index, text.length);
+                        value += text.slice(index + 1);
+                        index = text.length;
+                    } else {
+                        value += text.slice(index + 1, close);
+                        index = close + 1;
+                    }
+
+                    continue;
+                }
+
+                value += text[index];
+                index++;
+            }
+
+            if (!phrase && (value === 'OR' || value === 'AND' || value === 'NOT')) {
+                tokens.push({ type: value.toLowerCase(), start, end: index });
+            } else {
+                tokens.push({ type: phrase ? 'phrase' : 'word', value, start, end: index });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parse the whole token stream
+     */
+    parseQuery() {
+        let ast = this.parseOr();
+
+        // Anything left over is an unmatched closing parenthesis
+        while (this.position < this.tokens.length) {
+            const token = this.tokens[this.position++];
+            this.error('Unmatched ")"', token.start, token.end);
+
+            const rest = this.parseOr();
+            ast = TodoQuery.combine('and', [ast, rest]);
+        }
+
+        return { ast, errors: this.errors };
+    }
+
+    parseOr() {
+        const children = [this.parseAnd()];
+
+        while (this.peek('or')) {
+            const operator = this.tokens[this.position++];
+            const next = this.parseAnd();
+
+            // Once per operator, whichever side is missing
+            if (!next || (children.length === 1 && !children[0])) {
+                this.error('OR needs a term on both sides', operator.start, operator.end);
+            }
+            children.push(next);
+        }
+
+        return TodoQuery.combine('or', children);
+    }
+
+    parseAnd() {
+        const children = [];
+
+        while (this.position < this.tokens.length && !this.peek('or') && !this.peek('rparen')) {
+            if (this.peek('and')) {
+                this.position++;
+                continue;
+            }
+            children.push(this.parseUnary());
+        }
+
+        return TodoQuery.combine('and', children);
+    }
+
+    parseUnary() {
+        if (this.peek('not')) {
+            const operator = this.tokens[this.position++];
+
+            if (this.position >= this.tokens.length || this.peek('or') || this.peek('and') || this.peek('rparen')) {
+                this.error('Nothing to negate', operator.start, operator.end);
+                return null;
+            }
+
+            const child = this.parseUnary();
+            return child ? { type: 'not', child } : null;
+        }
+
+        if (this.peek('lparen')) {
+            const open = this.tokens[this.position++];
+            const inner = this.parseOr();
+
+            if (this.peek('rparen')) {
+                this.position++;
+            } else {
+                this.error('Missing ")"', open.start, open.end);
+            }
+
+            return inner;
+        }
+
+        return this.parseTerm(this.tokens[this.position++]);
+    }
+
+    /**
+     * Turn a word or phrase into a filter node
+     */
+    parseTerm(token) {
+        // Operators are handled by the callers; one reaching here has nothing to apply to
+        if (token.type !== 'word' && token.type !== 'phrase') {
+            this.error(`Unexpected "${this.text.slice(token.start, token.end)}"`, token.start, token.end);
+            return null;
+        }
+
+        if (token.type === 'phrase') {
+            return token.value.trim() ? { type: 'text', value: token.value.toLowerCase(), phrase: true } : null;
+        }
+
+        const match = /^([a-z_]+):(.*)$/i.exec(token.value);
+        if (!match) {
+            return { type: 'text', value: token.value.toLowerCase() };
+        }
+
+        const field = TodoQuery.lookup(TodoQuery.FIELDS, match[1]);
+        if (!field) {
+            this.error(
+                `Unknown field "${match[1]}:" (try ${Object.keys(TodoQuery.FIELDS).map(key => `${key}:`).join(', ')}, or quote it to search for the text)`,
+                token.start,
+                token.end
+            );
+            return null;
+        }
+
+        const value = match[2];
+        if (!value) {
+            this.error(`"${match[1]}:" needs a value`, token.start, token.end);
+            return null;
+        }
+
+        const node = this[field](value);
+        if (typeof node === 'string') {
+            this.error(node, token.start, token.end);
+            return null;
+        }
+
+        return node;
+    }
+
+    parseTag(value) {
+        return { type: 'tag', value: value.replace(/^#/, '').toLowerCase() };
+    }
+
+    parseStatus(value) {
+        const status = TodoQuery.lookup(TodoQuery.STATUSES, value);
+        return status
+            ? { type: 'is', value: status }
+            : `Unknown status "${value}" (try ${Object.keys(TodoQuery.STATUSES).map(key => `is:${key}`).join(', ')})`;
+    }
+
+    parseDue(value) {
+        return this.parseDateComparison('due', value, true);
+    }
+
+    parseCreated(value) {
+        return this.parseDateComparison('created', value, false);
+    }
+
+    /**
+     * Parse "<2026-11-01", ">=today", "tomorrow" or (for due) "none"
+     */
+    parseDateComparison(type, value, allowNone) {
+        if (allowNone && /^(none|never)$/i.test(value)) {
+            return { type, op: 'none' };
+        }
+
+        const [, op, rawDate] = /^(<=|>=|<|>|=)?(.*)$/.exec(value);
+        const date = TodoQuery.resolveDate(rawDate, this.now);
+
+        return date
+            ? { type, op: op || '=', value: date }
+            : `Invalid date "${rawDate}" (use YYYY-MM-DD, today, tomorrow or yesterday)`;
+    }
+
+    parsePriority(value) {
+        const [, op, level] = /^(<=|>=|<|>|=)?(.*)$/.exec(value.toLowerCase());
+
+        return TodoStorage.PRIORITIES.includes(level)
+            ? { type: 'priority', op: op || '=', value: level }
+            : `Unknown priority "${level}" (use ${TodoStorage.PRIORITIES.join(', ')})`;
+    }
+
+    parseList(value) {
+        return { type: 'list', value: value.toLowerCase() };
+    }
+
+    parseTitle(value) {
+        return { type: 'field', field: 'title', value: value.toLowerCase() };
+    }
+
+    parseDescription(value) {
+        return { type: 'field', field: 'description', value: value.toLowerCase() };
+    }
+
+    peek(type) {
+        const token = this.tokens[this.position];
+        return Boolean(token) && token.type === type;
+    }
+
+    error(message, start, end) {
+        this.errors.push({ message, start, end });
+    }
+
+    /**
+     * A table entry by case-insensitive key, ignoring keys every object inherits
+     * ("constructor", "__proto__")
+     */
+    static lookup(table, key) {
+        const name = key.toLowerCase();
+        return Object.prototype.hasOwnProperty.call(table, name) ? table[name] : null;
+    }
+
+    /**
+     * Build an and/or node, dropping empty children and single-child wrappers
+     */
+    static combine(type, children) {
+        children = children.filter(Boolean);
+
+        if (children.length === 0) return null;
+        if (children.length === 1) return children[0];
+
+        return { type, children };
+    }
+
+    /**
+     * 'YYYY-MM-DD', 'today', 'tomorrow' or 'yesterday' -> 'YYYY-MM-DD' (local), or null
+     */
+    static resolveDate(value, now = new Date()) {
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const relative = { yesterday: -1, today: 0, tomorrow: 1 }[value.toLowerCase()];
+
+        if (relative !== undefined) {
+            return TodoRecurrence.formatDate(TodoRecurrence.addDays(today, relative));
+        }
+
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(value) && TodoRecurrence.parseDate(value);
+        return date && TodoRecurrence.formatDate(date) === value ? value : null;
+    }
+
+    /**
+     * Check a todo against a parsed tree.
+     * `context` is { now, lists, matchText } where lists resolve list: terms by name or ID
+     * and matchText(todo, node), if given, replaces the plain substring test for text terms.
+     */
+    static matches(todo, ast, context = {}) {
+        if (!ast) return true;
+
+        const now = context.now || new Date();
+
+        switch (ast.type) {
+            case 'and':
+                return ast.children.every(child => TodoQuery.matches(todo, child, context));
+            case 'or':
+                return ast.children.some(child => TodoQuery.matches(todo, child, context));
+            case 'not':
+                return !TodoQuery.matches(todo, ast.child, context);
+            case 'text':
+                // Storage supplies a fuzzy matcher backed by its search index
+                return context.matchText
+                    ? context.matchText(todo, ast)
+                    : TodoQuery.searchableText(todo).includes(ast.value);
+            case 'field':
+                return (todo[ast.field] || '').toLowerCase().includes(ast.value);
+            case 'tag':
+                return todo.tags.some(tag => tag.toLowerCase() === ast.value);
+            case 'list': {
+                const list = (context.lists || []).find(entry => entry.id === todo.listId);
+                return todo.listId === ast.value || Boolean(list && list.name.toLowerCase() === ast.value);
+            }
+            case 'priority': {
+                const rank = level => TodoStorage.PRIORITIES.length - TodoStorage.PRIORITIES.indexOf(level);
+                return TodoQuery.compare(rank(todo.priority), ast.op, rank(ast.value));
+            }
+            case 'due':
+                if (ast.op === 'none') return !todo.dueDate;
+                return Boolean(todo.dueDate) && TodoQuery.compare(TodoDates.dayOf(todo.dueDate), ast.op, ast.value);
+            case 'created':
+                return TodoQuery.compare(TodoRecurrence.formatDate(new Date(todo.createdAt)), ast.op, ast.value);
+            case 'is':
+                switch (ast.value) {
+                    case 'done':
+                        return todo.completed;
+                    case 'open':
+                        return !todo.completed;
+                    case 'overdue':
+                        return !todo.completed && TodoDates.isOverdue(todo.dueDate, now);
+                    case 'today':
+                        return TodoDates.isDueToday(todo.dueDate, now);
+                    case 'recurring':
+                        return Boolean(todo.repeat);
+                }
+                return false;
+            default:
+                return true;
+        }
+    }
+
+    static compare(left, op, right) {
+        switch (op) {
+            case '<': return left < right;
+            case '<=': return left <= right;
+            case '>': return left > right;
+            case '>=': return left >= right;
+            default: return left === right;
+        }
+    }
+
+    /**
+     * Lowercased text that plain words and phrases search in
+     */
+    static searchableText(todo) {
+        return [
+            todo.title,
+            todo.description,
+            ...todo.tags,
+            ...todo.subtasks.map(subtask => subtask.title)
+        ].join('\n').toLowerCase();
+    }
+}
+
+// Field name -> parse method
+TodoQuery.FIELDS = {
+    tag: 'parseTag',
+    is: 'parseStatus',
+    due: 'parseDue',
+    created: 'parseCreated',
+    priority: 'parsePriority',
+    p: 'parsePriority',
+    list: 'parseList',
+    title: 'parseTitle',
+    desc: 'parseDescription',
+    description: 'parseDescription'
+};
+
+// is: value -> status
+TodoQuery.STATUSES = {
+    done: 'done',
+    completed: 'done',
+    open: 'open',
+    pending: 'open',
+    overdue: 'overdue',
+    today: 'today',
+    recurring: 'recurring'
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TodoQuery = TodoQuery;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoQuery;
+}
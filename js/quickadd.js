@@ -0,0 +1,242 @@
+/**
+ * Todo PWA - Quick Add Parsing
+ * Pulls due dates, times, tags, priority and repeat rules out of a typed title,
+ * e.g. "Pay rent tomorrow 9am #home !high every month". Runs fully offline.
+ *
+ * Text in double quotes is kept as typed: "Monday Night Football" tomorrow
+ */
+
+class TodoQuickAdd {
+    /**
+     * Parse a typed title. `now` is injectable so results can be checked against a fixed clock.
+     * Returns { title, dueDate, time, tags, priority, repeat }; unrecognised parts stay null/empty.
+     */
+    static parse(text, now = new Date()) {
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const result = {
+            title: '',
+            dueDate: null,
+            time: null,
+            tags: [],
+            priority: null,
+            repeat: null
+        };
+        let date = null;
+
+        // Hide quoted text from the matchers
+        const quoted = [];
+        let working = String(text || '').replace(/"([^"]*)"/g, (match, inner) => {
+            quoted.push(inner);
+            return `\u0000${quoted.length - 1}\u0000`;
+        });
+
+        // Replace every match the handler accepts with a space
+        const take = (pattern, handler) => {
+            working = working.replace(pattern, (...args) => handler(...args) === false ? args[0] : ' ');
+        };
+
+        const { WEEKDAY, FULL_WEEKDAY, MONTH, BEFORE, AFTER } = TodoQuickAdd.PATTERNS;
+
+        // Tags
+        take(new RegExp(`${BEFORE}#([\\p{L}\\p{N}_/-]+)`, 'giu'), (match, tag) => {
+            result.tags.push(tag);
+        });
+
+        // Priority
+        take(new RegExp(`${BEFORE}(!!!|!!|!(?:urgent|high|normal|low))${AFTER}`, 'gi'), (match, marker) => {
+            const shorthand = { '!!!': 'urgent', '!!': 'high' };
+            result.priority = shorthand[marker] || marker.slice(1).toLowerCase();
+        });
+
+        // Repeat rules
+        take(new RegExp(`${BEFORE}every\\s+weekday${AFTER}`, 'gi'), () => {
+            result.repeat = { freq: 'weekly', byWeekday: [1, 2, 3, 4, 5] };
+        });
+
+        take(new RegExp(`${BEFORE}every\\s+(${WEEKDAY}(?:\\s*(?:,|and|&)\\s*${WEEKDAY})*)${AFTER}`, 'gi'), (match, days) => {
+            const byWeekday = days.split(/\s*(?:,|and|&)\s*/i).map(day => TodoQuickAdd.weekdayIndex(day));
+            result.repeat = { freq: 'weekly', byWeekday };
+        });
+
+        take(new RegExp(`${BEFORE}every\\s+(other\\s+|\\d+\\s+)?(day|week|month|year)s?${AFTER}`, 'gi'), (match, interval, unit) => {
+            const freq = { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' }[unit.toLowerCase()];
+            const count = !interval ? 1 : /other/i.test(interval) ? 2 : parseInt(interval, 10);
+            result.repeat = { freq, interval: count };
+        });
+
+        take(new RegExp(`${BEFORE}(daily|weekly|monthly|yearly|annually)${AFTER}`, 'gi'), (match, word) => {
+            const freq = word.toLowerCase() === 'annually' ? 'yearly' : word.toLowerCase();
+            result.repeat = { freq };
+        });
+
+        // Dates
+        const prefix = '(?:(?:on|due|by)\\s+)?';
+
+        take(new RegExp(`${BEFORE}${prefix}(\\d{4}-\\d{2}-\\d{2})${AFTER}`, 'gi'), (match, iso) => {
+            // Impossible days (2026-02-30) stay in the title rather than rolling over
+            const parsed = TodoRecurrence.parseDate(iso);
+            if (!parsed || TodoRecurrence.formatDate(parsed) !== iso) return false;
+
+            date = parsed;
+        });
+
+        take(new RegExp(`${BEFORE}${prefix}(today|tonight|tomorrow|tmrw|tmr)${AFTER}`, 'gi'), (match, word) => {
+            word = word.toLowerCase();
+            date = word === 'today' || word === 'tonight' ? today : TodoRecurrence.addDays(today, 1);
+
+            if (word === 'tonight' && !result.time) {
+                result.time = '20:00';
+            }
+        });
+
+        take(new RegExp(`${BEFORE}in\\s+(a|an|\\d+)\\s+(day|week|month|year)s?${AFTER}`, 'gi'), (match, amount, unit) => {
+            const count = /^an?$/i.test(amount) ? 1 : parseInt(amount, 10);
+
+            switch (unit.toLowerCase()) {
+                case 'day':
+                    date = TodoRecurrence.addDays(today, count);
+                    break;
+                case 'week':
+                    date = TodoRecurrence.addDays(today, count * 7);
+                    break;
+                case 'month':
+                    date = TodoRecurrence.addMonths(today, count, today.getDate());
+                    break;
+                case 'year':
+                    date = TodoRecurrence.addMonths(today, count * 12, today.getDate());
+                    break;
+            }
+        });
+
+        take(new RegExp(`${BEFORE}next\\s+week${AFTER}`, 'gi'), () => {
+            // Monday of next week
+            date = TodoRecurrence.addDays(today, ((8 - today.getDay()) % 7) || 7);
+        });
+
+        // Short day names are ordinary words too ("sun cream", "sat nav"), so they need a prefix
+        const weekday = `${prefix}(?:next\\s+)?(${FULL_WEEKDAY})|(?:(?:on|due|by)\\s+(?:next\\s+)?|next\\s+)(${WEEKDAY})`;
+
+        take(new RegExp(`${BEFORE}(?:${weekday})${AFTER}`, 'gi'), (match, fullDay, shortDay) => {
+            const day = fullDay || shortDay;
+
+            // The coming weekday, never today
+            const offset = (TodoQuickAdd.weekdayIndex(day) - today.getDay() + 7) % 7 || 7;
+            date = TodoRecurrence.addDays(today, offset);
+        });
+
+        take(new RegExp(`${BEFORE}${prefix}(${MONTH})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?${AFTER}`, 'gi'), (match, month, day, year) => {
+            date = TodoQuickAdd.calendarDate(today, month, day, year);
+            return date ? undefined : false;
+        });
+
+        take(new RegExp(`${BEFORE}${prefix}(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH})\\.?(?:\\s+(\\d{4}))?${AFTER}`, 'gi'), (match, day, month, year) => {
+            date = TodoQuickAdd.calendarDate(today, month, day, year);
+            return date ? undefined : false;
+        });
+
+        // Times
+        take(new RegExp(`${BEFORE}(?:at\\s+)?(\\d{1,2})(?::([0-5]\\d))?\\s*(am|pm)${AFTER}`, 'gi'), (match, hours, minutes, meridiem) => {
+            hours = parseInt(hours, 10);
+            if (hours < 1 || hours > 12) return false;
+
+            hours = (hours % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+            result.time = TodoQuickAdd.formatTime(hours, minutes);
+        });
+
+        take(new RegExp(`${BEFORE}(?:at\\s+)?([01]?\\d|2[0-3]):([0-5]\\d)${AFTER}`, 'gi'), (match, hours, minutes) => {
+            result.time = TodoQuickAdd.formatTime(parseInt(hours, 10), minutes);
+        });
+
+        take(new RegExp(`${BEFORE}(?:at\\s+)?(noon|midday|midnight)${AFTER}`, 'gi'), (match, word) => {
+            result.time = word.toLowerCase() === 'midnight' ? '00:00' : '12:00';
+        });
+
+        // Anchor repeat rules on the due date (or the first matching day)
+        if (result.repeat) {
+            if (!date) {
+                date = result.repeat.byWeekday
+                    ? TodoQuickAdd.firstMatchingDay(today, result.repeat.byWeekday)
+                    : today;
+            }
+            if (result.repeat.freq === 'weekly' && !result.repeat.byWeekday) {
+                result.repeat.byWeekday = [date.getDay()];
+            }
+            result.repeat = TodoRecurrence.anchor(result.repeat, TodoRecurrence.formatDate(date));
+        }
+
+        // A time alone means today, or tomorrow once that time has passed
+        if (result.time && !date) {
+            const [hours, minutes] = result.time.split(':').map(Number);
+            const passed = now.getHours() * 60 + now.getMinutes() >= hours * 60 + minutes;
+            date = passed ? TodoRecurrence.addDays(today, 1) : today;
+        }
+
+        if (date) {
+            result.dueDate = TodoRecurrence.formatDate(date) + (result.time ? `T${result.time}` : '');
+        }
+
+        // Whatever is left (with quoted text put back) is the title
+        result.title = working
+            .replace(/\u0000(\d+)\u0000/g, (match, index) => quoted[index])
+            .replace(/\s+/g, ' ')
+            .replace(/\s+([,.;!?])/g, '$1')
+            .trim();
+
+        return result;
+    }
+
+    /**
+     * 'mon', 'Tuesday', 'thurs' -> 0-6 (Sunday = 0)
+     */
+    static weekdayIndex(name) {
+        return ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].indexOf(name.slice(0, 3).toLowerCase());
+    }
+
+    /**
+     * Build a date from month name and day; without a year the next such date is used
+     */
+    static calendarDate(today, monthName, day, year) {
+        const month = TodoQuickAdd.MONTHS.indexOf(monthName.slice(0, 3).toLowerCase());
+        day = parseInt(day, 10);
+
+        let date = new Date(year ? parseInt(year, 10) : today.getFullYear(), month, day);
+        if (date.getMonth() !== month) return null; // e.g. Feb 30
+
+        if (!year && date < today) {
+            date = new Date(today.getFullYear() + 1, month, day);
+        }
+
+        return date;
+    }
+
+    /**
+     * First day on or after `from` that falls on one of the weekdays
+     */
+    static firstMatchingDay(from, weekdays) {
+        const offset = Math.min(...weekdays.map(day => (day - from.getDay() + 7) % 7));
+        return TodoRecurrence.addDays(from, offset);
+    }
+
+    static formatTime(hours, minutes) {
+        return `${String(hours).padStart(2, '0')}:${minutes || '00'}`;
+    }
+}
+
+TodoQuickAdd.MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+TodoQuickAdd.PATTERNS = {
+    WEEKDAY: '(?:monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)',
+    FULL_WEEKDAY: '(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday)',
+    MONTH: '(?:january|february|march|april|may|june|july|august|september|sept|october|november|december|jan|feb|mar|apr|jun|jul|aug|sep|oct|nov|dec)',
+    // Matches must start and end on word boundaries (whitespace or punctuation)
+    BEFORE: '(?<=^|\\s)',
+    AFTER: '(?=$|\\s|[,.;!?])'
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TodoQuickAdd = TodoQuickAdd;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoQuickAdd;
+}
@@ -0,0 +1,273 @@
+/**
+ * Todo PWA - Recurrence Rules
+ * RRULE-style repeat rules: computing the next due date and describing a rule
+ *
+ * A rule looks like:
+ *   { freq: 'weekly', interval: 1, byWeekday: [1, 3], byMonthDay: null, byMonth: null,
+ *     until: '2026-12-31', count: null, occurrence: 1 }
+ * `occurrence` counts generated occurrences so `count` can end the series. Monthly and
+ * yearly rules keep the day (and month) they started on in `byMonthDay` and `byMonth`,
+ * so a rule for the 31st comes back to the 31st after a shorter month.
+ */
+
+class TodoRecurrence {
+    /**
+     * Clean up a rule, or return null if it isn't a valid rule
+     */
+    static normalize(rule) {
+        if (!rule || typeof rule !== 'object') return null;
+        if (!TodoRecurrence.FREQUENCIES.includes(rule.freq)) return null;
+
+        const interval = parseInt(rule.interval, 10);
+        const count = parseInt(rule.count, 10);
+        const occurrence = parseInt(rule.occurrence, 10);
+        const byMonthDay = parseInt(rule.byMonthDay, 10);
+        const byMonth = parseInt(rule.byMonth, 10);
+
+        const byWeekday = Array.isArray(rule.byWeekday)
+            ? [...new Set(rule.byWeekday.map(day => parseInt(day, 10)))]
+                .filter(day => day >= 0 && day <= 6)
+                .sort((a, b) => a - b)
+            : [];
+
+        return {
+            freq: rule.freq,
+            interval: interval > 0 ? interval : 1,
+            byWeekday: rule.freq === 'weekly' ? byWeekday : [],
+            byMonthDay: (rule.freq === 'monthly' && byMonthDay === -1) ||
+                (['monthly', 'yearly'].includes(rule.freq) && byMonthDay >= 1 && byMonthDay <= 31)
+                ? byMonthDay
+                : null,
+            byMonth: rule.freq === 'yearly' && byMonth >= 1 && byMonth <= 12 ? byMonth : null,
+            until: TodoRecurrence.parseDate(rule.until) ? rule.until.slice(0, 10) : null,
+            count: count > 0 ? count : null,
+            occurrence: occurrence > 0 ? occurrence : 1
+        };
+    }
+
+    /**
+     * Pin a monthly or yearly rule to the day (and month) of its first due date, unless it
+     * already names one. Call when a rule is created or changed.
+     */
+    static anchor(rule, dueDate) {
+        rule = TodoRecurrence.normalize(rule);
+        const date = TodoRecurrence.parseDate(dueDate);
+        if (!rule || !date) return rule;
+
+        if ((rule.freq === 'monthly' || rule.freq === 'yearly') && !rule.byMonthDay) {
+            rule.byMonthDay = date.getDate();
+        }
+        if (rule.freq === 'yearly' && !rule.byMonth) {
+            rule.byMonth = date.getMonth() + 1;
+        }
+
+        return rule;
+    }
+
+    /**
+     * Compute the due date after `fromDate` ('YYYY-MM-DD', optionally with 'THH:MM').
+     * Returns null once the series has ended.
+     */
+    static nextDate(rule, fromDate) {
+        rule = TodoRecurrence.normalize(rule);
+        if (!rule || !fromDate) return null;
+
+        if (rule.count && rule.occurrence >= rule.count) return null;
+
+        const [datePart, timePart] = String(fromDate).split('T');
+        const from = TodoRecurrence.parseDate(datePart);
+        if (!from) return null;
+
+        let next;
+
+        switch (rule.freq) {
+            case 'daily':
+                next = TodoRecurrence.addDays(from, rule.interval);
+                break;
+            case 'weekly':
+                next = TodoRecurrence.nextWeekly(rule, from);
+                break;
+            case 'monthly':
+                next = TodoRecurrence.addMonths(from, rule.interval, rule.byMonthDay || from.getDate());
+                break;
+            case 'yearly': {
+                const month = rule.byMonth ? rule.byMonth - 1 : from.getMonth();
+                const year = new Date(from.getFullYear() + rule.interval, month, 1);
+                next = TodoRecurrence.addMonths(year, 0, rule.byMonthDay || from.getDate());
+                break;
+            }
+        }
+
+        const nextDate = TodoRecurrence.formatDate(next);
+
+        if (rule.until && nextDate > rule.until) return null;
+
+        return timePart ? `${nextDate}T${timePart}` : nextDate;
+    }
+
+    /**
+     * Next matching weekday, moving `interval` weeks ahead once this week is used up
+     */
+    static nextWeekly(rule, from) {
+        const weekdays = rule.byWeekday.length ? rule.byWeekday : [from.getDay()];
+
+        // Remaining days in the same (Sunday-based) week
+        const laterThisWeek = weekdays.find(day => day > from.getDay());
+        if (laterThisWeek !== undefined) {
+            return TodoRecurrence.addDays(from, laterThisWeek - from.getDay());
+        }
+
+        const weekStart = TodoRecurrence.addDays(from, -from.getDay() + 7 * rule.interval);
+        return TodoRecurrence.addDays(weekStart, weekdays[0]);
+    }
+
+    /**
+     * Add months, clamping the day to the target month's length (-1 means last day)
+     */
+    static addMonths(date, months, day) {
+        const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+        const daysInMonth = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+        const wantedDay = day === -1 ? daysInMonth : Math.min(day, daysInMonth);
+
+        return new Date(target.getFullYear(), target.getMonth(), wantedDay);
+    }
+
+    /**
+     * Add calendar days (safe across DST changes)
+     */
+    static addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    /**
+     * Build the next occurrence of a recurring todo, or null when the series has ended.
+     * `generateId` creates record IDs (storage and the service worker share this).
+     */
+    static createNext(todo, generateId) {
+        const dueDate = TodoRecurrence.nextDate(todo.repeat, todo.dueDate);
+        if (!dueDate) return null;
+
+        return {
+            id: generateId(),
+            title: todo.title,
+            completed: false,
+            dueDate,
+            createdAt: new Date().toISOString(),
+            completedAt: null,
+            priority: todo.priority,
+            tags: [...todo.tags],
+            description: todo.description,
+            subtasks: todo.subtasks.map(subtask => ({
+                ...subtask,
+                id: generateId(),
+                completed: false
+            })),
+            repeat: TodoRecurrence.advance(todo.repeat),
+            nextOccurrenceId: null,
+            listId: todo.listId,
+            // Take the place of the completed occurrence
+            order: todo.order,
+            reminders: [...todo.reminders],
+            snoozedUntil: null
+        };
+    }
+
+    /**
+     * Build the rule for the occurrence after this one
+     */
+    static advance(rule) {
+        rule = TodoRecurrence.normalize(rule);
+        return rule ? { ...rule, occurrence: rule.occurrence + 1 } : null;
+    }
+
+    /**
+     * Human-readable description, e.g. "Every 2 weeks on Mon, Wed until Dec 31, 2026"
+     */
+    static describe(rule) {
+        rule = TodoRecurrence.normalize(rule);
+        if (!rule) return '';
+
+        const units = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+        const unit = units[rule.freq];
+        let text = rule.interval === 1
+            ? TodoRecurrence.LABELS[rule.freq]
+            : `Every ${rule.interval} ${unit}s`;
+
+        if (rule.freq === 'weekly' && rule.byWeekday.length) {
+            const isWeekdays = rule.byWeekday.join(',') === '1,2,3,4,5';
+
+            text = isWeekdays && rule.interval === 1
+                ? 'Every weekday'
+                : `${text} on ${rule.byWeekday.map(day => TodoRecurrence.WEEKDAYS[day]).join(', ')}`;
+        }
+
+        if (rule.freq === 'monthly' && rule.byMonthDay) {
+            text += rule.byMonthDay === -1
+                ? ' on the last day'
+                : ` on the ${TodoRecurrence.ordinal(rule.byMonthDay)}`;
+        }
+
+        if (rule.until) {
+            text += ` until ${TodoRecurrence.parseDate(rule.until).toLocaleDateString(undefined, {
+                month: 'short',
+                day: 'numeric',
+                year: 'numeric'
+            })}`;
+        } else if (rule.count) {
+            text += `, ${rule.count} times`;
+        }
+
+        return text;
+    }
+
+    /**
+     * 1 -> "1st", 22 -> "22nd"
+     */
+    static ordinal(number) {
+        const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+        const rules = new Intl.PluralRules('en-US', { type: 'ordinal' });
+        return `${number}${suffixes[rules.select(number)]}`;
+    }
+
+    /**
+     * Parse 'YYYY-MM-DD' as a local calendar date, or null for days that don't exist (2026-02-30)
+     */
+    static parseDate(value) {
+        if (!TodoRecurrence.isDateString(value)) return null;
+
+        const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+
+        return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+    }
+
+    /**
+     * Format a Date as local 'YYYY-MM-DD'
+     */
+    static formatDate(date) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    static isDateString(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value);
+    }
+}
+
+TodoRecurrence.FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+TodoRecurrence.WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+TodoRecurrence.LABELS = {
+    daily: 'Daily',
+    weekly: 'Weekly',
+    monthly: 'Monthly',
+    yearly: 'Yearly'
+};
+
+// Export for the page and the service worker (importScripts)
+if (typeof self !== 'undefined') {
+    self.TodoRecurrence = TodoRecurrence;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoRecurrence;
+}
@@ -0,0 +1,208 @@
+/**
+ * Todo PWA - Reminders
+ * Works out when due-date reminders fire. Shared by the page (which schedules
+ * them while it is open) and the service worker (which delivers them in the background).
+ */
+
+class TodoReminders {
+    /**
+     * Keep known reminder keys, in display order, without duplicates
+     */
+    static normalize(reminders) {
+        if (!Array.isArray(reminders)) return [];
+
+        return Object.keys(TodoReminders.OPTIONS).filter(key => reminders.includes(key));
+    }
+
+    /**
+     * When a reminder fires, as a Date (null without a due date).
+     * All-day todos are treated as due on the morning of their day.
+     */
+    static fireTime(dueDate, key) {
+        const option = TodoReminders.OPTIONS[key];
+        if (!dueDate || !option) return null;
+
+        const morning = TodoDates.toDate(TodoDates.dayOf(dueDate));
+        morning.setHours(TodoReminders.MORNING_HOUR, 0);
+
+        if (option.morning) return morning;
+
+        const base = TodoDates.isAllDay(dueDate) ? morning : TodoDates.toDate(dueDate);
+
+        // Whole days are calendar days, so DST changes keep the time of day
+        if (option.days) {
+            base.setDate(base.getDate() - option.days);
+            return base;
+        }
+
+        return new Date(base.getTime() - option.minutes * 60 * 1000);
+    }
+
+    /**
+     * All reminders of open todos, as { id, todoId, title, dueDate, key, time }.
+     * The ID changes with the due date, so a rescheduled todo reminds again.
+     */
+    static list(todos) {
+        const reminders = [];
+
+        todos.forEach(todo => {
+            if (todo.completed || !todo.dueDate) return;
+
+            // A snoozed reminder comes back once, at the snooze time
+            if (Number.isFinite(todo.snoozedUntil)) {
+                reminders.push({
+                    id: `${todo.id}:snooze:${todo.snoozedUntil}`,
+                    todoId: todo.id,
+                    title: todo.title,
+                    dueDate: todo.dueDate,
+                    key: 'snooze',
+                    time: todo.snoozedUntil
+                });
+            }
+
+            TodoReminders.normalize(todo.reminders).forEach(key => {
+                reminders.push({
+                    id: `${todo.id}:${key}:${todo.dueDate}`,
+                    todoId: todo.id,
+                    title: todo.title,
+                    dueDate: todo.dueDate,
+                    key,
+                    time: TodoReminders.fireTime(todo.dueDate, key).getTime()
+                });
+            });
+        });
+
+        return reminders.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Reminders that fell due after `since` and up to `now` (timestamps).
+     * Catching up is limited so a device that was off for a week doesn't get flooded.
+     */
+    static collectDue(todos, since, now = Date.now()) {
+        const from = Math.max(since, now - TodoReminders.MAX_CATCH_UP);
+        return TodoReminders.list(todos).filter(reminder => reminder.time > from && reminder.time <= now);
+    }
+
+    /**
+     * Timestamp of the next reminder after `now`, or null
+     */
+    static nextTime(todos, now = Date.now()) {
+        const next = TodoReminders.list(todos).find(reminder => reminder.time > now);
+        return next ? next.time : null;
+    }
+
+    /**
+     * Title and showNotification() options for a reminder
+     */
+    static getNotification(reminder, now = new Date()) {
+        const due = TodoDates.toDate(reminder.dueDate);
+        const days = TodoDates.daysUntil(reminder.dueDate, now);
+        const day = days === 0 ? 'today' : days === 1 ? 'tomorrow' : due.toLocaleDateString();
+        const time = TodoDates.isAllDay(reminder.dueDate)
+            ? ''
+            : ` at ${due.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}`;
+
+        return {
+            title: reminder.title,
+            options: {
+                body: `Due ${day}${time}`,
+                icon: '/images/icon-192x192.png',
+                badge: '/images/icon-72x72.png',
+                tag: reminder.id,
+                timestamp: reminder.time,
+                // Handled by the service worker without opening a window
+                actions: Object.keys(TodoReminders.ACTIONS).map(action => ({
+                    action,
+                    title: TodoReminders.ACTIONS[action]
+                })),
+                data: {
+                    todoId: reminder.todoId,
+                    url: `/?todo=${encodeURIComponent(reminder.todoId)}`
+                }
+            }
+        };
+    }
+
+    /**
+     * Apply a notification action ('complete' or 'snooze') to a todo.
+     * Returns the updated todos array, or null when there is nothing to change.
+     * Completing a recurring todo schedules its next occurrence, as the page does.
+     */
+    static applyAction(todos, todoId, action, generateId, now = Date.now()) {
+        const index = todos.findIndex(todo => todo.id === todoId);
+        const todo = todos[index];
+
+        if (!todo || todo.completed || !TodoReminders.ACTIONS[action]) return null;
+
+        const updatedAt = new Date(now).toISOString();
+        const result = [...todos];
+
+        if (action === 'snooze') {
+            result[index] = { ...todo, snoozedUntil: now + TodoReminders.SNOOZE_TIME, updatedAt };
+            return result;
+        }
+
+        const completed = { ...todo, completed: true, completedAt: updatedAt, updatedAt };
+
+        if (completed.repeat && !completed.nextOccurrenceId) {
+            const next = TodoRecurrence.createNext(completed, generateId);
+
+            if (next) {
+                completed.nextOccurrenceId = next.id;
+                result.unshift(next);
+            }
+        }
+
+        result[result.indexOf(todo)] = completed;
+        return result;
+    }
+
+    /**
+     * "1 hour before, Morning of (9:00)"
+     */
+    static describe(reminders) {
+        return TodoReminders.normalize(reminders)
+            .map(key => TodoReminders.OPTIONS[key].label)
+            .join(', ');
+    }
+}
+
+// Reminder key -> label and minutes (or days) before the due time
+TodoReminders.OPTIONS = {
+    due: { label: 'At due time', minutes: 0 },
+    '15m': { label: '15 minutes before', minutes: 15 },
+    '1h': { label: '1 hour before', minutes: 60 },
+    '1d': { label: '1 day before', days: 1 },
+    morning: { label: 'Morning of (9:00)', morning: true }
+};
+
+// Notification action -> button label
+TodoReminders.ACTIONS = {
+    complete: 'Mark done',
+    snooze: 'Snooze 1h'
+};
+
+// How long "Snooze 1h" puts a reminder off
+TodoReminders.SNOOZE_TIME = 60 * 60 * 1000;
+
+// Hour used for "morning of" and for all-day todos
+TodoReminders.MORNING_HOUR = 9;
+
+// Oldest missed reminder still delivered
+TodoReminders.MAX_CATCH_UP = 24 * 60 * 60 * 1000;
+
+// IndexedDB meta key holding when reminders were last delivered
+TodoReminders.CHECKPOINT_KEY = 'remindersCheckedAt';
+
+// Periodic background sync tag the service worker checks reminders on
+TodoReminders.SYNC_TAG = 'todo-reminders';
+
+// Export for the page and the service worker (importScripts)
+if (typeof self !== 'undefined') {
+    self.TodoReminders = TodoReminders;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoReminders;
+}
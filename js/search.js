@@ -0,0 +1,215 @@
+/**
+ * Todo PWA - Search Index
+ * Inverted word index over todos with typo-tolerant lookup and relevance scoring.
+ * Kept in sync incrementally: only todos whose searchable text changed are re-indexed.
+ */
+
+class TodoSearchIndex {
+    constructor() {
+        // Todo ID -> { signature, createdAt, tokens: Map(token -> field weight) }
+        this.entries = new Map();
+
+        // Token -> Map(todo ID -> field weight)
+        this.postings = new Map();
+
+        // Last todos array synced, to skip work when nothing was written
+        this.source = null;
+    }
+
+    /**
+     * Split text into lowercase words
+     */
+    static tokenize(text) {
+        return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    /**
+     * Bring the index up to date with a todos array
+     */
+    sync(todos) {
+        if (todos === this.source) return;
+
+        const seen = new Set();
+
+        todos.forEach(todo => {
+            seen.add(todo.id);
+
+            const signature = TodoSearchIndex.signature(todo);
+            const entry = this.entries.get(todo.id);
+
+            if (entry && entry.signature === signature) {
+                entry.createdAt = todo.createdAt;
+                return;
+            }
+
+            this.remove(todo.id);
+            this.add(todo, signature);
+        });
+
+        [...this.entries.keys()]
+            .filter(id => !seen.has(id))
+            .forEach(id => this.remove(id));
+
+        this.source = todos;
+    }
+
+    /**
+     * Index one todo, keeping each word's best field weight
+     */
+    add(todo, signature = TodoSearchIndex.signature(todo)) {
+        const tokens = new Map();
+        const addField = (text, weight) => {
+            TodoSearchIndex.tokenize(text).forEach(token => {
+                tokens.set(token, Math.max(tokens.get(token) || 0, weight));
+            });
+        };
+
+        const { FIELD_WEIGHTS } = TodoSearchIndex;
+        addField(todo.title, FIELD_WEIGHTS.title);
+        addField(todo.tags.join(' '), FIELD_WEIGHTS.tags);
+        addField(todo.subtasks.map(subtask => subtask.title).join(' '), FIELD_WEIGHTS.subtasks);
+        addField(todo.description, FIELD_WEIGHTS.description);
+
+        tokens.forEach((weight, token) => {
+            if (!this.postings.has(token)) {
+                this.postings.set(token, new Map());
+            }
+            this.postings.get(token).set(todo.id, weight);
+        });
+
+        this.entries.set(todo.id, { signature, createdAt: todo.createdAt, tokens });
+    }
+
+    /**
+     * Drop a todo from the index
+     */
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        entry.tokens.forEach((weight, token) => {
+            const posting = this.postings.get(token);
+            posting.delete(id);
+
+            if (posting.size === 0) {
+                this.postings.delete(token);
+            }
+        });
+
+        this.entries.delete(id);
+    }
+
+    /**
+     * Find todos matching one query word, exactly, by prefix, inside a longer word
+     * or within a few typos. Returns Map(todo ID -> { score, tokens }).
+     */
+    lookup(word) {
+        const results = new Map();
+        const query = word.toLowerCase();
+        const maxDistance = query.length <= 3 ? 0 : query.length <= 6 ? 1 : 2;
+
+        this.postings.forEach((posting, token) => {
+            const quality = TodoSearchIndex.matchQuality(query, token, maxDistance);
+            if (!quality) return;
+
+            posting.forEach((weight, id) => {
+                const result = results.get(id) || { score: 0, tokens: [] };
+
+                result.score = Math.max(result.score, quality * weight);
+                result.tokens.push(token);
+                results.set(id, result);
+            });
+        });
+
+        return results;
+    }
+
+    /**
+     * How well a query word matches an indexed word (0 = no match, 1 = exact)
+     */
+    static matchQuality(query, token, maxDistance) {
+        if (token === query) return 1;
+        if (token.startsWith(query)) return 0.6 + 0.3 * (query.length / token.length);
+        if (query.length >= 3 && token.includes(query)) return 0.5;
+
+        if (maxDistance === 0 || Math.abs(token.length - query.length) > maxDistance) return 0;
+
+        const distance = TodoSearchIndex.editDistance(query, token, maxDistance);
+        return distance <= maxDistance ? 0.6 - 0.2 * (distance - 1) : 0;
+    }
+
+    /**
+     * Damerau-Levenshtein (optimal string alignment) distance,
+     * giving up early once it exceeds `limit`
+     */
+    static editDistance(a, b, limit) {
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+
+                // Transposed neighbours ("teh" -> "the")
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+
+                current[j] = value;
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > limit) return limit + 1;
+
+            previousRow = row;
+            row = current;
+        }
+
+        return row[b.length];
+    }
+
+    /**
+     * Boost recently created todos; the boost halves every two weeks
+     */
+    recencyBoost(id, now = Date.now()) {
+        const entry = this.entries.get(id);
+        const created = entry ? new Date(entry.createdAt).getTime() : NaN;
+        if (isNaN(created)) return 1;
+
+        const ageInDays = Math.max(0, now - created) / (24 * 60 * 60 * 1000);
+        return 1 + 0.5 * Math.pow(0.5, ageInDays / 14);
+    }
+
+    /**
+     * Text that decides whether a todo needs re-indexing
+     */
+    static signature(todo) {
+        return [
+            todo.title,
+            todo.description,
+            todo.tags.join('\u0001'),
+            todo.subtasks.map(subtask => subtask.title).join('\u0001')
+        ].join('\u0000');
+    }
+}
+
+// Relevance of a hit in each field
+TodoSearchIndex.FIELD_WEIGHTS = {
+    title: 3,
+    tags: 2,
+    subtasks: 1.5,
+    description: 1
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TodoSearchIndex = TodoSearchIndex;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoSearchIndex;
+}
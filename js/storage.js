@@ -1,42 +1,115 @@
 /**
  * Todo PWA - Storage Management
- * Handles all data persistence using localStorage with validation and error handling
+ * Handles all data persistence using IndexedDB, with localStorage and memory as degraded modes
  */
 
 class TodoStorage {
     constructor() {
         this.storageKey = 'todo-pwa-data';
         this.settingsKey = 'todo-pwa-settings';
-        this.version = '1.0.0';
+        this.snapshotKey = 'todo-pwa-migration-snapshot';
+        this.reminderCheckpointKey = 'todo-pwa-reminders-checked';
+        this.cleanupKey = 'todo-pwa-last-cleanup';
+        this.deviceIdKey = 'todo-pwa-device-id';
+        this.version = '1.10.0';
+        this.defaultListId = 'inbox';
+
+        // Record collections: IndexedDB store name -> localStorage key
+        this.collections = {
+            todos: this.storageKey,
+            trash: 'todo-pwa-trash',
+            // Completed todos moved out of the list
+            archive: 'todo-pwa-archive',
+            lists: 'todo-pwa-lists',
+            // Deleted records, so deletions reach other devices
+            tombstones: 'todo-pwa-tombstones'
+        };
+        this.migrations = new TodoMigrations();
+        this.history = new TodoHistory(this);
+        this.searchIndex = new TodoSearchIndex();
+
+        // Active backend: 'indexeddb', 'localStorage' or 'memory'
+        this.backend = null;
+        this.db = null;
+        this.pendingWrite = Promise.resolve();
+
+        // Record writes queued for IndexedDB but not yet committed
+        this.pendingCommits = 0;
+
+        // Set while freeing space after a full-storage error (see handleQuotaExceeded)
+        this.quotaCleanup = null;
+
+        // Server sync outbox (IndexedDB only)
+        this.sync = null;
+
+        // Change messages to and from other tabs, and this tab's ID in them
+        this.channel = null;
+        this.tabId = this.generateId();
+
+        // Identifies this device in modification stamps (replaced by the stored one)
+        this.deviceId = this.generateId();
+        this.lastStampTime = 0;
+
+        // In-memory copy of the persisted data, read synchronously by the UI
+        this.cache = {
+            todos: [],
+            trash: [],
+            archive: [],
+            lists: this.getDefaultLists(),
+            tombstones: [],
+            settings: this.getDefaultSettings()
+        };
         
-        // Initialize storage if needed
-        this.initializeStorage();
+        // Initialize storage; callers should wait for `ready` before reading
+        this.ready = this.initializeStorage();
     }
 
     /**
      * Initialize storage with default structure
      */
-    initializeStorage() {
+    async initializeStorage() {
         try {
-            // Check if storage is available
-            if (!this.isStorageAvailable()) {
-                console.warn('Todo PWA: localStorage not available, using memory storage');
-                this.useMemoryFallback();
-                return;
+            let data = null;
+
+            if (typeof TodoDB !== 'undefined' && TodoDB.isAvailable()) {
+                try {
+                    data = await this.useIndexedDB();
+                } catch (error) {
+                    console.warn('Todo PWA: IndexedDB not available, falling back to localStorage:', error);
+                    this.backend = null;
+                    this.db = null;
+                }
             }
 
-            // Initialize todos if not exists
-            if (!localStorage.getItem(this.storageKey)) {
-                this.saveTodos([]);
-            }
+            if (!this.backend) {
+                // Check if storage is available
+                if (!this.isStorageAvailable()) {
+                    console.warn('Todo PWA: localStorage not available, using memory storage');
+                    this.useMemoryFallback();
+                    return;
+                }
 
-            // Initialize settings if not exists
-            if (!localStorage.getItem(this.settingsKey)) {
-                this.saveSettings(this.getDefaultSettings());
+                data = this.useLocalStorage();
             }
 
+            this.deviceId = await this.loadDeviceId();
+
             // Handle version migrations if needed
-            this.handleVersionMigration();
+            const migration = await this.handleVersionMigration(data);
+            this.applyData(migration.data);
+
+            if (data.imported || data.fresh || migration.changed) {
+                await this.writeAll();
+                await this.clearMigrationSnapshot();
+            }
+
+            if (data.imported) {
+                this.clearLocalStorageData();
+                console.log(`Todo PWA: Migrated ${this.cache.todos.length} todos from localStorage to IndexedDB`);
+            }
+
+            // Pick up writes made by other tabs
+            this.watchExternalChanges();
 
         } catch (error) {
             console.error('Todo PWA: Storage initialization failed:', error);
@@ -44,6 +117,261 @@ class TodoStorage {
         }
     }
 
+    /**
+     * Open IndexedDB and read its raw data, importing localStorage data on first run
+     */
+    async useIndexedDB() {
+        this.db = new TodoDB();
+        this.sync = new TodoSync(this.db);
+
+        const data = await this.readIndexedDBData();
+
+        this.backend = 'indexeddb';
+
+        if (!data.settings) {
+            // First run on IndexedDB
+            const legacy = this.readLocalStorageData();
+
+            if (legacy) {
+                return { ...legacy, settings: legacy.settings || {}, imported: true };
+            }
+
+            return { ...data, settings: this.getDefaultSettings(), fresh: true };
+        }
+
+        return data;
+    }
+
+    /**
+     * Read this device's ID, creating it on first run
+     */
+    async loadDeviceId() {
+        if (this.backend === 'indexeddb') {
+            const stored = await this.db.get('meta', 'deviceId');
+            if (stored) return stored;
+
+            await this.db.set('meta', 'deviceId', this.deviceId);
+        } else {
+            const stored = localStorage.getItem(this.deviceIdKey);
+            if (stored) return stored;
+
+            localStorage.setItem(this.deviceIdKey, this.deviceId);
+        }
+
+        return this.deviceId;
+    }
+
+    /**
+     * Read raw data from localStorage (degraded mode)
+     */
+    useLocalStorage() {
+        this.backend = 'localStorage';
+
+        // Initialize todos if not exists
+        if (!localStorage.getItem(this.storageKey)) {
+            localStorage.setItem(this.storageKey, JSON.stringify([]));
+        }
+
+        // Initialize settings if not exists
+        if (!localStorage.getItem(this.settingsKey)) {
+            localStorage.setItem(this.settingsKey, JSON.stringify(this.getDefaultSettings()));
+        }
+
+        return this.readLocalStorageData() || { todos: [], settings: {} };
+    }
+
+    /**
+     * Validate raw data into the cache
+     */
+    applyData(data) {
+        Object.keys(this.collections).forEach(name => {
+            this.cache[name] = this.validateCollection(name, data[name] || []);
+        });
+        this.cache.settings = { ...this.getDefaultSettings(), ...data.settings };
+    }
+
+    /**
+     * Write the whole cache to the backend, throwing on failure
+     */
+    async writeAll() {
+        if (this.backend === 'indexeddb') {
+            const names = Object.keys(this.collections);
+
+            await this.db.update(names, () => Object.fromEntries(names.map(name => [name, this.cache[name]])));
+            await this.db.set('meta', 'settings', this.cache.settings);
+        } else if (this.backend === 'localStorage') {
+            Object.entries(this.collections).forEach(([name, key]) => {
+                localStorage.setItem(key, JSON.stringify(this.cache[name]));
+            });
+            localStorage.setItem(this.settingsKey, JSON.stringify(this.cache.settings));
+        }
+    }
+
+    /**
+     * Read raw collections and settings from IndexedDB
+     */
+    async readIndexedDBData() {
+        const data = {};
+
+        for (const name of Object.keys(this.collections)) {
+            data[name] = await this.db.getAll(name);
+        }
+        data.settings = await this.db.get('meta', 'settings');
+
+        return data;
+    }
+
+    /**
+     * Read raw collections and settings from localStorage, or null if there are none
+     */
+    readLocalStorageData() {
+        if (!this.isStorageAvailable()) return null;
+
+        const todosData = localStorage.getItem(this.storageKey);
+        const settingsData = localStorage.getItem(this.settingsKey);
+
+        if (!todosData && !settingsData) return null;
+
+        try {
+            const data = {
+                settings: settingsData ? JSON.parse(settingsData) : null
+            };
+
+            Object.entries(this.collections).forEach(([name, key]) => {
+                const value = localStorage.getItem(key);
+                data[name] = value ? JSON.parse(value) : [];
+            });
+
+            return data;
+        } catch (error) {
+            console.error('Todo PWA: Corrupt localStorage data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remove the localStorage copies once data lives elsewhere
+     */
+    clearLocalStorageData() {
+        Object.values(this.collections).forEach(key => localStorage.removeItem(key));
+        localStorage.removeItem(this.settingsKey);
+    }
+
+    /**
+     * Reload the cache from the persistent backend
+     */
+    async reload() {
+        if (this.backend === 'indexeddb') {
+            await this.pendingWrite;
+            this.applyData(await this.readIndexedDBData());
+        } else if (this.backend === 'localStorage') {
+            this.applyData(this.readLocalStorageData() || {});
+        }
+    }
+
+    /**
+     * Apply changes made by other tabs or the service worker as they are announced
+     */
+    watchExternalChanges() {
+        if (typeof window === 'undefined' || this.backend === 'memory') return;
+
+        this.channel = new TodoChannel().open();
+        this.channel.subscribe((message) => {
+            if (message.source === this.tabId) return;
+
+            if (message.type === 'changes' && Array.isArray(message.changes)) {
+                this.applyExternalChanges(message.changes);
+            } else if (message.type === 'reload') {
+                this.applyExternalChange();
+            }
+        });
+
+        // The service worker writes IndexedDB directly (e.g. reminder actions)
+        if (this.backend === 'indexeddb' && typeof navigator !== 'undefined' && 'serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (!event.data || event.data.type !== 'TODOS_CHANGED') return;
+
+                if (Array.isArray(event.data.changes)) {
+                    this.applyExternalChanges(event.data.changes);
+                } else {
+                    this.applyExternalChange();
+                }
+            });
+        }
+    }
+
+    /**
+     * Reload everything after an unannounced write outside this tab, reporting what changed
+     */
+    async applyExternalChange() {
+        try {
+            const previous = this.clone(this.cache);
+            await this.reload();
+
+            const changes = Object.keys(this.collections)
+                .flatMap(name => TodoSync.diff(name, previous[name], this.cache[name]));
+
+            if (JSON.stringify(previous.settings) !== JSON.stringify(this.cache.settings)) {
+                changes.push(this.settingsChange(this.cache.settings));
+            }
+
+            this.finishExternalChanges(changes);
+        } catch (error) {
+            console.error('Todo PWA: Error reloading external changes:', error);
+        }
+    }
+
+    /**
+     * Patch record changes written by another tab or the service worker into the cache.
+     * The writer has already persisted them; new records go where this tab would put them.
+     */
+    applyExternalChanges(changes) {
+        try {
+            const applied = changes.filter(change => {
+                if (change.collection === 'settings') {
+                    this.cache.settings = { ...this.getDefaultSettings(), ...change.record };
+                    return true;
+                }
+
+                if (!this.collections[change.collection]) return false;
+
+                const name = change.collection;
+                const records = this.cache[name].filter(record => record.id !== change.recordId);
+
+                if (change.op === 'put') {
+                    const [record] = this.validateCollection(name, [change.record]);
+                    if (!record) return false;
+
+                    const index = this.cache[name].findIndex(entry => entry.id === change.recordId);
+
+                    if (index !== -1) {
+                        records.splice(index, 0, record);
+                    } else if (name === 'lists') {
+                        records.push(record);
+                    } else {
+                        records.unshift(record);
+                    }
+                }
+
+                this.cache[name] = records;
+                return true;
+            });
+
+            this.finishExternalChanges(applied);
+        } catch (error) {
+            console.error('Todo PWA: Error applying external changes:', error);
+            this.applyExternalChange();
+        }
+    }
+
+    finishExternalChanges(changes) {
+        if (changes.length === 0) return;
+
+        // Local snapshots no longer match what is stored
+        this.history.clear();
+        this.triggerStorageEvent('changes', { changes, label: null, external: true });
+    }
+
     /**
      * Check if localStorage is available
      */
@@ -62,14 +390,157 @@ class TodoStorage {
      * Use memory storage as fallback
      */
     useMemoryFallback() {
-        this.memoryStorage = {
-            todos: [],
-            settings: this.getDefaultSettings()
-        };
+        this.backend = 'memory';
+        this.db = null;
         this.usingMemoryFallback = true;
         console.log('Todo PWA: Using memory storage fallback');
     }
 
+    /**
+     * Persist a collection to the active backend.
+     * localStorage writes throw synchronously; IndexedDB writes are queued in order.
+     */
+    persist(name, value) {
+        if (this.backend === 'localStorage') {
+            const key = name === 'settings' ? this.settingsKey : this.collections[name];
+            localStorage.setItem(key, JSON.stringify(value));
+            return;
+        }
+
+        if (this.backend === 'indexeddb') {
+            this.pendingWrite = this.pendingWrite
+                .then(() => name === 'settings'
+                    ? this.db.set('meta', 'settings', value)
+                    : this.db.update([name], () => ({ [name]: value })))
+                .catch(error => this.handleWriteError(name, error));
+        }
+    }
+
+    /**
+     * Write changed records (see TodoSync.diff) on top of what is stored now, so that
+     * concurrent writes from other tabs or the service worker are kept rather than
+     * overwritten. `next` holds the changed collections as this tab saved them.
+     * IndexedDB writes hold the write lock and retry on fresh data when another writer
+     * got in between (see TodoDB.update); localStorage writes throw synchronously.
+     */
+    commit(changes, next) {
+        const names = [...new Set(changes.map(change => change.collection))];
+        const mutate = data => Object.fromEntries(names.map(name => [
+            name,
+            TodoMerge.apply(name, data[name], changes.filter(change => change.collection === name), next[name])
+        ]));
+
+        // What was written for the changed records, for the other tabs
+        const written = writes => changes.map(change => change.op === 'delete' ? change : {
+            ...change,
+            record: writes[change.collection].find(record => record.id === change.recordId) || change.record
+        });
+
+        if (this.backend === 'localStorage') {
+            const stored = this.readLocalStorageData();
+            const writes = stored ? mutate(stored) : next;
+
+            names.forEach(name => {
+                localStorage.setItem(this.collections[name], JSON.stringify(writes[name]));
+            });
+
+            this.notifyOtherTabs(written(writes));
+
+            // Once this save is cached, compare with storage as it is then
+            Promise.resolve().then(() => {
+                const current = this.readLocalStorageData();
+                if (current) {
+                    this.reconcile(Object.fromEntries(names.map(name => [name, current[name]])));
+                }
+            });
+            return;
+        }
+
+        if (this.backend === 'indexeddb') {
+            this.pendingCommits += 1;
+            this.pendingWrite = this.pendingWrite
+                .then(() => this.db.update(names, mutate))
+                .then(({ writes }) => {
+                    this.pendingCommits -= 1;
+                    this.notifyOtherTabs(written(writes));
+
+                    // While later saves are queued the cache is ahead of storage; the last one catches up
+                    if (this.pendingCommits === 0) {
+                        this.reconcile(writes);
+                    }
+                }, error => {
+                    this.pendingCommits -= 1;
+                    this.handleWriteError(names.join(', '), error);
+                });
+        }
+    }
+
+    /**
+     * Bring cached collections up to date with what a write left stored: records changed
+     * elsewhere meanwhile, and records changed on both sides (merged field by field)
+     */
+    reconcile(writes) {
+        const changes = Object.keys(writes)
+            .flatMap(name => TodoSync.diff(name, this.cache[name], this.validateCollection(name, writes[name])));
+
+        if (changes.length > 0) {
+            this.applyExternalChanges(changes);
+        }
+    }
+
+    handleWriteError(name, error) {
+        console.error(`Todo PWA: Error writing ${name} to ${this.backend}:`, error);
+
+        if (error && error.name === 'QuotaExceededError') {
+            this.handleQuotaExceeded();
+        }
+    }
+
+    /**
+     * Resolve once all queued writes have reached the backend
+     */
+    flush() {
+        return this.pendingWrite;
+    }
+
+    /**
+     * Tell other tabs about changes once they are written, so they can patch them in.
+     * Without changes (or if they can't be sent) the other tabs reload everything.
+     */
+    notifyOtherTabs(changes = null) {
+        if (!this.channel) return;
+
+        const send = () => {
+            const sent = changes && this.channel.post({ type: 'changes', source: this.tabId, changes });
+
+            if (!sent) {
+                this.channel.post({ type: 'reload', source: this.tabId });
+            }
+        };
+
+        if (this.backend === 'indexeddb') {
+            this.pendingWrite = this.pendingWrite.then(send);
+        } else {
+            send();
+        }
+    }
+
+    /**
+     * A settings write in change record form (see TodoSync.diff)
+     */
+    settingsChange(settings) {
+        return { collection: 'settings', recordId: 'settings', op: 'put', record: settings };
+    }
+
+    /**
+     * Deep copy records handed out of the cache
+     */
+    clone(value) {
+        return typeof structuredClone === 'function'
+            ? structuredClone(value)
+            : JSON.parse(JSON.stringify(value));
+    }
+
     /**
      * Get default application settings
      */
@@ -78,67 +549,126 @@ class TodoStorage {
             version: this.version,
             theme: 'auto',
             notifications: false,
+            // Completed todos are moved out after cleanupAfterDays, or beyond the
+            // cleanupKeepCompleted most recent (0 turns a rule off), to the trash or archive
             autoCleanup: true,
+            cleanupAfterDays: 30,
+            cleanupKeepCompleted: 0,
+            cleanupAction: 'trash',
             sortBy: 'createdAt',
             sortOrder: 'desc',
             showCompleted: true,
-            compactMode: false
+            compactMode: false,
+            trashRetentionDays: 30,
+            autoCompleteParent: true,
+            currentListId: 'all',
+            groupBy: 'none',
+            savedViews: [],
+            // REST endpoint for server sync ('' = sync off)
+            syncEndpoint: ''
         };
     }
 
     /**
-     * Handle version migrations
+     * Get the lists every install starts with
+     */
+    getDefaultLists() {
+        return [{
+            id: this.defaultListId,
+            name: 'Inbox',
+            emoji: '📥',
+            color: '#4F46E5',
+            createdAt: new Date().toISOString()
+        }];
+    }
+
+    /**
+     * Handle version migrations on raw stored data.
+     * A snapshot is kept until the migrated data is written, and restored if a step throws
+     * or a previous migration was interrupted.
      */
-    handleVersionMigration() {
+    async handleVersionMigration(data) {
+        let changed = false;
+
         try {
-            const settings = this.getSettings();
-            const currentVersion = settings.version || '0.0.0';
+            const snapshot = await this.readMigrationSnapshot();
+            if (snapshot) {
+                console.warn('Todo PWA: Restoring snapshot from an interrupted migration');
+                data = { ...data, settings: snapshot.settings };
+                Object.keys(this.collections).forEach(name => {
+                    data[name] = snapshot[name] || [];
+                });
+                changed = true;
+            }
 
-            if (currentVersion !== this.version) {
-                console.log(`Todo PWA: Migrating from version ${currentVersion} to ${this.version}`);
-                
-                // Perform migrations based on version
-                this.performMigrations(currentVersion, this.version);
-                
-                // Update version
-                settings.version = this.version;
-                this.saveSettings(settings);
+            const fromVersion = (data.settings && data.settings.version) || '0.0.0';
+            const comparison = TodoMigrations.compareVersions(fromVersion, this.version);
+
+            if (comparison > 0) {
+                console.warn(`Todo PWA: Stored data version ${fromVersion} is newer than ${this.version}`);
+            }
+            if (comparison >= 0) {
+                return { data, changed };
             }
+
+            console.log(`Todo PWA: Migrating from version ${fromVersion} to ${this.version}`);
+            await this.writeMigrationSnapshot(data);
+
+            try {
+                const migrated = this.migrations.run(data, fromVersion, this.version);
+                console.log('Todo PWA: Data migration completed');
+                return { data: migrated, changed: true };
+            } catch (error) {
+                console.error('Todo PWA: Version migration failed, restoring snapshot:', error);
+                return { data, changed: true };
+            }
+
         } catch (error) {
             console.error('Todo PWA: Version migration failed:', error);
+            return { data, changed };
         }
     }
 
     /**
-     * Perform data migrations between versions
+     * Read the pre-migration snapshot, if one was left behind
      */
-    performMigrations(fromVersion, toVersion) {
-        const todos = this.getTodos();
-        let migrated = false;
-
-        // Migration from pre-1.0.0 versions
-        if (fromVersion < '1.0.0') {
-            todos.forEach(todo => {
-                // Add missing fields
-                if (!todo.id) {
-                    todo.id = Date.now().toString() + Math.random().toString(36).substr(2, 9);
-                    migrated = true;
-                }
-                if (!todo.createdAt) {
-                    todo.createdAt = new Date().toISOString();
-                    migrated = true;
-                }
-                if (typeof todo.completed !== 'boolean') {
-                    todo.completed = false;
-                    migrated = true;
-                }
-            });
+    async readMigrationSnapshot() {
+        if (this.backend === 'indexeddb') {
+            return (await this.db.get('meta', 'migrationSnapshot')) || null;
+        }
+
+        const snapshot = localStorage.getItem(this.snapshotKey);
+        return snapshot ? JSON.parse(snapshot) : null;
+    }
+
+    /**
+     * Store a copy of the raw data before migrating it
+     */
+    async writeMigrationSnapshot(data) {
+        const snapshot = {
+            settings: data.settings,
+            takenAt: new Date().toISOString()
+        };
+
+        Object.keys(this.collections).forEach(name => {
+            snapshot[name] = data[name] || [];
+        });
+
+        if (this.backend === 'indexeddb') {
+            await this.db.set('meta', 'migrationSnapshot', snapshot);
+        } else {
+            localStorage.setItem(this.snapshotKey, JSON.stringify(snapshot));
         }
+    }
 
-        // Save migrated data
-        if (migrated) {
-            this.saveTodos(todos);
-            console.log('Todo PWA: Data migration completed');
+    /**
+     * Drop the snapshot once migrated data is safely written
+     */
+    async clearMigrationSnapshot() {
+        if (this.backend === 'indexeddb') {
+            await this.db.set('meta', 'migrationSnapshot', null);
+        } else if (this.backend === 'localStorage') {
+            localStorage.removeItem(this.snapshotKey);
         }
     }
 
@@ -147,327 +677,1576 @@ class TodoStorage {
      */
     getTodos(options = {}) {
         try {
-            let todos;
-            
-            if (this.usingMemoryFallback) {
-                todos = [...this.memoryStorage.todos];
-            } else {
-                const data = localStorage.getItem(this.storageKey);
-                todos = data ? JSON.parse(data) : [];
-            }
+            // Cached todos are validated when loaded and saved
+            let todos = this.clone(this.cache.todos);
 
-            // Validate todos structure
-            todos = this.validateTodos(todos);
+            // Limit to one list ('all' or no value means every list)
+            if (options.listId && options.listId !== 'all') {
+                todos = todos.filter(todo => todo.listId === options.listId);
+            }
 
             // Apply filters
             if (options.filter) {
                 todos = this.filterTodos(todos, options.filter);
             }
 
-            // Apply sorting
-            if (options.sort) {
-                todos = this.sortTodos(todos, options.sort);
-            }
+            // Apply sorting
+            if (options.sort) {
+                todos = this.sortTodos(todos, options.sort);
+            }
+
+            return todos;
+
+        } catch (error) {
+            console.error('Todo PWA: Error loading todos:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Validate todos structure and clean invalid entries
+     */
+    validateTodos(todos) {
+        if (!Array.isArray(todos)) {
+            console.warn('Todo PWA: Invalid todos data, resetting to empty array');
+            return [];
+        }
+
+        return todos.filter(todo => {
+            // Required fields validation
+            if (!todo || typeof todo !== 'object') return false;
+            if (!this.isValidId(todo.id)) return false;
+            if (!todo.title || typeof todo.title !== 'string') return false;
+            if (typeof todo.completed !== 'boolean') return false;
+
+            return true;
+        }).map((todo, index) => ({
+            id: todo.id,
+            title: todo.title.trim(),
+            completed: Boolean(todo.completed),
+            dueDate: TodoDates.normalize(todo.dueDate),
+            createdAt: todo.createdAt || new Date().toISOString(),
+            completedAt: todo.completedAt || null,
+            priority: TodoStorage.PRIORITIES.includes(todo.priority) ? todo.priority : 'normal',
+            tags: this.normalizeTags(todo.tags),
+            description: todo.description || '',
+            subtasks: this.validateSubtasks(todo.subtasks),
+            repeat: TodoRecurrence.normalize(todo.repeat),
+            nextOccurrenceId: todo.nextOccurrenceId || null,
+            listId: typeof todo.listId === 'string' && todo.listId ? todo.listId : this.defaultListId,
+            // Manual sort position (lower comes first)
+            order: Number.isFinite(todo.order) ? todo.order : index,
+            reminders: TodoReminders.normalize(todo.reminders),
+            // Snoozed reminder time (timestamp), set from a reminder notification
+            snoozedUntil: Number.isFinite(todo.snoozedUntil) ? todo.snoozedUntil : null,
+            ...this.validateSyncFields(todo)
+        }));
+    }
+
+    /**
+     * Clean up a tag list: trimmed, without a leading '#', no case-insensitive duplicates
+     */
+    normalizeTags(tags) {
+        if (!Array.isArray(tags)) return [];
+
+        const seen = new Set();
+
+        return tags
+            .filter(tag => typeof tag === 'string')
+            .map(tag => tag.trim().replace(/^#+/, '').trim())
+            .filter(tag => {
+                const key = tag.toLowerCase();
+                if (!tag || seen.has(key)) return false;
+
+                seen.add(key);
+                return true;
+            });
+    }
+
+    /**
+     * Validate a todo's ordered checklist
+     */
+    validateSubtasks(subtasks) {
+        if (!Array.isArray(subtasks)) return [];
+
+        return subtasks
+            .filter(subtask =>
+                subtask &&
+                typeof subtask === 'object' &&
+                this.isValidId(subtask.id) &&
+                typeof subtask.title === 'string' &&
+                subtask.title.trim()
+            )
+            .map(subtask => ({
+                id: subtask.id,
+                title: subtask.title.trim(),
+                completed: Boolean(subtask.completed)
+            }));
+    }
+
+    /**
+     * Validate trashed todos, keeping their deletion metadata
+     */
+    validateTrash(items) {
+        if (!Array.isArray(items)) {
+            console.warn('Todo PWA: Invalid trash data, resetting to empty array');
+            return [];
+        }
+
+        return items.map(item => {
+            const [todo] = this.validateTodos([item]);
+            if (!todo) return null;
+
+            return {
+                ...todo,
+                deletedAt: item.deletedAt || new Date().toISOString(),
+                deletedReason: item.deletedReason || 'deleted'
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Validate archived todos, keeping when and why they were archived
+     */
+    validateArchive(items) {
+        if (!Array.isArray(items)) {
+            console.warn('Todo PWA: Invalid archive data, resetting to empty array');
+            return [];
+        }
+
+        return items.map(item => {
+            const [todo] = this.validateTodos([item]);
+            if (!todo) return null;
+
+            return {
+                ...todo,
+                archivedAt: item.archivedAt || new Date().toISOString(),
+                archivedReason: item.archivedReason || 'manual'
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Validate lists, making sure the default list always exists
+     */
+    validateLists(lists) {
+        if (!Array.isArray(lists)) {
+            console.warn('Todo PWA: Invalid lists data, resetting to defaults');
+            return this.getDefaultLists();
+        }
+
+        const seen = new Set();
+        const validLists = lists.filter(list => {
+            if (!list || typeof list !== 'object') return false;
+            if (!this.isValidId(list.id) || seen.has(list.id)) return false;
+            if (!list.name || typeof list.name !== 'string' || !list.name.trim()) return false;
+
+            seen.add(list.id);
+            return true;
+        }).map(list => ({
+            id: list.id,
+            name: list.name.trim(),
+            emoji: typeof list.emoji === 'string' ? list.emoji.trim() : '',
+            color: /^#[0-9a-f]{6}$/i.test(list.color) ? list.color : '#4F46E5',
+            createdAt: list.createdAt || new Date().toISOString(),
+            ...this.validateSyncFields(list)
+        }));
+
+        if (!seen.has(this.defaultListId)) {
+            validLists.unshift(...this.getDefaultLists());
+        }
+
+        return validLists;
+    }
+
+    /**
+     * Keep a record's merge bookkeeping: last update, per-field stamps and origin device.
+     * Records that don't have them yet get them stamped on their next save.
+     */
+    validateSyncFields(record) {
+        const fields = {};
+
+        if (typeof record.updatedAt === 'string') {
+            fields.updatedAt = record.updatedAt;
+        }
+
+        if (record.fieldTimes && typeof record.fieldTimes === 'object') {
+            // In a fixed order, so copies that went through a merge compare equal
+            fields.fieldTimes = {};
+            Object.entries(record.fieldTimes).sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0).forEach(([field, stamp]) => {
+                if (typeof stamp === 'string') fields.fieldTimes[field] = stamp;
+            });
+        }
+
+        if (typeof record.origin === 'string') {
+            fields.origin = record.origin;
+        }
+
+        return fields;
+    }
+
+    /**
+     * IDs end up in the markup and inline handlers; imported and synced data is held to
+     * the characters generateId() uses (plus '-' for UUIDs). Older data and imports get
+     * new IDs first (TodoMigrations.reassignIds).
+     */
+    isValidId(id) {
+        return typeof id === 'string' && TodoStorage.ID_PATTERN.test(id);
+    }
+
+    /**
+     * Validate tombstones, dropping malformed and expired ones
+     */
+    validateTombstones(tombstones) {
+        if (!Array.isArray(tombstones)) return [];
+
+        const oldest = Date.now() - TodoMerge.TOMBSTONE_TTL;
+        const seen = new Set();
+
+        return tombstones.filter(tombstone => {
+            if (!tombstone || typeof tombstone !== 'object') return false;
+            if (!TodoMerge.COLLECTIONS.includes(tombstone.collection) || typeof tombstone.recordId !== 'string') return false;
+            if (typeof tombstone.stamp !== 'string' || TodoMerge.stampTime(tombstone.stamp) < oldest) return false;
+            if (seen.has(tombstone.id)) return false;
+
+            seen.add(tombstone.id);
+            return true;
+        }).map(tombstone => TodoMerge.tombstone(tombstone.collection, tombstone.recordId, tombstone.stamp));
+    }
+
+    /**
+     * Validate a record collection by name
+     */
+    validateCollection(name, records) {
+        switch (name) {
+            case 'trash':
+                return this.validateTrash(records);
+            case 'archive':
+                return this.validateArchive(records);
+            case 'lists':
+                return this.validateLists(records);
+            case 'tombstones':
+                return this.validateTombstones(records);
+            default:
+                return this.validateTodos(records);
+        }
+    }
+
+    /**
+     * Filter todos based on criteria
+     */
+    filterTodos(todos, filter) {
+        switch (filter) {
+            case 'completed':
+                return todos.filter(todo => todo.completed);
+            case 'pending':
+                return todos.filter(todo => !todo.completed);
+            case 'overdue': {
+                const now = new Date();
+                return todos.filter(todo => 
+                    !todo.completed && 
+                    TodoDates.isOverdue(todo.dueDate, now)
+                );
+            }
+            case 'today': {
+                const now = new Date();
+                return todos.filter(todo => 
+                    !todo.completed && 
+                    TodoDates.isDueToday(todo.dueDate, now)
+                );
+            }
+            default:
+                return todos;
+        }
+    }
+
+    /**
+     * Sort todos based on criteria. Priority sorts by level, so 'desc' puts urgent first.
+     */
+    sortTodos(todos, sortOptions) {
+        const { field = 'createdAt', order = 'desc' } = sortOptions;
+        
+        return todos.sort((a, b) => {
+            let aValue = a[field];
+            let bValue = b[field];
+
+            // Todos without a due date go last in either order
+            if (field === 'dueDate' && !aValue !== !bValue) {
+                return aValue ? -1 : 1;
+            }
+
+            // Due dates are local calendar values that compare as strings
+            if (field === 'dueDate') {
+                const comparison = TodoDates.compare(aValue || '', bValue || '');
+                return order === 'desc' ? -comparison : comparison;
+            }
+
+            // Handle priority levels (higher level = more important)
+            if (field === 'priority') {
+                aValue = TodoStorage.PRIORITIES.length - TodoStorage.PRIORITIES.indexOf(aValue);
+                bValue = TodoStorage.PRIORITIES.length - TodoStorage.PRIORITIES.indexOf(bValue);
+            }
+
+            // Handle date fields
+            if (field === 'createdAt' || field === 'completedAt') {
+                aValue = aValue ? new Date(aValue) : new Date(0);
+                bValue = bValue ? new Date(bValue) : new Date(0);
+            }
+
+            // Handle string fields
+            if (typeof aValue === 'string' && typeof bValue === 'string') {
+                aValue = aValue.toLowerCase();
+                bValue = bValue.toLowerCase();
+            }
+
+            // Compare values
+            let comparison = 0;
+            if (aValue < bValue) comparison = -1;
+            if (aValue > bValue) comparison = 1;
+
+            return order === 'desc' ? -comparison : comparison;
+        });
+    }
+
+    /**
+     * Save todos to storage
+     */
+    saveTodos(todos, label = 'Save todos') {
+        return this.saveCollections({ todos }, label);
+    }
+
+    /**
+     * Save one or more collections. Every save is recorded as one undoable step.
+     * Changed fields are stamped for merging and removed records leave tombstones;
+     * `merging` saves data that already carries the stamps of a merge. `synced` holds the
+     * sync server's copy of the collections; records saved just as the server has them
+     * are not queued to go back to it.
+     */
+    saveCollections(changes, label = 'Save changes', { merging = false, synced = null } = {}) {
+        try {
+            const previous = {};
+            const validated = {};
+
+            // Validate before saving
+            Object.keys(changes).forEach(name => {
+                previous[name] = this.cache[name];
+                validated[name] = this.validateCollection(name, changes[name]);
+            });
+
+            this.trackChanges(previous, validated, merging);
+
+            const records = Object.keys(validated)
+                .flatMap(name => TodoSync.diff(name, previous[name], validated[name]));
+
+            // Only changed records are written, on top of whatever other tabs wrote meanwhile
+            if (records.length > 0) {
+                this.commit(records, validated);
+            }
+
+            Object.keys(validated).forEach(name => {
+                this.cache[name] = validated[name];
+            });
+
+            this.history.record(label, previous, validated);
+            this.queueSyncChanges(synced ? this.unsyncedChanges(records, synced) : records);
+
+            // One event per save, here and in other tabs, listing the records that changed
+            if (records.length > 0) {
+                this.triggerStorageEvent('changes', { changes: records, label, external: false });
+            }
+            
+            return true;
+
+        } catch (error) {
+            console.error('Todo PWA: Error saving todos:', error);
+            
+            // Handle quota exceeded error
+            if (error.name === 'QuotaExceededError') {
+                this.handleQuotaExceeded();
+            }
+            
+            return false;
+        }
+    }
+
+    /**
+     * The changes that leave a record different from the server's copy of it
+     */
+    unsyncedChanges(changes, synced) {
+        const serverCopies = new Map(Object.keys(synced).flatMap(name =>
+            synced[name].map(record => [`${name}/${record.id}`, JSON.stringify(record)])
+        ));
+
+        return changes.filter(change => {
+            const serverCopy = serverCopies.get(`${change.collection}/${change.recordId}`);
+            return change.op === 'delete' ? serverCopy !== undefined : serverCopy !== JSON.stringify(change.record);
+        });
+    }
+
+    /**
+     * Stamp changed fields and record tombstones for removed records (in place)
+     */
+    trackChanges(previous, validated, merging) {
+        const tracked = TodoMerge.trackCollections(
+            previous,
+            validated,
+            validated.tombstones || this.cache.tombstones,
+            this.nextStamp(),
+            this.deviceId,
+            { merging }
+        );
+
+        TodoMerge.COLLECTIONS.filter(name => validated[name]).forEach(name => {
+            validated[name] = tracked[name];
+        });
+
+        const tombstones = this.validateTombstones(tracked.tombstones);
+
+        if (validated.tombstones || JSON.stringify(tombstones) !== JSON.stringify(this.cache.tombstones)) {
+            previous.tombstones = this.cache.tombstones;
+            validated.tombstones = tombstones;
+        }
+    }
+
+    /**
+     * A modification stamp for this device, always later than the previous one
+     */
+    nextStamp() {
+        this.lastStampTime = Math.max(Date.now(), this.lastStampTime + 1);
+        return TodoMerge.stamp(this.deviceId, this.lastStampTime);
+    }
+
+    /**
+     * Merge data from another device or the sync server ({ todos, trash, archive, lists, tombstones },
+     * any of which may be missing) into local data. Returns the number of records that changed,
+     * or null on failure. With `fromServer`, only records the merge changed from the server's
+     * copy are queued for sync.
+     */
+    mergeData(remote, label = 'Merge changes', { fromServer = false } = {}) {
+        try {
+            const local = {};
+            const incoming = {};
+
+            Object.keys(this.collections).forEach(name => {
+                local[name] = this.cache[name];
+                incoming[name] = Array.isArray(remote[name]) ? this.validateCollection(name, remote[name]) : [];
+            });
+
+            const merged = TodoMerge.merge(local, incoming);
+            const changes = {};
+            let changed = 0;
+
+            Object.keys(this.collections).forEach(name => {
+                // Both sides in the validators' shape, so only real differences count
+                merged[name] = this.validateCollection(name, merged[name]);
+                const diff = TodoSync.diff(name, this.validateCollection(name, local[name]), merged[name]);
+
+                if (diff.length > 0) {
+                    changes[name] = merged[name];
+                    changed += diff.length;
+                }
+            });
+
+            // Keep local stamps ahead of anything merged in, even from a fast clock
+            TodoMerge.COLLECTIONS.flatMap(name => merged[name]).forEach(record => {
+                this.lastStampTime = Math.max(this.lastStampTime, TodoMerge.stampTime(TodoMerge.latest(record)));
+            });
+
+            if (changed === 0) return 0;
+
+            const options = { merging: true, synced: fromServer ? incoming : null };
+            return this.saveCollections(changes, label, options) ? changed : null;
+
+        } catch (error) {
+            console.error('Todo PWA: Error merging data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Merge the sync server's data into local data. Returns the number of records that
+     * changed; throws when the server can't be reached or the merge fails, so a failed
+     * pull doesn't pass for a sync.
+     */
+    async pullFromServer() {
+        const remote = await this.sync.pull(this.getSettings().syncEndpoint);
+        if (!remote) {
+            throw new Error('Could not fetch data from the sync server');
+        }
+
+        const changed = this.mergeData(remote, 'Sync from server', { fromServer: true });
+        if (changed === null) {
+            throw new Error('Could not merge data from the sync server');
+        }
+
+        return changed;
+    }
+
+    /**
+     * Whether local changes are queued for a sync server
+     */
+    isSyncEnabled() {
+        return this.backend === 'indexeddb' && Boolean(this.getSettings().syncEndpoint);
+    }
+
+    /**
+     * Queue the records that changed for the sync server, after the data itself is written
+     */
+    queueSyncChanges(changes) {
+        if (!this.isSyncEnabled() || changes.length === 0) return;
+
+        this.pendingWrite = this.pendingWrite
+            .then(() => this.sync.enqueue(changes))
+            .then(() => this.triggerStorageEvent('outbox_updated', { count: changes.length }))
+            .catch(error => console.error('Todo PWA: Error queueing changes for sync:', error));
+    }
+
+    /**
+     * Turn server sync on with a REST endpoint, or off with ''.
+     * A new endpoint gets a full upload; turning sync off drops queued changes.
+     * Returns false for an invalid URL or when IndexedDB isn't available.
+     */
+    async setSyncEndpoint(value) {
+        const endpoint = value ? TodoSync.normalizeEndpoint(value) : '';
+        if (endpoint === null || this.backend !== 'indexeddb') return false;
+
+        const settings = this.getSettings();
+        if (endpoint === settings.syncEndpoint) return true;
+
+        try {
+            await this.flush();
+            await this.sync.clear();
+
+            if (endpoint) {
+                await this.sync.enqueue(Object.keys(this.collections)
+                    .flatMap(name => TodoSync.diff(name, [], this.cache[name])));
+            }
+            await this.sync.setStatus({ ...TodoSync.IDLE_STATUS });
+
+            if (!this.saveSettings({ ...settings, syncEndpoint: endpoint })) return false;
+
+            this.triggerStorageEvent('outbox_updated', { count: 0 });
+            return true;
+
+        } catch (error) {
+            console.error('Todo PWA: Error changing sync endpoint:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Add a new todo
+     */
+    addTodo(todoData) {
+        try {
+            const todos = this.getTodos();
+            const repeat = TodoRecurrence.normalize(todoData.repeat);
+            // Recurring todos need a first due date to repeat from
+            const dueDate = TodoDates.normalize(todoData.dueDate) || (repeat ? TodoDates.today() : null);
+            
+            const newTodo = {
+                id: this.generateId(),
+                title: todoData.title.trim(),
+                completed: false,
+                dueDate,
+                createdAt: new Date().toISOString(),
+                completedAt: null,
+                priority: todoData.priority || 'normal',
+                tags: todoData.tags || [],
+                description: todoData.description || '',
+                subtasks: todoData.subtasks || [],
+                repeat: TodoRecurrence.anchor(repeat, dueDate),
+                nextOccurrenceId: null,
+                listId: this.getList(todoData.listId) ? todoData.listId : this.defaultListId,
+                order: this.getTopOrder(),
+                reminders: TodoReminders.normalize(todoData.reminders),
+                snoozedUntil: null
+            };
+
+            todos.unshift(newTodo);
+            
+            if (this.saveTodos(todos, `Add "${newTodo.title}"`)) {
+                this.triggerStorageEvent('todo_added', newTodo);
+                return newTodo;
+            }
+            
+            return null;
+
+        } catch (error) {
+            console.error('Todo PWA: Error adding todo:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Update an existing todo
+     */
+    updateTodo(id, updates) {
+        try {
+            const todos = this.getTodos();
+            const index = todos.findIndex(todo => todo.id === id);
+            
+            if (index === -1) {
+                console.warn('Todo PWA: Todo not found for update:', id);
+                return null;
+            }
+
+            // An empty title would make validation drop the todo
+            if (updates.title !== undefined && (typeof updates.title !== 'string' || !updates.title.trim())) {
+                console.warn('Todo PWA: Refusing to clear the title of todo:', id);
+                return null;
+            }
+
+            const oldTodo = { ...todos[index] };
+            
+            // Apply updates
+            todos[index] = {
+                ...todos[index],
+                ...updates,
+                id, // Ensure ID cannot be changed
+                updatedAt: new Date().toISOString()
+            };
+
+            // A new or changed repeat rule starts from the todo's due date
+            if (updates.repeat !== undefined) {
+                todos[index].repeat = TodoRecurrence.anchor(updates.repeat, todos[index].dueDate);
+            }
+
+            // Handle completion status change
+            if (updates.completed !== undefined) {
+                todos[index].completedAt = updates.completed 
+                    ? new Date().toISOString() 
+                    : null;
+            }
+
+            const updatedTodo = todos[index];
+
+            // Completing an occurrence of a recurring todo schedules the next one (once)
+            let nextTodo = null;
+            if (updates.completed && !oldTodo.completed && updatedTodo.repeat && !updatedTodo.nextOccurrenceId) {
+                nextTodo = this.createNextOccurrence(updatedTodo);
+
+                if (nextTodo) {
+                    updatedTodo.nextOccurrenceId = nextTodo.id;
+                    todos.unshift(nextTodo);
+                }
+            }
+
+            if (this.saveTodos(todos, `Update "${updatedTodo.title}"`)) {
+                this.triggerStorageEvent('todo_updated', { old: oldTodo, new: updatedTodo });
+
+                if (nextTodo) {
+                    this.triggerStorageEvent('todo_added', nextTodo);
+                }
+                return updatedTodo;
+            }
+            
+            return null;
+
+        } catch (error) {
+            console.error('Todo PWA: Error updating todo:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Build the next occurrence of a recurring todo, or null when the series has ended
+     */
+    createNextOccurrence(todo) {
+        return TodoRecurrence.createNext(todo, () => this.generateId());
+    }
+
+    /**
+     * Manual order value that puts a todo above all others
+     */
+    getTopOrder() {
+        const orders = this.cache.todos.map(todo => todo.order);
+        return orders.length ? Math.min(...orders) - 1 : 0;
+    }
+
+    /**
+     * Move a todo between two others in the manual order.
+     * `previousId` / `nextId` are its new neighbours (null at either end).
+     */
+    reorderTodo(id, previousId, nextId) {
+        try {
+            let todos = this.getTodos();
+            const find = todoId => todoId ? todos.find(todo => todo.id === todoId) : null;
+
+            if (!find(id)) {
+                console.warn('Todo PWA: Todo not found for reorder:', id);
+                return false;
+            }
+
+            // Renumber when repeated moves have used up the gap between neighbours
+            let previous = find(previousId);
+            let next = find(nextId);
+            if (previous && next && !(next.order - previous.order > TodoStorage.MIN_ORDER_GAP)) {
+                todos = this.renumberTodos(todos);
+                previous = find(previousId);
+                next = find(nextId);
+            }
+
+            const todo = find(id);
+            if (previous && next) {
+                todo.order = (previous.order + next.order) / 2;
+            } else if (previous) {
+                todo.order = previous.order + 1;
+            } else if (next) {
+                todo.order = next.order - 1;
+            }
+
+            return this.saveTodos(todos, `Move "${todo.title}"`);
+
+        } catch (error) {
+            console.error('Todo PWA: Error reordering todo:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Give todos whole-number orders, keeping their current manual order
+     */
+    renumberTodos(todos) {
+        const ranked = [...todos].sort((a, b) => a.order - b.order);
+        const positions = new Map(ranked.map((todo, index) => [todo.id, index]));
+
+        return todos.map(todo => ({ ...todo, order: positions.get(todo.id) }));
+    }
+
+    /**
+     * Delete a todo by moving it to the trash
+     */
+    deleteTodo(id) {
+        try {
+            const todo = this.cache.todos.find(todo => todo.id === id);
+            
+            if (!todo) {
+                console.warn('Todo PWA: Todo not found for deletion:', id);
+                return false;
+            }
+
+            const [deletedTodo] = this.trashTodos([id], 'deleted', `Delete "${todo.title}"`);
+            
+            if (deletedTodo) {
+                this.triggerStorageEvent('todo_deleted', deletedTodo);
+                return true;
+            }
+            
+            return false;
+
+        } catch (error) {
+            console.error('Todo PWA: Error deleting todo:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Move todos to the trash. `reason` is 'deleted' or 'cleanup'.
+     * Returns the trashed items.
+     */
+    trashTodos(ids, reason = 'deleted', label = 'Move to trash') {
+        const idSet = new Set(ids);
+        const todos = this.getTodos();
+        const deletedAt = new Date().toISOString();
+
+        const trashed = todos
+            .filter(todo => idSet.has(todo.id))
+            .map(todo => ({ ...todo, deletedAt, deletedReason: reason }));
+
+        if (trashed.length === 0) return [];
+
+        const saved = this.saveCollections({
+            todos: todos.filter(todo => !idSet.has(todo.id)),
+            trash: [...trashed, ...this.getTrash()]
+        }, label);
+
+        return saved ? trashed : [];
+    }
+
+    /**
+     * Get trashed todos, most recently deleted first
+     */
+    getTrash() {
+        return this.clone(this.cache.trash);
+    }
+
+    /**
+     * Move a todo from the trash back into the list
+     */
+    restoreTodo(id) {
+        try {
+            const trash = this.getTrash();
+            const item = trash.find(entry => entry.id === id);
+
+            if (!item) {
+                console.warn('Todo PWA: Todo not found in trash:', id);
+                return null;
+            }
+
+            const { deletedAt, deletedReason, ...todo } = item;
+
+            // The todo's list may have been deleted while it was in the trash
+            if (!this.getList(todo.listId)) {
+                todo.listId = this.defaultListId;
+            }
+
+            const saved = this.saveCollections({
+                todos: [todo, ...this.getTodos()],
+                trash: trash.filter(entry => entry.id !== id)
+            }, `Restore "${todo.title}"`);
+
+            if (saved) {
+                this.triggerStorageEvent('todo_restored', todo);
+                return todo;
+            }
+
+            return null;
+
+        } catch (error) {
+            console.error('Todo PWA: Error restoring todo:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remove a todo from the trash for good
+     */
+    deleteTodoPermanently(id) {
+        const trash = this.getTrash();
+        const item = trash.find(entry => entry.id === id);
+
+        if (!item) return false;
+
+        return this.saveCollections({
+            trash: trash.filter(entry => entry.id !== id)
+        }, `Permanently delete "${item.title}"`);
+    }
+
+    /**
+     * Permanently delete everything in the trash
+     */
+    emptyTrash() {
+        if (this.cache.trash.length === 0) return true;
+        return this.saveCollections({ trash: [] }, 'Empty trash');
+    }
+
+    /**
+     * Purge trash items older than the retention period. Returns the number purged.
+     */
+    purgeTrash(retentionDays = this.getSettings().trashRetentionDays) {
+        // 0 or no value keeps the trash forever
+        if (!retentionDays) return 0;
+
+        const cutoff = Date.now() - (retentionDays * 24 * 60 * 60 * 1000);
+        const trash = this.getTrash();
+        const kept = trash.filter(item => new Date(item.deletedAt).getTime() > cutoff);
+        const purged = trash.length - kept.length;
+
+        if (purged > 0 && this.saveCollections({ trash: kept }, 'Purge trash')) {
+            console.log(`Todo PWA: Purged ${purged} todos from trash`);
+            return purged;
+        }
+
+        return 0;
+    }
+
+    /**
+     * Get archived todos, most recently archived first
+     */
+    getArchive() {
+        return this.clone(this.cache.archive);
+    }
+
+    /**
+     * Move completed todos to the archive. `reason` is 'manual' or 'cleanup'.
+     * Open todos are left where they are. Returns the archived items.
+     */
+    archiveTodos(ids, reason = 'manual', label = 'Archive todos') {
+        const idSet = new Set(ids);
+        const todos = this.getTodos();
+        const archivedAt = new Date().toISOString();
+
+        const archived = todos
+            .filter(todo => idSet.has(todo.id) && todo.completed)
+            .map(todo => ({ ...todo, archivedAt, archivedReason: reason }));
+
+        if (archived.length === 0) return [];
+
+        const archivedIds = new Set(archived.map(todo => todo.id));
+        const saved = this.saveCollections({
+            todos: todos.filter(todo => !archivedIds.has(todo.id)),
+            archive: [...archived, ...this.getArchive()]
+        }, label);
+
+        if (!saved) return [];
+
+        archived.forEach(todo => this.triggerStorageEvent('todo_archived', todo));
+        return archived;
+    }
+
+    /**
+     * Archive every completed todo, or those in one list
+     */
+    archiveCompleted(listId = 'all') {
+        const ids = this.cache.todos
+            .filter(todo => todo.completed && (listId === 'all' || todo.listId === listId))
+            .map(todo => todo.id);
+
+        return this.archiveTodos(ids, 'manual', 'Archive completed todos');
+    }
+
+    /**
+     * Move a todo from the archive back into the list
+     */
+    unarchiveTodo(id) {
+        try {
+            const archive = this.getArchive();
+            const item = archive.find(entry => entry.id === id);
+
+            if (!item) {
+                console.warn('Todo PWA: Todo not found in archive:', id);
+                return null;
+            }
+
+            const { archivedAt, archivedReason, ...todo } = item;
+
+            // The todo's list may have been deleted while it was archived
+            if (!this.getList(todo.listId)) {
+                todo.listId = this.defaultListId;
+            }
+
+            const saved = this.saveCollections({
+                todos: [todo, ...this.getTodos()],
+                archive: archive.filter(entry => entry.id !== id)
+            }, `Unarchive "${todo.title}"`);
+
+            if (saved) {
+                this.triggerStorageEvent('todo_unarchived', todo);
+                return todo;
+            }
+
+            return null;
+
+        } catch (error) {
+            console.error('Todo PWA: Error unarchiving todo:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Move an archived todo to the trash
+     */
+    trashArchivedTodo(id) {
+        const archive = this.getArchive();
+        const item = archive.find(entry => entry.id === id);
+
+        if (!item) return false;
+
+        const { archivedAt, archivedReason, ...todo } = item;
+
+        return this.saveCollections({
+            archive: archive.filter(entry => entry.id !== id),
+            trash: [{ ...todo, deletedAt: new Date().toISOString(), deletedReason: 'deleted' }, ...this.getTrash()]
+        }, `Delete "${todo.title}"`);
+    }
+
+    /**
+     * Search the archive, or one list's part of it, with the query language (see TodoQuery).
+     * Text terms match by substring: the archive is kept out of the search index so it stays small.
+     */
+    searchArchive(query, listId = 'all') {
+        const { ast } = TodoQuery.parse(query);
+        const context = { now: new Date(), lists: this.cache.lists };
+
+        return this.clone(this.cache.archive.filter(item =>
+            (listId === 'all' || item.listId === listId) && TodoQuery.matches(item, ast, context)
+        ));
+    }
+
+    /**
+     * Move completed todos to the trash or the archive as the cleanup settings say
+     * (see TodoCleanup). Returns { action, count }, or null when nothing was cleaned up.
+     */
+    cleanupTodos() {
+        const result = TodoCleanup.apply(this.cache, this.getSettings());
+        if (!result) return null;
+
+        if (!this.saveCollections(result.collections, 'Clean up completed todos')) return null;
+
+        console.log(`Todo PWA: ${TodoCleanup.describe(result)}`);
+        return { action: result.action, count: result.count };
+    }
+
+    /**
+     * Add a subtask to the end of a todo's checklist
+     */
+    addSubtask(todoId, title) {
+        const todo = this.getTodo(todoId);
+        if (!todo || !title || !title.trim()) return null;
+
+        const subtask = {
+            id: this.generateId(),
+            title: title.trim(),
+            completed: false
+        };
+
+        const changes = { subtasks: [...todo.subtasks, subtask] };
+
+        // A new open item means an auto-completed parent is no longer done
+        if (todo.completed && this.getSettings().autoCompleteParent) {
+            changes.completed = false;
+        }
+
+        return this.updateTodo(todoId, changes) ? subtask : null;
+    }
+
+    /**
+     * Update a subtask. With `autoCompleteParent` on, checking the last open
+     * subtask completes the todo and unchecking one reopens it.
+     */
+    updateSubtask(todoId, subtaskId, updates) {
+        const todo = this.getTodo(todoId);
+        if (!todo || !todo.subtasks.some(subtask => subtask.id === subtaskId)) return null;
+
+        const subtasks = todo.subtasks.map(subtask => subtask.id === subtaskId
+            ? { ...subtask, ...updates, id: subtaskId }
+            : subtask
+        );
+        const changes = { subtasks };
+
+        if (updates.completed !== undefined && this.getSettings().autoCompleteParent) {
+            const allDone = subtasks.every(subtask => subtask.completed);
+
+            if (allDone && !todo.completed) changes.completed = true;
+            if (!updates.completed && todo.completed) changes.completed = false;
+        }
+
+        return this.updateTodo(todoId, changes);
+    }
+
+    /**
+     * Remove a subtask
+     */
+    deleteSubtask(todoId, subtaskId) {
+        const todo = this.getTodo(todoId);
+        if (!todo) return null;
+
+        return this.updateTodo(todoId, {
+            subtasks: todo.subtasks.filter(subtask => subtask.id !== subtaskId)
+        });
+    }
+
+    /**
+     * Move a subtask up (-1) or down (+1) in the checklist
+     */
+    moveSubtask(todoId, subtaskId, offset) {
+        const todo = this.getTodo(todoId);
+        if (!todo) return null;
+
+        const subtasks = todo.subtasks;
+        const index = subtasks.findIndex(subtask => subtask.id === subtaskId);
+        const target = index + offset;
+
+        if (index === -1 || target < 0 || target >= subtasks.length) return null;
+
+        const [subtask] = subtasks.splice(index, 1);
+        subtasks.splice(target, 0, subtask);
+
+        return this.updateTodo(todoId, { subtasks });
+    }
+
+    /**
+     * Get all lists, in display order
+     */
+    getLists() {
+        return this.clone(this.cache.lists);
+    }
+
+    /**
+     * Get a single list by ID
+     */
+    getList(id) {
+        const list = this.cache.lists.find(list => list.id === id);
+        return list ? this.clone(list) : null;
+    }
+
+    /**
+     * Create a list ({ name, emoji, color })
+     */
+    addList(listData) {
+        try {
+            if (!listData.name || !listData.name.trim()) return null;
+
+            const newList = {
+                id: this.generateId(),
+                name: listData.name.trim(),
+                emoji: listData.emoji || '',
+                color: listData.color || '#4F46E5',
+                createdAt: new Date().toISOString()
+            };
+
+            if (this.saveCollections({ lists: [...this.getLists(), newList] }, `Add list "${newList.name}"`)) {
+                this.triggerStorageEvent('list_added', newList);
+                return this.getList(newList.id);
+            }
+
+            return null;
+
+        } catch (error) {
+            console.error('Todo PWA: Error adding list:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Rename or restyle a list
+     */
+    updateList(id, updates) {
+        const lists = this.getLists();
+        const index = lists.findIndex(list => list.id === id);
+
+        if (index === -1) {
+            console.warn('Todo PWA: List not found for update:', id);
+            return null;
+        }
+
+        lists[index] = { ...lists[index], ...updates, id };
+
+        if (this.saveCollections({ lists }, `Update list "${lists[index].name}"`)) {
+            return this.getList(id);
+        }
+
+        return null;
+    }
+
+    /**
+     * Delete a list, moving its todos to the default list
+     */
+    deleteList(id) {
+        const list = this.getList(id);
+        if (!list || id === this.defaultListId) return false;
+
+        const todos = this.getTodos().map(todo => todo.listId === id
+            ? { ...todo, listId: this.defaultListId }
+            : todo
+        );
+
+        const saved = this.saveCollections({
+            lists: this.getLists().filter(entry => entry.id !== id),
+            todos
+        }, `Delete list "${list.name}"`);
+
+        if (saved) {
+            this.triggerStorageEvent('list_deleted', list);
+        }
+
+        return saved;
+    }
+
+    /**
+     * Move a todo to another list
+     */
+    moveTodoToList(todoId, listId) {
+        if (!this.getList(listId)) {
+            console.warn('Todo PWA: List not found for move:', listId);
+            return null;
+        }
+
+        return this.updateTodo(todoId, { listId });
+    }
+
+    /**
+     * Count total, completed and pending todos per list, plus an 'all' aggregate.
+     * `archived` counts the list's archived todos, which are not part of the total.
+     */
+    getListStats() {
+        const stats = { all: { total: 0, completed: 0, pending: 0, archived: 0 } };
+
+        this.cache.lists.forEach(list => {
+            stats[list.id] = { total: 0, completed: 0, pending: 0, archived: 0 };
+        });
+
+        this.cache.todos.forEach(todo => {
+            [stats.all, stats[todo.listId]].forEach(entry => {
+                if (!entry) return;
+
+                entry.total++;
+                entry[todo.completed ? 'completed' : 'pending']++;
+            });
+        });
+
+        this.cache.archive.forEach(item => {
+            [stats.all, stats[item.listId]].forEach(entry => {
+                if (entry) entry.archived++;
+            });
+        });
+
+        return stats;
+    }
+
+    /**
+     * Get every tag in use with its number of todos, most used first
+     */
+    getTags() {
+        const counts = new Map();
+
+        this.cache.todos.forEach(todo => {
+            todo.tags.forEach(tag => {
+                const key = tag.toLowerCase();
+                const entry = counts.get(key) || { name: tag, count: 0, pending: 0 };
+
+                entry.count++;
+                if (!todo.completed) entry.pending++;
+                counts.set(key, entry);
+            });
+        });
+
+        return [...counts.values()].sort((a, b) =>
+            b.count - a.count || a.name.localeCompare(b.name)
+        );
+    }
+
+    /**
+     * Replace (or with null, remove) the given tags on every todo, including trashed ones.
+     * Returns the number of live todos changed.
+     */
+    rewriteTags(names, replacement, label) {
+        const keys = new Set(names.map(name => name.toLowerCase()));
+        const hasTag = record => record.tags.some(tag => keys.has(tag.toLowerCase()));
+        const rewrite = records => records.map(record => hasTag(record)
+            ? {
+                ...record,
+                tags: this.normalizeTags(record.tags
+                    .map(tag => keys.has(tag.toLowerCase()) ? replacement : tag)
+                    .filter(Boolean))
+            }
+            : record
+        );
+
+        const todos = this.getTodos();
+        const trash = this.getTrash();
+        const affected = todos.filter(hasTag).length;
+
+        if (affected === 0 && !trash.some(hasTag)) return 0;
+
+        const saved = this.saveCollections({
+            todos: rewrite(todos),
+            trash: rewrite(trash)
+        }, label);
+
+        if (saved) {
+            this.triggerStorageEvent('tags_updated', { names, replacement });
+            return affected;
+        }
+
+        return 0;
+    }
+
+    /**
+     * Rename a tag on every todo. Renaming to an existing tag merges the two.
+     * Returns the number of todos changed.
+     */
+    renameTag(oldName, newName) {
+        const [target] = this.normalizeTags([newName]);
+        if (!oldName || !target) return 0;
+
+        return this.rewriteTags([oldName], target, `Rename tag "${oldName}" to "${target}"`);
+    }
 
-            return todos;
+    /**
+     * Merge several tags into one. Returns the number of todos changed.
+     */
+    mergeTags(sourceNames, targetName) {
+        const [target] = this.normalizeTags([targetName]);
+        if (!target || sourceNames.length === 0) return 0;
 
-        } catch (error) {
-            console.error('Todo PWA: Error loading todos:', error);
-            return [];
-        }
+        return this.rewriteTags(sourceNames, target, `Merge tags into "${target}"`);
     }
 
     /**
-     * Validate todos structure and clean invalid entries
+     * Remove a tag from every todo. Returns the number of todos changed.
      */
-    validateTodos(todos) {
-        if (!Array.isArray(todos)) {
-            console.warn('Todo PWA: Invalid todos data, resetting to empty array');
-            return [];
-        }
+    deleteTag(name) {
+        if (!name) return 0;
 
-        return todos.filter(todo => {
-            // Required fields validation
-            if (!todo || typeof todo !== 'object') return false;
-            if (!todo.id || typeof todo.id !== 'string') return false;
-            if (!todo.title || typeof todo.title !== 'string') return false;
-            if (typeof todo.completed !== 'boolean') return false;
+        return this.rewriteTags([name], null, `Delete tag "${name}"`);
+    }
 
-            return true;
-        }).map(todo => ({
-            id: todo.id,
-            title: todo.title.trim(),
-            completed: Boolean(todo.completed),
-            dueDate: todo.dueDate || null,
-            createdAt: todo.createdAt || new Date().toISOString(),
-            completedAt: todo.completedAt || null,
-            priority: todo.priority || 'normal',
-            tags: Array.isArray(todo.tags) ? todo.tags : [],
-            description: todo.description || ''
-        }));
+    /**
+     * Get a single todo by ID
+     */
+    getTodo(id) {
+        const todos = this.getTodos();
+        return todos.find(todo => todo.id === id) || null;
     }
 
     /**
-     * Filter todos based on criteria
+     * Search todos with the query language (see TodoQuery), e.g. 'tag:work -is:done'.
+     * Invalid terms are ignored; use TodoQuery.parse() to report them.
      */
-    filterTodos(todos, filter) {
-        switch (filter) {
-            case 'completed':
-                return todos.filter(todo => todo.completed);
-            case 'pending':
-                return todos.filter(todo => !todo.completed);
-            case 'overdue':
-                const now = new Date();
-                return todos.filter(todo => 
-                    !todo.completed && 
-                    todo.dueDate && 
-                    new Date(todo.dueDate) < now
-                );
-            case 'today':
-                const today = new Date().toDateString();
-                return todos.filter(todo => 
-                    !todo.completed && 
-                    todo.dueDate && 
-                    new Date(todo.dueDate).toDateString() === today
-                );
-            default:
-                return todos;
-        }
+    searchTodos(query) {
+        return this.search(query).todos;
     }
 
     /**
-     * Sort todos based on criteria
+     * Search todos and rank them by relevance.
+     * Plain words tolerate typos and match word prefixes; quoted phrases match exactly.
+     * Returns { todos, ranked, matches } where `ranked` is true when the todos are in
+     * relevance order and `matches` maps todo IDs to the words that matched (for highlighting).
      */
-    sortTodos(todos, sortOptions) {
-        const { field = 'createdAt', order = 'desc' } = sortOptions;
-        
-        return todos.sort((a, b) => {
-            let aValue = a[field];
-            let bValue = b[field];
+    search(query) {
+        const todos = this.getTodos();
+        const { ast } = TodoQuery.parse(query);
+        const matches = new Map();
 
-            // Handle date fields
-            if (field === 'createdAt' || field === 'completedAt' || field === 'dueDate') {
-                aValue = aValue ? new Date(aValue) : new Date(0);
-                bValue = bValue ? new Date(bValue) : new Date(0);
+        if (!ast) return { todos, ranked: false, matches };
+
+        this.searchIndex.sync(this.cache.todos);
+
+        const lookups = new Map();
+        const lookup = word => {
+            if (!lookups.has(word)) {
+                lookups.set(word, this.searchIndex.lookup(word));
             }
+            return lookups.get(word);
+        };
+        const scores = new Map();
+        const record = (id, score, terms) => {
+            scores.set(id, (scores.get(id) || 0) + score);
+            matches.set(id, [...(matches.get(id) || []), ...terms]);
+        };
 
-            // Handle string fields
-            if (typeof aValue === 'string' && typeof bValue === 'string') {
-                aValue = aValue.toLowerCase();
-                bValue = bValue.toLowerCase();
+        const matchText = (todo, node) => {
+            const words = TodoSearchIndex.tokenize(node.value);
+
+            if (node.phrase || words.length === 0) {
+                if (!TodoQuery.searchableText(todo).includes(node.value)) return false;
+
+                const { title, description } = TodoSearchIndex.FIELD_WEIGHTS;
+                record(todo.id, todo.title.toLowerCase().includes(node.value) ? title : description, [node.value]);
+                return true;
             }
 
-            // Compare values
-            let comparison = 0;
-            if (aValue < bValue) comparison = -1;
-            if (aValue > bValue) comparison = 1;
+            const hits = words.map(word => lookup(word).get(todo.id));
+            if (hits.some(hit => !hit)) return false;
 
-            return order === 'desc' ? -comparison : comparison;
-        });
+            record(todo.id, hits.reduce((sum, hit) => sum + hit.score, 0), hits.flatMap(hit => hit.tokens));
+            return true;
+        };
+
+        const context = { now: new Date(), lists: this.cache.lists, matchText };
+        const results = todos.filter(todo => TodoQuery.matches(todo, ast, context));
+
+        if (scores.size === 0) return { todos: results, ranked: false, matches };
+
+        // Most relevant first; Array#sort is stable so ties keep their order
+        const now = Date.now();
+        const relevance = new Map(results.map(todo => [
+            todo.id,
+            (scores.get(todo.id) || 0) * this.searchIndex.recencyBoost(todo.id, now)
+        ]));
+
+        results.sort((a, b) => relevance.get(b.id) - relevance.get(a.id));
+        return { todos: results, ranked: true, matches };
     }
 
     /**
-     * Save todos to storage
+     * Get application settings
      */
-    saveTodos(todos) {
+    getSettings() {
         try {
-            // Validate before saving
-            const validatedTodos = this.validateTodos(todos);
+            // Merge with defaults to ensure all settings exist
+            return { ...this.getDefaultSettings(), ...this.clone(this.cache.settings) };
 
-            if (this.usingMemoryFallback) {
-                this.memoryStorage.todos = validatedTodos;
-            } else {
-                localStorage.setItem(this.storageKey, JSON.stringify(validatedTodos));
-            }
+        } catch (error) {
+            console.error('Todo PWA: Error loading settings:', error);
+            return this.getDefaultSettings();
+        }
+    }
 
-            // Trigger storage event for other tabs/windows
-            this.triggerStorageEvent('todos_updated', validatedTodos);
-            
+    /**
+     * Save application settings
+     */
+    saveSettings(settings) {
+        try {
+            const validatedSettings = { ...this.getDefaultSettings(), ...settings };
+            validatedSettings.savedViews = this.validateSavedViews(validatedSettings.savedViews);
+
+            if (JSON.stringify(validatedSettings) === JSON.stringify(this.cache.settings)) return true;
+
+            this.persist('settings', validatedSettings);
+            this.cache.settings = validatedSettings;
+
+            const changes = [this.settingsChange(validatedSettings)];
+            this.notifyOtherTabs(changes);
+            this.triggerStorageEvent('changes', { changes, label: 'Save settings', external: false });
             return true;
 
         } catch (error) {
-            console.error('Todo PWA: Error saving todos:', error);
-            
-            // Handle quota exceeded error
-            if (error.name === 'QuotaExceededError') {
-                this.handleQuotaExceeded();
-            }
-            
+            console.error('Todo PWA: Error saving settings:', error);
             return false;
         }
     }
 
     /**
-     * Add a new todo
+     * When reminders were last delivered (timestamp), or null if never.
+     * Shared with the service worker through IndexedDB so no reminder shows twice.
      */
-    addTodo(todoData) {
+    async getReminderCheckpoint() {
         try {
-            const todos = this.getTodos();
-            
-            const newTodo = {
-                id: this.generateId(),
-                title: todoData.title.trim(),
-                completed: false,
-                dueDate: todoData.dueDate || null,
-                createdAt: new Date().toISOString(),
-                completedAt: null,
-                priority: todoData.priority || 'normal',
-                tags: todoData.tags || [],
-                description: todoData.description || ''
-            };
-
-            todos.unshift(newTodo);
-            
-            if (this.saveTodos(todos)) {
-                this.triggerStorageEvent('todo_added', newTodo);
-                return newTodo;
+            if (this.backend === 'indexeddb') {
+                return (await this.db.get('meta', TodoReminders.CHECKPOINT_KEY)) || null;
             }
-            
-            return null;
+            if (this.backend === 'localStorage') {
+                return Number(localStorage.getItem(this.reminderCheckpointKey)) || null;
+            }
+            return this.reminderCheckpoint || null;
 
         } catch (error) {
-            console.error('Todo PWA: Error adding todo:', error);
+            console.error('Todo PWA: Error reading reminder checkpoint:', error);
             return null;
         }
     }
 
     /**
-     * Update an existing todo
+     * Record that reminders up to `time` have been delivered
      */
-    updateTodo(id, updates) {
+    async setReminderCheckpoint(time) {
         try {
-            const todos = this.getTodos();
-            const index = todos.findIndex(todo => todo.id === id);
-            
-            if (index === -1) {
-                console.warn('Todo PWA: Todo not found for update:', id);
-                return null;
+            if (this.backend === 'indexeddb') {
+                await this.db.set('meta', TodoReminders.CHECKPOINT_KEY, time);
+            } else if (this.backend === 'localStorage') {
+                localStorage.setItem(this.reminderCheckpointKey, String(time));
+            } else {
+                this.reminderCheckpoint = time;
             }
+            return true;
 
-            const oldTodo = { ...todos[index] };
-            
-            // Apply updates
-            todos[index] = {
-                ...todos[index],
-                ...updates,
-                id, // Ensure ID cannot be changed
-                updatedAt: new Date().toISOString()
-            };
+        } catch (error) {
+            console.error('Todo PWA: Error saving reminder checkpoint:', error);
+            return false;
+        }
+    }
 
-            // Handle completion status change
-            if (updates.completed !== undefined) {
-                todos[index].completedAt = updates.completed 
-                    ? new Date().toISOString() 
-                    : null;
+    /**
+     * When cleanup last ran (timestamp), or null if never. Shared with the service worker.
+     */
+    async getLastCleanup() {
+        try {
+            if (this.backend === 'indexeddb') {
+                return (await this.db.get('meta', TodoCleanup.LAST_RUN_KEY)) || null;
             }
-
-            if (this.saveTodos(todos)) {
-                this.triggerStorageEvent('todo_updated', { old: oldTodo, new: todos[index] });
-                return todos[index];
+            if (this.backend === 'localStorage') {
+                return Number(localStorage.getItem(this.cleanupKey)) || null;
             }
-            
-            return null;
+            return this.lastCleanup || null;
 
         } catch (error) {
-            console.error('Todo PWA: Error updating todo:', error);
+            console.error('Todo PWA: Error reading last cleanup time:', error);
             return null;
         }
     }
 
-    /**
-     * Delete a todo
-     */
-    deleteTodo(id) {
+    async setLastCleanup(time) {
         try {
-            const todos = this.getTodos();
-            const index = todos.findIndex(todo => todo.id === id);
-            
-            if (index === -1) {
-                console.warn('Todo PWA: Todo not found for deletion:', id);
-                return false;
-            }
-
-            const deletedTodo = todos[index];
-            todos.splice(index, 1);
-            
-            if (this.saveTodos(todos)) {
-                this.triggerStorageEvent('todo_deleted', deletedTodo);
-                return true;
+            if (this.backend === 'indexeddb') {
+                await this.db.set('meta', TodoCleanup.LAST_RUN_KEY, time);
+            } else if (this.backend === 'localStorage') {
+                localStorage.setItem(this.cleanupKey, String(time));
+            } else {
+                this.lastCleanup = time;
             }
-            
-            return false;
+            return true;
 
         } catch (error) {
-            console.error('Todo PWA: Error deleting todo:', error);
+            console.error('Todo PWA: Error saving last cleanup time:', error);
             return false;
         }
     }
 
     /**
-     * Get a single todo by ID
+     * Validate saved views, dropping malformed entries and duplicate IDs
      */
-    getTodo(id) {
-        const todos = this.getTodos();
-        return todos.find(todo => todo.id === id) || null;
+    validateSavedViews(views) {
+        if (!Array.isArray(views)) return [];
+
+        const seen = new Set();
+        return views.filter(view => {
+            if (!view || typeof view !== 'object') return false;
+            if (!this.isValidId(view.id) || seen.has(view.id)) return false;
+            if (!view.name || typeof view.name !== 'string' || !view.name.trim()) return false;
+
+            seen.add(view.id);
+            return true;
+        }).map(view => ({
+            id: view.id,
+            name: view.name.trim(),
+            filter: typeof view.filter === 'string' ? view.filter : 'all',
+            query: typeof view.query === 'string' ? view.query : '',
+            priority: view.priority === 'all' || TodoStorage.PRIORITIES.includes(view.priority) ? view.priority : 'all',
+            tag: typeof view.tag === 'string' && view.tag ? view.tag : null,
+            listId: typeof view.listId === 'string' && view.listId ? view.listId : 'all',
+            sortBy: typeof view.sortBy === 'string' ? view.sortBy : 'createdAt',
+            sortOrder: view.sortOrder === 'asc' ? 'asc' : 'desc',
+            groupBy: TodoStorage.GROUPINGS.includes(view.groupBy) ? view.groupBy : 'none',
+            createdAt: view.createdAt || new Date().toISOString()
+        }));
     }
 
     /**
-     * Search todos by text
+     * Get saved views (named combinations of filters, search, sort and grouping)
      */
-    searchTodos(query) {
-        const todos = this.getTodos();
-        const searchTerm = query.toLowerCase().trim();
-        
-        if (!searchTerm) return todos;
+    getSavedViews() {
+        return this.validateSavedViews(this.getSettings().savedViews);
+    }
 
-        return todos.filter(todo => 
-            todo.title.toLowerCase().includes(searchTerm) ||
-            todo.description.toLowerCase().includes(searchTerm) ||
-            (todo.tags && todo.tags.some(tag => tag.toLowerCase().includes(searchTerm)))
-        );
+    /**
+     * Find a saved view by ID or by name (case-insensitive)
+     */
+    getSavedView(idOrName) {
+        const key = String(idOrName || '').trim().toLowerCase();
+        const views = this.getSavedViews();
+
+        return views.find(view => view.id === idOrName) ||
+            views.find(view => view.name.toLowerCase() === key) ||
+            null;
     }
 
     /**
-     * Get application settings
+     * Save a view; a view with the same name is replaced
      */
-    getSettings() {
-        try {
-            if (this.usingMemoryFallback) {
-                return { ...this.memoryStorage.settings };
-            }
+    saveView(viewData) {
+        if (!viewData.name || !viewData.name.trim()) return null;
+
+        const settings = this.getSettings();
+        const views = this.getSavedViews();
+        const existing = this.getSavedView(viewData.name);
+        const view = {
+            ...viewData,
+            id: existing ? existing.id : this.generateId(),
+            createdAt: existing ? existing.createdAt : new Date().toISOString()
+        };
 
-            const data = localStorage.getItem(this.settingsKey);
-            const settings = data ? JSON.parse(data) : this.getDefaultSettings();
-            
-            // Merge with defaults to ensure all settings exist
-            return { ...this.getDefaultSettings(), ...settings };
+        settings.savedViews = existing
+            ? views.map(entry => entry.id === existing.id ? view : entry)
+            : [...views, view];
 
-        } catch (error) {
-            console.error('Todo PWA: Error loading settings:', error);
-            return this.getDefaultSettings();
-        }
+        return this.saveSettings(settings) ? this.getSavedView(view.id) : null;
     }
 
     /**
-     * Save application settings
+     * Delete a saved view
      */
-    saveSettings(settings) {
-        try {
-            const validatedSettings = { ...this.getDefaultSettings(), ...settings };
-
-            if (this.usingMemoryFallback) {
-                this.memoryStorage.settings = validatedSettings;
-            } else {
-                localStorage.setItem(this.settingsKey, JSON.stringify(validatedSettings));
-            }
+    deleteView(id) {
+        const settings = this.getSettings();
+        const views = this.getSavedViews();
+        const remaining = views.filter(view => view.id !== id);
 
-            this.triggerStorageEvent('settings_updated', validatedSettings);
-            return true;
+        if (remaining.length === views.length) return false;
 
-        } catch (error) {
-            console.error('Todo PWA: Error saving settings:', error);
-            return false;
-        }
+        settings.savedViews = remaining;
+        return this.saveSettings(settings);
     }
 
     /**
@@ -483,7 +2262,7 @@ class TodoStorage {
             
             if (!this.usingMemoryFallback) {
                 // Calculate approximate storage usage
-                storageUsed = JSON.stringify(todos).length + JSON.stringify(settings).length;
+                storageUsed = JSON.stringify(todos).length + JSON.stringify(this.cache.archive).length + JSON.stringify(settings).length;
                 
                 // Estimate available storage (rough approximation)
                 if ('storage' in navigator && 'estimate' in navigator.storage) {
@@ -491,15 +2270,21 @@ class TodoStorage {
                         console.log('Storage quota:', estimate);
                     });
                 }
-                storageAvailable = 5 * 1024 * 1024; // 5MB rough estimate
+
+                // IndexedDB quota is origin-wide; only localStorage has the ~5MB cap
+                if (this.backend === 'localStorage') {
+                    storageAvailable = 5 * 1024 * 1024; // 5MB rough estimate
+                }
             }
 
             return {
                 todosCount: todos.length,
                 completedCount: todos.filter(t => t.completed).length,
+                archivedCount: this.cache.archive.length,
                 storageUsed,
                 storageAvailable,
-                usingMemoryFallback: this.usingMemoryFallback
+                backend: this.backend,
+                usingMemoryFallback: Boolean(this.usingMemoryFallback)
             };
 
         } catch (error) {
@@ -519,28 +2304,52 @@ class TodoStorage {
      * Handle quota exceeded error
      */
     handleQuotaExceeded() {
+        // Writing the cleanup ran out of space as well: one try is enough
+        if (this.quotaCleanup) {
+            if (!this.quotaCleanup.failed) {
+                this.quotaCleanup.failed = true;
+                console.error('Todo PWA: Storage is still full after freeing space');
+                this.triggerStorageEvent('quota_exceeded', { purged: 0, failed: true });
+            }
+            return;
+        }
+
         console.warn('Todo PWA: Storage quota exceeded, attempting cleanup...');
+
+        const cleanup = { failed: false };
+        this.quotaCleanup = cleanup;
         
         try {
-            // Remove old completed todos
-            const todos = this.getTodos();
-            const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
-            
-            const filteredTodos = todos.filter(todo => {
-                if (!todo.completed) return true;
-                const completedDate = new Date(todo.completedAt || todo.createdAt).getTime();
-                return completedDate > thirtyDaysAgo;
-            });
+            // Only free space taken by the trash; live todos are never dropped
+            const trash = this.getTrash();
+            let purged = this.purgeTrash();
+
+            if (purged === 0 && trash.length > 0 && !cleanup.failed) {
+                // Nothing expired yet: drop the oldest half of the trash
+                const kept = trash
+                    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+                    .slice(0, Math.floor(trash.length / 2));
+
+                if (this.saveCollections({ trash: kept }, 'Free up storage space')) {
+                    purged = trash.length - kept.length;
+                }
+            }
 
-            if (filteredTodos.length < todos.length) {
-                this.saveTodos(filteredTodos);
-                console.log('Todo PWA: Cleaned up old todos to free space');
+            if (!cleanup.failed) {
+                console.log(`Todo PWA: Purged ${purged} trashed todos to free space`);
+                this.triggerStorageEvent('quota_exceeded', { purged });
             }
 
         } catch (error) {
             console.error('Todo PWA: Quota cleanup failed:', error);
-            // Fall back to memory storage
+            // Fall back to memory storage, keeping what is cached
             this.useMemoryFallback();
+        } finally {
+            // IndexedDB reports a failed cleanup write later; keep the guard until then
+            const done = () => {
+                if (this.quotaCleanup === cleanup) this.quotaCleanup = null;
+            };
+            this.pendingWrite.then(done, done);
         }
     }
 
@@ -560,15 +2369,20 @@ class TodoStorage {
      */
     clearAll() {
         try {
-            if (this.usingMemoryFallback) {
-                this.memoryStorage.todos = [];
-                this.memoryStorage.settings = this.getDefaultSettings();
-            } else {
-                localStorage.removeItem(this.storageKey);
-                localStorage.removeItem(this.settingsKey);
-                this.initializeStorage();
-            }
+            // Saved like any other deletion, so it leaves tombstones and reaches other devices
+            const empty = {};
+            TodoMerge.COLLECTIONS.forEach(name => {
+                empty[name] = this.validateCollection(name, []);
+            });
+
+            if (!this.saveCollections(empty, 'Clear all data')) return false;
+
+            // Keep syncing, or the deletions would never leave the outbox
+            this.cache.settings = { ...this.getDefaultSettings(), syncEndpoint: this.getSettings().syncEndpoint };
+            this.persist('settings', this.cache.settings);
+            this.history.clear();
 
+            this.notifyOtherTabs();
             this.triggerStorageEvent('storage_cleared');
             return true;
 
@@ -579,6 +2393,18 @@ class TodoStorage {
     }
 }
 
+// Priority levels, most important first
+TodoStorage.PRIORITIES = ['urgent', 'high', 'normal', 'low'];
+
+// Smallest gap between manual orders before todos are renumbered
+TodoStorage.MIN_ORDER_GAP = 1e-6;
+
+// Ways the todo list can be grouped
+TodoStorage.GROUPINGS = ['none', 'priority', 'list', 'due'];
+
+// What record IDs may contain
+TodoStorage.ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.TodoStorage = TodoStorage;
@@ -0,0 +1,293 @@
+/**
+ * Todo PWA - Server Sync
+ * Keeps an outbox of local changes in IndexedDB and replays them, in order, against a
+ * REST endpoint (PUT/DELETE {endpoint}/{collection}/{id}). Shared by the page and the
+ * service worker, which replays the outbox from Background Sync when connectivity returns.
+ * GET {endpoint} returns every collection, which the page merges in (see TodoMerge).
+ */
+
+class TodoSync {
+    constructor(db = new TodoDB(), fetchFn = (...args) => fetch(...args)) {
+        this.db = db;
+        this.fetch = fetchFn;
+    }
+
+    /**
+     * Record-level changes between two versions of a collection, as outbox operations
+     */
+    static diff(collection, previous = [], next = []) {
+        const before = new Map(previous.map(record => [record.id, JSON.stringify(record)]));
+        const after = new Set();
+        const changes = [];
+
+        next.forEach(record => {
+            after.add(record.id);
+
+            if (before.get(record.id) !== JSON.stringify(record)) {
+                changes.push({ collection, recordId: record.id, op: 'put', record });
+            }
+        });
+
+        before.forEach((value, id) => {
+            if (!after.has(id)) {
+                changes.push({ collection, recordId: id, op: 'delete', record: null });
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Delay before retry number `attempts` (1, 2, ...): doubles each time, up to a cap
+     */
+    static backoff(attempts) {
+        return Math.min(TodoSync.RETRY_BASE * 2 ** (attempts - 1), TodoSync.RETRY_MAX);
+    }
+
+    /**
+     * Check an endpoint URL; returns it without a trailing slash, or null
+     */
+    static normalizeEndpoint(value) {
+        try {
+            const url = new URL(String(value).trim());
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+            return url.href.replace(/\/+$/, '');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Queue changes. A record's newer change replaces its queued one, so the outbox
+     * holds at most one operation per record, replayed in order of the latest change.
+     */
+    async enqueue(changes) {
+        if (changes.length === 0) return;
+
+        const queuedAt = Date.now();
+
+        await this.db.transaction([TodoSync.STORE], 'readwrite', tx => {
+            const store = tx.objectStore(TodoSync.STORE);
+
+            changes.forEach((change, index) => {
+                const key = `${change.collection}/${change.recordId}`;
+
+                store.put({
+                    ...change,
+                    key,
+                    seq: queuedAt * 1000 + index,
+                    queuedAt,
+                    attempts: 0,
+                    nextAttemptAt: 0,
+                    lastError: null
+                }, key);
+            });
+        });
+    }
+
+    /**
+     * Queued operations, oldest first
+     */
+    async getPending() {
+        const entries = await this.db.getAll(TodoSync.STORE);
+        return entries.sort((a, b) => a.seq - b.seq);
+    }
+
+    /**
+     * Drop everything queued (e.g. when sync is turned off)
+     */
+    clear() {
+        return this.db.transaction([TodoSync.STORE], 'readwrite', tx => {
+            tx.objectStore(TodoSync.STORE).clear();
+        });
+    }
+
+    /**
+     * Last known sync status: { state, pending, lastSyncedAt, lastError, nextRetryAt }
+     */
+    async getStatus() {
+        const status = await this.db.get('meta', TodoSync.STATUS_KEY);
+        return { ...TodoSync.IDLE_STATUS, ...status };
+    }
+
+    async setStatus(status) {
+        await this.db.set('meta', TodoSync.STATUS_KEY, status);
+        return status;
+    }
+
+    /**
+     * Fetch everything the server has as { collection: [records] }, or null when unreachable
+     */
+    async pull(endpoint) {
+        try {
+            const response = await this.fetch(endpoint, { headers: { Accept: 'application/json' } });
+            if (!response.ok) return null;
+
+            const body = await response.json();
+            const data = {};
+
+            Object.entries(body || {}).forEach(([name, records]) => {
+                data[name] = Array.isArray(records) ? records : Object.values(records || {});
+            });
+
+            return data;
+        } catch (error) {
+            console.log('Todo PWA: Could not fetch server data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Send queued operations to the endpoint, oldest first. Stops at the first failure
+     * that may succeed later (offline, 5xx, 429) so changes never arrive out of order;
+     * that entry is retried after an exponential backoff, or straight away with `force`.
+     * Changes the server rejects outright (other 4xx) are dropped and reported.
+     */
+    async replay(endpoint, { force = false } = {}) {
+        const previous = await this.getStatus();
+        const entries = await this.getPending();
+        const status = {
+            ...previous,
+            state: 'syncing',
+            pending: entries.length,
+            lastError: null,
+            nextRetryAt: null
+        };
+
+        if (entries.length === 0) {
+            return this.setStatus({ ...status, state: 'idle' });
+        }
+
+        for (const entry of entries) {
+            const now = Date.now();
+
+            if (!force && entry.nextAttemptAt > now) {
+                return this.setStatus({
+                    ...status,
+                    state: 'retrying',
+                    lastError: entry.lastError,
+                    nextRetryAt: entry.nextAttemptAt
+                });
+            }
+
+            const result = await this.send(endpoint, entry);
+
+            if (result.ok || !result.retry) {
+                await this.remove(entry);
+                status.pending--;
+                status.lastSyncedAt = Date.now();
+
+                if (!result.ok) {
+                    status.lastError = result.error;
+                    console.warn('Todo PWA: Server rejected a queued change:', entry.key, result.error);
+                }
+                continue;
+            }
+
+            const attempts = entry.attempts + 1;
+            const nextAttemptAt = Date.now() + TodoSync.backoff(attempts);
+
+            await this.update(entry, { attempts, nextAttemptAt, lastError: result.error });
+
+            return this.setStatus({
+                ...status,
+                state: result.offline ? 'offline' : 'retrying',
+                lastError: result.error,
+                nextRetryAt: nextAttemptAt
+            });
+        }
+
+        return this.setStatus({ ...status, state: status.lastError ? 'error' : 'idle' });
+    }
+
+    /**
+     * Send one operation. Resolves to { ok, retry, offline, error }; never rejects.
+     */
+    async send(endpoint, entry) {
+        const url = `${endpoint}/${encodeURIComponent(entry.collection)}/${encodeURIComponent(entry.recordId)}`;
+
+        let response;
+        try {
+            response = await this.fetch(url, entry.op === 'put'
+                ? {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(entry.record)
+                }
+                : { method: 'DELETE' });
+        } catch (error) {
+            return { ok: false, retry: true, offline: true, error: 'Server unreachable' };
+        }
+
+        // Deleting something the server never had is fine
+        if (response.ok || (entry.op === 'delete' && response.status === 404)) {
+            return { ok: true };
+        }
+
+        const retry = response.status >= 500 || response.status === 408 || response.status === 429;
+        return { ok: false, retry, offline: false, error: `HTTP ${response.status} for ${entry.op.toUpperCase()} ${entry.key}` };
+    }
+
+    /**
+     * Remove a sent entry, unless a newer change to the record replaced it meanwhile
+     */
+    remove(entry) {
+        return this.db.transaction([TodoSync.STORE], 'readwrite', tx => {
+            const store = tx.objectStore(TodoSync.STORE);
+            const request = store.get(entry.key);
+
+            request.onsuccess = () => {
+                if (request.result && request.result.seq === entry.seq) {
+                    store.delete(entry.key);
+                }
+            };
+        });
+    }
+
+    /**
+     * Record a failed attempt on an entry (again, only if it wasn't replaced)
+     */
+    update(entry, changes) {
+        return this.db.transaction([TodoSync.STORE], 'readwrite', tx => {
+            const store = tx.objectStore(TodoSync.STORE);
+            const request = store.get(entry.key);
+
+            request.onsuccess = () => {
+                if (request.result && request.result.seq === entry.seq) {
+                    store.put({ ...request.result, ...changes }, entry.key);
+                }
+            };
+        });
+    }
+}
+
+// IndexedDB store holding queued operations, keyed by "collection/id"
+TodoSync.STORE = 'outbox';
+
+// IndexedDB meta key holding the last sync status
+TodoSync.STATUS_KEY = 'syncStatus';
+
+// Background Sync tag the service worker replays the outbox on
+TodoSync.SYNC_TAG = 'todo-sync';
+
+// First retry delay and the longest delay between retries
+TodoSync.RETRY_BASE = 5 * 1000;
+TodoSync.RETRY_MAX = 60 * 60 * 1000;
+
+TodoSync.IDLE_STATUS = {
+    state: 'idle',
+    pending: 0,
+    lastSyncedAt: null,
+    lastError: null,
+    nextRetryAt: null
+};
+
+// Export for the page and the service worker (importScripts)
+if (typeof self !== 'undefined') {
+    self.TodoSync = TodoSync;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoSync;
+}
@@ -7,17 +7,62 @@ class TodoUI {
     constructor(storage) {
         this.storage = storage;
         this.currentFilter = 'all';
+        this.currentPriority = 'all';
+        this.currentView = 'todos';
+        this.currentList = storage.getSettings().currentListId;
+
+        // List being edited in the list form (null when creating one)
+        this.editingListId = null;
+
+        // Tag filter, tags picked in the add form, and todos whose tags are being edited
+        this.currentTag = null;
+        this.formTags = [];
+        this.editingTags = new Set();
         this.searchQuery = '';
+
+        // Todo ID -> words the current search matched, for highlighting
+        this.searchMatches = new Map();
+
+        // Todos whose checklist editor is open
+        this.expandedTodos = new Set();
+
+        // Todo whose title is being edited inline, and todo open in the detail editor
+        this.editingTitleId = null;
+        this.detailTodoId = null;
+
+        // Manual reordering: allowed while sorted by manual order; todo being dragged and where it would land
+        this.canReorder = false;
+        this.draggedId = null;
+        this.dropTarget = null;
+
+        // Rows (or with staleList, the whole list) changed by another tab while being edited here
+        this.staleTodos = new Set();
+        this.staleList = false;
         
         // DOM element references
         this.elements = {
             todosList: document.getElementById('todosList'),
+            todosHeader: document.querySelector('.todos-header'),
+            listSwitcher: document.getElementById('listSwitcher'),
+            listForm: document.getElementById('listForm'),
             todoForm: document.getElementById('todoForm'),
             titleInput: document.getElementById('todoTitle'),
+            quickAddPreview: document.getElementById('quickAddPreview'),
             dueDateInput: document.getElementById('todoDueDate'),
+            dueTimeInput: document.getElementById('todoDueTime'),
+            prioritySelect: document.getElementById('todoPriority'),
+            reminderSelect: document.getElementById('todoReminder'),
+            repeatSelect: document.getElementById('todoRepeat'),
+            repeatCustom: document.getElementById('repeatCustom'),
+            tagInput: document.getElementById('todoTagInput'),
+            formTags: document.getElementById('formTags'),
+            tagSuggestions: document.getElementById('tagSuggestions'),
+            detailOverlay: document.getElementById('detailOverlay'),
+            detailForm: document.getElementById('detailForm'),
             totalTodos: document.getElementById('totalTodos'),
             completedTodos: document.getElementById('completedTodos'),
-            pendingTodos: document.getElementById('pendingTodos')
+            pendingTodos: document.getElementById('pendingTodos'),
+            archivedTodos: document.getElementById('archivedTodos')
         };
         
         // Initialize UI
@@ -33,9 +78,21 @@ class TodoUI {
         // Bind form events
         this.bindFormEvents();
         
+        // Setup list switcher and list editor
+        this.bindListEvents();
+        
+        // Setup todo detail editor
+        this.bindDetailEvents();
+        
+        // Setup drag-and-drop reordering
+        this.bindDragEvents();
+        
         // Setup filter controls
         this.setupFilterControls();
         
+        // Setup tag sidebar
+        this.setupTagSidebar();
+        
         // Setup search functionality
         this.setupSearchFunctionality();
         
@@ -65,6 +122,23 @@ class TodoUI {
 
         // Auto-resize text inputs
         this.elements.titleInput.addEventListener('input', this.autoResize.bind(this));
+
+        // Preview what quick-add recognises in the title as it is typed
+        this.elements.titleInput.addEventListener('input', () => this.renderQuickAddPreview());
+
+        // Enter or comma turns the typed text into a tag; Backspace removes the last one
+        this.elements.tagInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ',') {
+                event.preventDefault();
+                this.addFormTag(this.elements.tagInput.value);
+            } else if (event.key === 'Backspace' && !this.elements.tagInput.value && this.formTags.length) {
+                this.removeFormTag(this.formTags.length - 1);
+            }
+        });
+
+        // Show only the repeat fields that apply
+        this.elements.repeatSelect.addEventListener('change', () => this.updateRepeatControls());
+        this.elements.repeatCustom.addEventListener('change', () => this.updateRepeatControls());
         
         // Clear form on escape
         document.addEventListener('keydown', (event) => {
@@ -74,6 +148,113 @@ class TodoUI {
         });
     }
 
+    /**
+     * Bind list form events
+     */
+    bindListEvents() {
+        this.elements.listForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveList();
+        });
+
+        document.getElementById('cancelList').addEventListener('click', () => this.closeListForm());
+        document.getElementById('deleteList').addEventListener('click', () => this.deleteList(this.editingListId));
+    }
+
+    /**
+     * Bind drag-and-drop reordering: mouse drags use native drag events,
+     * touch drags start on the drag handle
+     */
+    bindDragEvents() {
+        const list = this.elements.todosList;
+
+        list.addEventListener('dragstart', (event) => {
+            const item = event.target.closest && event.target.closest('.todo-item');
+            if (!item || !this.canReorder) return;
+
+            this.startDrag(item);
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', item.dataset.id);
+        });
+
+        list.addEventListener('dragover', (event) => {
+            const item = event.target.closest('.todo-item');
+            if (!this.draggedId || !item) return;
+
+            event.preventDefault();
+            this.updateDropTarget(item, event.clientY);
+        });
+
+        list.addEventListener('drop', (event) => {
+            event.preventDefault();
+            this.dropTodo();
+        });
+
+        list.addEventListener('dragend', () => this.clearDragState());
+
+        list.addEventListener('touchstart', (event) => {
+            const handle = event.target.closest('.drag-handle');
+            if (!handle || !this.canReorder) return;
+
+            this.startDrag(handle.closest('.todo-item'));
+        }, { passive: true });
+
+        list.addEventListener('touchmove', (event) => {
+            if (!this.draggedId) return;
+
+            // Drag instead of scrolling the page
+            event.preventDefault();
+
+            const touch = event.touches[0];
+            const target = document.elementFromPoint(touch.clientX, touch.clientY);
+            const item = target && target.closest('.todo-item');
+
+            if (item) {
+                this.updateDropTarget(item, touch.clientY);
+            }
+        }, { passive: false });
+
+        list.addEventListener('touchend', () => {
+            if (this.draggedId) this.dropTodo();
+        });
+
+        list.addEventListener('touchcancel', () => this.clearDragState());
+    }
+
+    /**
+     * Bind detail editor events. Keys are handled here so the global
+     * Escape and Ctrl+Enter shortcuts don't reach the add form.
+     */
+    bindDetailEvents() {
+        const form = this.elements.detailForm;
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveDetail();
+        });
+
+        form.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                event.stopPropagation();
+                this.closeDetail();
+            } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+                event.preventDefault();
+                event.stopPropagation();
+                this.saveDetail();
+            }
+        });
+
+        document.getElementById('detailCancel').addEventListener('click', () => this.closeDetail());
+
+        // Clicking the backdrop cancels
+        this.elements.detailOverlay.addEventListener('click', (event) => {
+            if (event.target === this.elements.detailOverlay) {
+                this.closeDetail();
+            }
+        });
+    }
+
     /**
      * Setup filter controls
      */
@@ -86,6 +267,30 @@ class TodoUI {
             <button class="filter-btn" data-filter="pending">Pending</button>
             <button class="filter-btn" data-filter="completed">Completed</button>
             <button class="filter-btn" data-filter="overdue">Overdue</button>
+            <button class="filter-btn" data-filter="today">Today</button>
+            <button class="filter-btn trash-btn" data-view="trash">🗑️ Trash <span class="trash-count" id="trashCount"></span></button>
+            <button class="filter-btn archive-btn" data-view="archive">🗄️ Archive <span class="trash-count" id="archiveCount"></span></button>
+            <span class="saved-views" id="savedViews"></span>
+            <button class="filter-btn save-view-btn" data-action="save-view" title="Save the current filters, search, sort and grouping as a view">＋ Save view</button>
+            <select class="filter-select" id="priorityFilter" aria-label="Filter by priority">
+                <option value="all">All priorities</option>
+                ${TodoStorage.PRIORITIES.map(priority => `
+                    <option value="${priority}">${TodoUI.PRIORITY_LABELS[priority]}</option>
+                `).join('')}
+            </select>
+            <select class="filter-select" id="sortSelect" aria-label="Sort todos">
+                <option value="createdAt:desc">Newest first</option>
+                <option value="priority:desc">Priority</option>
+                <option value="dueDate:asc">Due date</option>
+                <option value="title:asc">Title</option>
+                <option value="order:asc">Manual</option>
+            </select>
+            <select class="filter-select" id="groupSelect" aria-label="Group todos">
+                <option value="none">No grouping</option>
+                <option value="priority">Group by priority</option>
+                <option value="list">Group by list</option>
+                <option value="due">Group by due date</option>
+            </select>
         `;
 
         // Add filter styles
@@ -116,6 +321,47 @@ class TodoUI {
                 border-color: #4F46E5;
                 color: white;
             }
+            .filter-select {
+                padding: 8px 12px;
+                border: 2px solid #e5e7eb;
+                background: white;
+                border-radius: 20px;
+                font-size: 14px;
+                font-weight: 500;
+                color: #6b7280;
+                cursor: pointer;
+            }
+            .filter-select:focus {
+                outline: none;
+                border-color: #4F46E5;
+            }
+            .saved-views {
+                display: contents;
+            }
+            .saved-view {
+                display: inline-flex;
+                align-items: center;
+            }
+            .saved-view .filter-btn {
+                border-top-right-radius: 0;
+                border-bottom-right-radius: 0;
+            }
+            .saved-view-delete {
+                padding: 8px 10px;
+                border: 2px solid #e5e7eb;
+                border-left: none;
+                border-radius: 0 20px 20px 0;
+                background: white;
+                color: #9ca3af;
+                font-size: 14px;
+                cursor: pointer;
+            }
+            .saved-view-delete:hover {
+                color: #ef4444;
+            }
+            .save-view-btn {
+                border-style: dashed;
+            }
         `;
 
         // Add styles to head if not already present
@@ -132,10 +378,47 @@ class TodoUI {
 
         // Bind filter events
         filterContainer.addEventListener('click', (event) => {
-            if (event.target.classList.contains('filter-btn')) {
-                this.setFilter(event.target.dataset.filter);
+            const button = event.target.closest('.filter-btn');
+            if (!button) return;
+
+            if (button.dataset.view) {
+                this.setView(button.dataset.view);
+            } else if (button.dataset.savedView) {
+                this.applySavedView(button.dataset.savedView);
+            } else if (button.dataset.action === 'save-view') {
+                this.saveCurrentView();
+            } else {
+                this.setFilter(button.dataset.filter);
             }
         });
+
+        const priorityFilter = document.getElementById('priorityFilter');
+        priorityFilter.addEventListener('change', () => this.setPriorityFilter(priorityFilter.value));
+
+        const sortSelect = document.getElementById('sortSelect');
+        const { sortBy, sortOrder, groupBy } = this.storage.getSettings();
+        sortSelect.value = `${sortBy}:${sortOrder}`;
+        sortSelect.addEventListener('change', () => this.setSort(sortSelect.value));
+
+        const groupSelect = document.getElementById('groupSelect');
+        groupSelect.value = groupBy;
+        groupSelect.addEventListener('change', () => this.setGroup(groupSelect.value));
+    }
+
+    /**
+     * Setup the tag sidebar with per-tag counts
+     */
+    setupTagSidebar() {
+        const sidebar = document.createElement('aside');
+        sidebar.className = 'tag-sidebar';
+        sidebar.id = 'tagSidebar';
+        sidebar.setAttribute('aria-label', 'Tags');
+
+        // Insert before todos container
+        const todosContainer = document.querySelector('.todos-container');
+        todosContainer.parentNode.insertBefore(sidebar, todosContainer);
+
+        this.elements.tagSidebar = sidebar;
     }
 
     /**
@@ -145,8 +428,16 @@ class TodoUI {
         const searchContainer = document.createElement('div');
         searchContainer.className = 'search-container';
         searchContainer.innerHTML = `
-            <input type="text" id="searchInput" placeholder="Search todos..." class="search-input">
+            <input 
+                type="text" 
+                id="searchInput" 
+                placeholder="Search todos... (try tag:work is:overdue due:<2026-11-01)" 
+                class="search-input"
+                aria-describedby="searchError"
+                title="Operators: tag:name, is:done/open/overdue/today/recurring, due:<YYYY-MM-DD, due:none, priority:>=high, list:name, title:word, &quot;exact phrase&quot;, -term or NOT term, a OR b, (groups)"
+            >
             <button type="button" id="clearSearch" class="clear-search" style="display: none;">&times;</button>
+            <div class="search-error" id="searchError" role="alert" hidden></div>
         `;
 
         // Add search styles
@@ -172,7 +463,7 @@ class TodoUI {
             .clear-search {
                 position: absolute;
                 right: 10px;
-                top: 50%;
+                top: 22px;
                 transform: translateY(-50%);
                 background: none;
                 border: none;
@@ -184,6 +475,28 @@ class TodoUI {
             .clear-search:hover {
                 color: #ef4444;
             }
+            .search-input[aria-invalid="true"] {
+                border-color: #f59e0b;
+            }
+            .search-error {
+                margin-top: 6px;
+                padding: 6px 10px;
+                border-radius: 6px;
+                background: #fffbeb;
+                color: #b45309;
+                font-size: 13px;
+            }
+            .search-error mark {
+                background: #fde68a;
+                color: inherit;
+                border-radius: 3px;
+            }
+            .search-hit {
+                background: #e0e7ff;
+                color: inherit;
+                border-radius: 3px;
+                padding: 0 1px;
+            }
         `;
 
         // Add styles to head if not already present
@@ -204,6 +517,7 @@ class TodoUI {
 
         searchInput.addEventListener('input', (event) => {
             this.searchQuery = event.target.value;
+            this.showSearchErrors();
             this.render();
             
             clearButton.style.display = this.searchQuery ? 'block' : 'none';
@@ -212,12 +526,30 @@ class TodoUI {
         clearButton.addEventListener('click', () => {
             searchInput.value = '';
             this.searchQuery = '';
+            this.showSearchErrors();
             this.render();
             clearButton.style.display = 'none';
             searchInput.focus();
         });
     }
 
+    /**
+     * Report query syntax errors under the search box, marking the offending text
+     */
+    showSearchErrors() {
+        const searchInput = document.getElementById('searchInput');
+        const errorBox = document.getElementById('searchError');
+        const { errors } = TodoQuery.parse(this.searchQuery);
+
+        errorBox.hidden = errors.length === 0;
+        searchInput.setAttribute('aria-invalid', errors.length > 0 ? 'true' : 'false');
+
+        errorBox.innerHTML = errors.map(error => {
+            const fragment = this.searchQuery.slice(error.start, error.end);
+            return `<div><mark>${this.escapeHtml(fragment)}</mark> ${this.escapeHtml(error.message)}</div>`;
+        }).join('');
+    }
+
     /**
      * Setup keyboard navigation
      */
@@ -227,6 +559,21 @@ class TodoUI {
             if (event.target.matches('input, textarea')) return;
 
             switch (event.key) {
+                case 'ArrowUp':
+                case 'ArrowDown':
+                    // Alt+Up/Down moves a focused todo in the manual order
+                    if (event.altKey && event.target.matches('.todo-item')) {
+                        event.preventDefault();
+                        this.moveTodoBy(event.target.dataset.id, event.key === 'ArrowUp' ? -1 : 1);
+                    }
+                    break;
+                case 'Enter':
+                    // Enter on a focused todo edits its title
+                    if (event.target.matches('.todo-item') && !(event.ctrlKey || event.metaKey)) {
+                        event.preventDefault();
+                        this.startEditTitle(event.target.dataset.id);
+                    }
+                    break;
                 case '/':
                     event.preventDefault();
                     document.getElementById('searchInput').focus();
@@ -237,6 +584,17 @@ class TodoUI {
                         this.focusAddInput();
                     }
                     break;
+                case 'z':
+                case 'Z':
+                    if (event.ctrlKey || event.metaKey) {
+                        event.preventDefault();
+                        if (event.shiftKey) {
+                            this.redo();
+                        } else {
+                            this.undo();
+                        }
+                    }
+                    break;
             }
         });
     }
@@ -245,20 +603,163 @@ class TodoUI {
      * Setup cross-tab storage synchronization
      */
     setupStorageSync() {
+        // TodoStorage sends one 'changes' event per write, here or in another tab
         window.addEventListener('todo-storage-change', (event) => {
-            console.log('Todo PWA: Storage change detected:', event.detail.type);
+            const { type, data } = event.detail;
+
+            if (type === 'changes') {
+                this.applyChanges(data.changes, data.external);
+            } else if (type === 'storage_cleared') {
+                this.render();
+            } else if (type === 'quota_exceeded') {
+                this.showNotification(
+                    data.failed
+                        ? 'Storage is full and freeing space did not help. Your latest changes were not saved.'
+                        : `Storage is full. Permanently removed ${data.purged} todos from the trash.`,
+                    'error',
+                    6000
+                );
+            }
+        });
+
+        // Catch up on rows another tab changed once they are no longer being edited
+        this.elements.todosList.addEventListener('focusout', (event) => {
+            if (!this.staleList && this.staleTodos.size === 0) return;
+
+            // Wait for focus to land, and for a blur handler's own save to render
+            setTimeout(() => {
+                if (this.staleList) {
+                    if (!this.isEditingTodo()) this.render();
+                } else if (this.staleTodos.size > 0) {
+                    this.patchTodos([...this.staleTodos], true);
+                }
+            });
+        });
+    }
+
+    /**
+     * Update the display for changed records (see TodoSync.diff), touching only the
+     * affected rows and counters where possible. Changes from other tabs leave rows
+     * being edited here alone until editing ends.
+     */
+    applyChanges(changes, external) {
+        const changed = name => changes.filter(change => change.collection === name);
+        const todoIds = changed('todos').map(change => change.recordId);
+
+        try {
+            // Settings written here are rendered by whatever changed them
+            if (changed('settings').length > 0 && external) {
+                this.renderExternal();
+                return;
+            }
+
+            // List names and colours show on every row
+            if (changed('lists').length > 0) {
+                this.renderExternal(external);
+                return;
+            }
+
+            if (todoIds.length === 0 && changed('trash').length === 0 && changed('archive').length === 0) return;
+
+            this.renderCounts();
+
+            if (this.currentView === 'trash') {
+                this.renderTrash();
+            } else if (this.currentView === 'archive') {
+                this.renderArchive();
+            } else if (todoIds.length > 0) {
+                this.patchTodos(todoIds, external);
+            }
+
+            if (external && todoIds.includes(this.detailTodoId)) {
+                this.showNotification(this.storage.getTodo(this.detailTodoId)
+                    ? 'This todo was changed in another tab. Saving keeps your edits.'
+                    : 'This todo was deleted in another tab.', 'info', 5000);
+            }
+        } catch (error) {
+            console.error('Todo PWA: Error applying changes:', error);
+            this.render();
+        }
+    }
+
+    /**
+     * Render everything, unless a row is being edited and the change came from another tab
+     */
+    renderExternal(external = true) {
+        if (external && this.isEditingTodo()) {
+            this.staleList = true;
+            this.renderCounts();
+        } else {
             this.render();
+        }
+    }
+
+    /**
+     * Re-render the rows of changed todos and add, remove or move rows so the list
+     * matches the current filters and sort order
+     */
+    patchTodos(ids, external = false) {
+        const list = this.elements.todosList;
+        const todos = this.getFilteredTodos();
+
+        // Groups and the empty state are rendered as a whole
+        if (this.storage.getSettings().groupBy !== 'none' || todos.length === 0 || !list.querySelector('.todo-item')) {
+            this.renderExternal(external);
+            return;
+        }
+
+        const lists = this.storage.getLists();
+        const changed = new Set(ids);
+        const shown = new Set(todos.map(todo => todo.id));
+        const rows = new Map([...list.querySelectorAll('.todo-item')].map(row => [row.dataset.id, row]));
+
+        rows.forEach((row, id) => {
+            if (shown.has(id)) return;
+
+            if (external && this.isEditingTodo(row)) {
+                this.showNotification('A todo you were editing was changed or deleted in another tab.', 'info', 5000);
+            }
+
+            this.staleTodos.delete(id);
+            row.remove();
         });
 
-        // Also listen for localStorage changes from other tabs
-        window.addEventListener('storage', (event) => {
-            if (event.key === this.storage.storageKey) {
-                console.log('Todo PWA: External storage change detected');
-                this.render();
+        let previous = null;
+        todos.forEach(todo => {
+            let row = rows.get(todo.id);
+
+            if (!row || changed.has(todo.id) || this.staleTodos.has(todo.id)) {
+                if (row && external && this.isEditingTodo(row)) {
+                    this.staleTodos.add(todo.id);
+                } else {
+                    const template = document.createElement('template');
+                    template.innerHTML = this.getTodoHTML(todo, lists).trim();
+
+                    const fresh = template.content.firstElementChild;
+                    if (row) row.replaceWith(fresh);
+                    row = fresh;
+                    this.staleTodos.delete(todo.id);
+                }
+            }
+
+            const expected = previous ? previous.nextElementSibling : list.firstElementChild;
+            if (row !== expected) {
+                list.insertBefore(row, expected);
             }
+            previous = row;
         });
     }
 
+    /**
+     * Whether a text field or dropdown inside a todo row (or the given row) has focus
+     */
+    isEditingTodo(row = this.elements.todosList) {
+        const active = document.activeElement;
+
+        return Boolean(active) && active !== row && row.contains(active) &&
+            active.matches('input:not([type="checkbox"]), textarea, select');
+    }
+
     /**
      * Setup notification system
      */
@@ -280,8 +781,8 @@ class TodoUI {
      * Add a new todo
      */
     addTodo() {
-        const title = this.elements.titleInput.value.trim();
-        const dueDate = this.elements.dueDateInput.value || null;
+        const parsed = this.parseQuickAdd();
+        const { title } = parsed;
 
         if (!title) {
             this.showNotification('Please enter a todo title', 'error');
@@ -289,12 +790,39 @@ class TodoUI {
             return;
         }
 
-        const newTodo = this.storage.addTodo({ title, dueDate });
+        // New todos go to the open list, or the default list in the "All lists" view
+        const listId = this.currentList === 'all' ? this.storage.defaultListId : this.currentList;
+
+        // Include a tag that was typed but not yet confirmed
+        this.addFormTag(this.elements.tagInput.value);
+
+        // Fields set in the form win over what was typed in the title; a time alone means today
+        const dueDay = this.elements.dueDateInput.value || (parsed.dueDate && TodoDates.dayOf(parsed.dueDate));
+        const dueTime = this.elements.dueTimeInput.value || TodoDates.timeOf(parsed.dueDate);
+        const dueDate = dueDay || dueTime ? TodoDates.combine(dueDay || TodoDates.today(), dueTime) : null;
+        const priority = this.elements.prioritySelect.value !== 'normal'
+            ? this.elements.prioritySelect.value
+            : parsed.priority || 'normal';
+        const repeat = this.getRepeatRule(dueDate) || parsed.repeat;
+        const tags = this.storage.normalizeTags([...this.formTags, ...parsed.tags]);
+        const reminders = this.elements.reminderSelect.value ? [this.elements.reminderSelect.value] : [];
+
+        if (reminders.length && !dueDate) {
+            this.showNotification('Pick a due date for the reminder', 'error');
+            this.elements.dueDateInput.focus();
+            return;
+        }
+
+        const newTodo = this.storage.addTodo({ title, dueDate, priority, repeat, listId, tags, reminders });
         
         if (newTodo) {
             this.clearForm();
-            this.render();
-            this.showNotification('Todo added successfully!', 'success');
+
+            if (reminders.length && !this.areRemindersOn()) {
+                this.showNotification('Todo added. Turn on reminders to get notified.', 'info', 6000, this.getRemindersAction());
+            } else {
+                this.showNotification('Todo added successfully!', 'success');
+            }
             
             // Focus back to input for quick adding
             setTimeout(() => {
@@ -305,6 +833,56 @@ class TodoUI {
         }
     }
 
+    /**
+     * Parse the add form's title for dates, tags, priority and repeat rules
+     */
+    parseQuickAdd() {
+        return TodoQuickAdd.parse(this.elements.titleInput.value);
+    }
+
+    /**
+     * Show what quick-add recognised in the title
+     */
+    renderQuickAddPreview() {
+        const preview = this.elements.quickAddPreview;
+        const parsed = this.parseQuickAdd();
+        const chips = [];
+
+        if (parsed.dueDate) {
+            const [datePart, time] = parsed.dueDate.split('T');
+            const date = TodoRecurrence.parseDate(datePart).toLocaleDateString(undefined, {
+                weekday: 'short',
+                month: 'short',
+                day: 'numeric'
+            });
+            chips.push(`📅 ${date}${time ? ` ${this.formatTime(time)}` : ''}`);
+        }
+        if (parsed.priority) {
+            chips.push(TodoUI.PRIORITY_LABELS[parsed.priority]);
+        }
+        if (parsed.repeat) {
+            chips.push(`🔁 ${TodoRecurrence.describe(parsed.repeat)}`);
+        }
+        parsed.tags.forEach(tag => chips.push(`#${tag}`));
+
+        preview.hidden = chips.length === 0;
+        preview.innerHTML = chips.length === 0 ? '' : `
+            <span class="quick-add-title">${this.escapeHtml(parsed.title || 'Untitled')}</span>
+            ${chips.map(chip => `<span class="quick-add-chip">${this.escapeHtml(chip)}</span>`).join('')}
+        `;
+    }
+
+    /**
+     * Format 'HH:MM' in the user's locale
+     */
+    formatTime(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString(undefined, {
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
     /**
      * Toggle todo completion status
      */
@@ -317,118 +895,1251 @@ class TodoUI {
         });
 
         if (updated) {
-            this.render();
             const message = updated.completed ? 'Todo completed!' : 'Todo reopened!';
-            this.showNotification(message, 'success');
+            this.showNotification(message, 'success', 3000, this.getUndoAction());
         }
     }
 
     /**
-     * Delete a todo
+     * Delete a todo (can be undone from the notification or with Ctrl+Z)
      */
     deleteTodo(id) {
         const todo = this.storage.getTodo(id);
         if (!todo) return;
 
-        // Show confirmation dialog
-        if (!this.showConfirmDialog(`Delete "${todo.title}"?`, 'This action cannot be undone.')) {
-            return;
-        }
-
         if (this.storage.deleteTodo(id)) {
-            this.render();
-            this.showNotification('Todo deleted successfully', 'success');
+            this.showNotification(`Deleted "${todo.title}"`, 'success', 5000, this.getUndoAction());
         } else {
             this.showNotification('Failed to delete todo', 'error');
         }
     }
 
     /**
-     * Set current filter
+     * Undo the last change
      */
-    setFilter(filter) {
-        this.currentFilter = filter;
-        
-        // Update active filter button
-        document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.filter === filter);
+    undo() {
+        const entry = this.storage.history.undo();
+
+        if (!entry) {
+            this.showNotification('Nothing to undo', 'info', 2000);
+            return;
+        }
+
+        this.showNotification(`Undone: ${entry.label}`, 'info', 3000, {
+            label: 'Redo',
+            handler: () => this.redo()
         });
-        
-        this.render();
     }
 
     /**
-     * Clear the form
+     * Redo the last undone change
      */
-    clearForm() {
-        this.elements.titleInput.value = '';
-        this.elements.dueDateInput.value = '';
-        this.elements.titleInput.focus();
+    redo() {
+        const entry = this.storage.history.redo();
+
+        if (!entry) {
+            this.showNotification('Nothing to redo', 'info', 2000);
+            return;
+        }
+
+        this.showNotification(`Redone: ${entry.label}`, 'info', 3000, this.getUndoAction());
     }
 
     /**
-     * Focus on add input
+     * Notification action that undoes the last change
      */
-    focusAddInput() {
-        this.elements.titleInput.focus();
+    getUndoAction() {
+        return {
+            label: 'Undo',
+            handler: () => this.undo()
+        };
     }
 
     /**
-     * Submit form programmatically
+     * Show or hide a todo's checklist editor
      */
-    submitForm() {
-        if (this.elements.titleInput.value.trim()) {
-            this.addTodo();
+    toggleSubtasks(todoId) {
+        if (this.expandedTodos.has(todoId)) {
+            this.expandedTodos.delete(todoId);
+            this.patchTodos([todoId]);
+        } else {
+            this.expandedTodos.add(todoId);
+            this.patchTodos([todoId]);
+            this.focusSubtaskInput(todoId);
         }
     }
 
     /**
-     * Auto-resize text inputs
+     * Add a subtask from the checklist editor
      */
-    autoResize(event) {
-        const input = event.target;
-        input.style.height = 'auto';
-        input.style.height = Math.min(input.scrollHeight, 150) + 'px';
+    addSubtask(todoId, title) {
+        if (!title.trim()) return;
+
+        if (this.storage.addSubtask(todoId, title)) {
+            this.focusSubtaskInput(todoId);
+        } else {
+            this.showNotification('Failed to add subtask', 'error');
+        }
     }
 
     /**
-     * Format date for display
+     * Toggle a subtask's completion
      */
-    formatDate(dateString) {
-        if (!dateString) return null;
+    toggleSubtask(todoId, subtaskId) {
+        const todo = this.storage.getTodo(todoId);
+        const subtask = todo && todo.subtasks.find(item => item.id === subtaskId);
+        if (!subtask) return;
 
-        const date = new Date(dateString);
-        const now = new Date();
-        const diffTime = date - now;
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+        const updated = this.storage.updateSubtask(todoId, subtaskId, { completed: !subtask.completed });
 
-        if (diffDays < 0) {
-            return { 
-                text: `Overdue by ${Math.abs(diffDays)} day${Math.abs(diffDays) !== 1 ? 's' : ''}`, 
-                class: 'overdue' 
-            };
+        if (updated && updated.completed !== todo.completed) {
+            const message = updated.completed ? 'All subtasks done, todo completed!' : 'Todo reopened!';
+            this.showNotification(message, 'success', 3000, this.getUndoAction());
         }
-        if (diffDays === 0) return { text: 'Due today', class: 'due-today' };
-        if (diffDays === 1) return { text: 'Due tomorrow', class: 'due-soon' };
-        if (diffDays <= 7) return { text: `Due in ${diffDays} days`, class: 'due-soon' };
-        
-        return { 
-            text: date.toLocaleDateString(), 
-            class: '' 
-        };
     }
 
     /**
-     * Get filtered and sorted todos
+     * Remove a subtask
      */
-    getFilteredTodos() {
+    deleteSubtask(todoId, subtaskId) {
+        this.storage.deleteSubtask(todoId, subtaskId);
+    }
+
+    /**
+     * Move a subtask up or down
+     */
+    moveSubtask(todoId, subtaskId, offset) {
+        this.storage.moveSubtask(todoId, subtaskId, offset);
+    }
+
+    /**
+     * Toggle completing todos automatically when their checklist is done
+     */
+    setAutoCompleteParent(enabled) {
+        const settings = this.storage.getSettings();
+        settings.autoCompleteParent = Boolean(enabled);
+        this.storage.saveSettings(settings);
+    }
+
+    /**
+     * Focus the "add subtask" input of a todo after re-rendering
+     */
+    focusSubtaskInput(todoId) {
+        const input = this.elements.todosList.querySelector(`.subtask-input[data-todo-id="${todoId}"]`);
+        if (input) input.focus();
+    }
+
+    /**
+     * Restore a todo from the trash
+     */
+    restoreTodo(id) {
+        const todo = this.storage.restoreTodo(id);
+
+        if (todo) {
+            this.showNotification(`Restored "${todo.title}"`, 'success', 3000, this.getUndoAction());
+        } else {
+            this.showNotification('Failed to restore todo', 'error');
+        }
+    }
+
+    /**
+     * Permanently delete a todo from the trash
+     */
+    deleteTodoPermanently(id) {
+        if (this.storage.deleteTodoPermanently(id)) {
+            this.showNotification('Todo permanently deleted', 'success', 5000, this.getUndoAction());
+        } else {
+            this.showNotification('Failed to delete todo', 'error');
+        }
+    }
+
+    /**
+     * Permanently delete everything in the trash
+     */
+    emptyTrash() {
+        const count = this.storage.getTrash().length;
+        if (count === 0) return;
+
+        if (this.storage.emptyTrash()) {
+            this.showNotification(`Permanently deleted ${count} todo${count !== 1 ? 's' : ''}`, 'success', 5000, this.getUndoAction());
+        } else {
+            this.showNotification('Failed to empty trash', 'error');
+        }
+    }
+
+    /**
+     * Move a completed todo to the archive
+     */
+    archiveTodo(id) {
+        const [todo] = this.storage.archiveTodos([id], 'manual', 'Archive todo');
+
+        if (todo) {
+            this.showNotification(`Archived "${todo.title}"`, 'success', 5000, this.getUndoAction());
+        } else {
+            this.showNotification('Failed to archive todo', 'error');
+        }
+    }
+
+    /**
+     * Archive every completed todo in the open list
+     */
+    archiveCompleted() {
+        const archived = this.storage.archiveCompleted(this.currentList);
+
+        if (archived.length > 0) {
+            this.showNotification(`Archived ${archived.length} completed todo${archived.length !== 1 ? 's' : ''}`, 'success', 5000, this.getUndoAction());
+        } else {
+            this.showNotification('No completed todos to archive', 'info', 2000);
+        }
+    }
+
+    /**
+     * Move a todo from the archive back into the list
+     */
+    unarchiveTodo(id) {
+        const todo = this.storage.unarchiveTodo(id);
+
+        if (todo) {
+            this.showNotification(`Unarchived "${todo.title}"`, 'success', 3000, this.getUndoAction());
+        } else {
+            this.showNotification('Failed to unarchive todo', 'error');
+        }
+    }
+
+    /**
+     * Move an archived todo to the trash
+     */
+    deleteArchivedTodo(id) {
+        if (this.storage.trashArchivedTodo(id)) {
+            this.showNotification('Todo moved to the trash', 'success', 5000, this.getUndoAction());
+        } else {
+            this.showNotification('Failed to delete todo', 'error');
+        }
+    }
+
+    /**
+     * Change how long deleted todos are kept (0 keeps them forever)
+     */
+    setTrashRetention(days) {
+        const settings = this.storage.getSettings();
+        settings.trashRetentionDays = parseInt(days, 10) || 0;
+
+        if (this.storage.saveSettings(settings)) {
+            const purged = this.storage.purgeTrash();
+            this.render();
+
+            if (purged > 0) {
+                this.showNotification(`Purged ${purged} expired todo${purged !== 1 ? 's' : ''} from the trash`, 'info', 5000, this.getUndoAction());
+            }
+        }
+    }
+
+    /**
+     * Change the cleanup rule: 'off', 'days:N' (done more than N days ago) or 'keep:N'
+     * (keep the N most recently done), then clean up right away
+     */
+    setCleanupRule(value) {
+        const [rule, amount] = value.split(':');
+        const count = parseInt(amount, 10) || 0;
+        const settings = this.storage.getSettings();
+
+        settings.autoCleanup = rule !== 'off';
+        settings.cleanupAfterDays = rule === 'days' ? count : 0;
+        settings.cleanupKeepCompleted = rule === 'keep' ? count : 0;
+
+        if (this.storage.saveSettings(settings)) {
+            this.render();
+            this.runCleanup();
+        }
+    }
+
+    /**
+     * Change where cleanup moves completed todos ('trash' or 'archive')
+     */
+    setCleanupAction(action) {
+        const settings = this.storage.getSettings();
+        settings.cleanupAction = action;
+
+        if (this.storage.saveSettings(settings)) {
+            this.render();
+        }
+    }
+
+    /**
+     * Clean up completed todos now and report what happened
+     */
+    runCleanup() {
+        const result = this.storage.cleanupTodos();
+        if (result) this.reportCleanup(result);
+    }
+
+    /**
+     * Tell the user what cleanup did
+     */
+    reportCleanup(result) {
+        const action = {
+            label: result.action === 'trash' ? 'View trash' : 'View archive',
+            handler: () => this.setView(result.action)
+        };
+
+        this.showNotification(TodoCleanup.describe(result), 'info', 6000, action);
+    }
+
+    /**
+     * Start editing a todo's title inline
+     */
+    startEditTitle(todoId) {
+        if (!this.storage.getTodo(todoId)) return;
+
+        this.editingTitleId = todoId;
+        this.patchTodos([todoId]);
+
+        const input = this.elements.todosList.querySelector(`.todo-title-input[data-todo-id="${todoId}"]`);
+        if (input) {
+            input.focus();
+            input.select();
+        }
+    }
+
+    /**
+     * Keyboard handling for the inline title editor
+     */
+    handleTitleKey(event, todoId) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            this.saveTitle(todoId, event.target.value);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            event.stopPropagation();
+            this.cancelEditTitle(todoId);
+        }
+    }
+
+    /**
+     * Save an inline title edit (also called on blur)
+     */
+    saveTitle(todoId, value) {
+        // Already saved or cancelled (e.g. blur after Enter)
+        if (this.editingTitleId !== todoId) return;
+
+        const title = value.trim();
+        const todo = this.storage.getTodo(todoId);
+
+        if (!title) {
+            this.showNotification('Title cannot be empty', 'error');
+            return;
+        }
+
+        this.editingTitleId = null;
+
+        // A saved title re-renders the row through the change event
+        if (!todo || title === todo.title) {
+            this.patchTodos([todoId]);
+        } else if (!this.storage.updateTodo(todoId, { title })) {
+            this.showNotification('Failed to update todo', 'error');
+            this.patchTodos([todoId]);
+        }
+
+        this.focusTodo(todoId);
+    }
+
+    /**
+     * Leave the inline title editor without saving
+     */
+    cancelEditTitle(todoId) {
+        if (this.editingTitleId !== todoId) return;
+
+        this.editingTitleId = null;
+        this.patchTodos([todoId]);
+        this.focusTodo(todoId);
+    }
+
+    /**
+     * Focus a todo row after re-rendering
+     */
+    focusTodo(todoId) {
+        const item = this.elements.todosList.querySelector(`.todo-item[data-id="${todoId}"]`);
+        if (item) item.focus();
+    }
+
+    /**
+     * Move a todo up (-1) or down (+1) among the shown todos
+     */
+    moveTodoBy(todoId, offset) {
+        if (!this.canReorder) {
+            this.showNotification('Choose the Manual sort to reorder todos', 'info');
+            return;
+        }
+
+        const ids = this.getVisibleTodoIds();
+        const index = ids.indexOf(todoId);
+        const target = index + offset;
+
+        if (index === -1 || target < 0 || target >= ids.length) return;
+
+        ids.splice(index, 1);
+        ids.splice(target, 0, todoId);
+
+        this.placeTodo(todoId, ids);
+        this.focusTodo(todoId);
+    }
+
+    /**
+     * IDs of the todos on screen, top to bottom
+     */
+    getVisibleTodoIds() {
+        return [...this.elements.todosList.querySelectorAll('.todo-item')].map(item => item.dataset.id);
+    }
+
+    /**
+     * Save a todo's new place, given the on-screen order it should end up in
+     */
+    placeTodo(todoId, ids) {
+        const index = ids.indexOf(todoId);
+
+        if (!this.storage.reorderTodo(todoId, ids[index - 1] || null, ids[index + 1] || null)) {
+            this.showNotification('Failed to move todo', 'error');
+        }
+    }
+
+    /**
+     * Begin dragging a todo
+     */
+    startDrag(item) {
+        this.draggedId = item.dataset.id;
+        this.dropTarget = null;
+        item.classList.add('dragging');
+    }
+
+    /**
+     * Show where the dragged todo would land: above or below the todo under the pointer
+     */
+    updateDropTarget(item, clientY) {
+        const rect = item.getBoundingClientRect();
+        const after = clientY > rect.top + rect.height / 2;
+
+        this.elements.todosList.querySelectorAll('.drop-before, .drop-after').forEach(element => {
+            element.classList.remove('drop-before', 'drop-after');
+        });
+
+        if (item.dataset.id === this.draggedId) {
+            this.dropTarget = null;
+            return;
+        }
+
+        item.classList.add(after ? 'drop-after' : 'drop-before');
+        this.dropTarget = { id: item.dataset.id, after };
+    }
+
+    /**
+     * Drop the dragged todo at the current drop target
+     */
+    dropTodo() {
+        const { draggedId, dropTarget } = this;
+        this.clearDragState();
+
+        if (!draggedId || !dropTarget) return;
+
+        const ids = this.getVisibleTodoIds().filter(id => id !== draggedId);
+        ids.splice(ids.indexOf(dropTarget.id) + (dropTarget.after ? 1 : 0), 0, draggedId);
+
+        this.placeTodo(draggedId, ids);
+    }
+
+    /**
+     * Forget the current drag and remove its indicators
+     */
+    clearDragState() {
+        this.draggedId = null;
+        this.dropTarget = null;
+
+        this.elements.todosList.querySelectorAll('.dragging, .drop-before, .drop-after').forEach(element => {
+            element.classList.remove('dragging', 'drop-before', 'drop-after');
+        });
+    }
+
+    /**
+     * Open the detail editor for a todo
+     */
+    openDetail(todoId) {
+        const todo = this.storage.getTodo(todoId);
+        if (!todo) return;
+
+        this.detailTodoId = todoId;
+
+        document.getElementById('detailTitle').value = todo.title;
+        document.getElementById('detailDescription').value = todo.description;
+        document.getElementById('detailDueDate').value = todo.dueDate ? TodoDates.dayOf(todo.dueDate) : '';
+        document.getElementById('detailDueTime').value = TodoDates.timeOf(todo.dueDate) || '';
+        document.getElementById('detailPriority').value = todo.priority;
+        document.getElementById('detailTags').value = todo.tags.join(', ');
+        document.querySelectorAll('#detailReminders input').forEach(input => {
+            input.checked = todo.reminders.includes(input.value);
+        });
+        this.showDetailError(null);
+
+        this.elements.detailOverlay.hidden = false;
+        document.getElementById('detailTitle').focus();
+    }
+
+    /**
+     * Close the detail editor without saving
+     */
+    closeDetail() {
+        const todoId = this.detailTodoId;
+
+        this.detailTodoId = null;
+        this.elements.detailOverlay.hidden = true;
+
+        if (todoId) this.focusTodo(todoId);
+    }
+
+    /**
+     * Validate and save the detail editor
+     */
+    saveDetail() {
+        const todo = this.storage.getTodo(this.detailTodoId);
+        if (!todo) {
+            this.closeDetail();
+            return;
+        }
+
+        const title = document.getElementById('detailTitle').value.trim();
+        const description = document.getElementById('detailDescription').value.trim();
+        const dueDateInput = document.getElementById('detailDueDate');
+        const dueTimeInput = document.getElementById('detailDueTime');
+        const priority = document.getElementById('detailPriority').value;
+        const tags = this.storage.normalizeTags(document.getElementById('detailTags').value.split(','));
+        const reminders = [...document.querySelectorAll('#detailReminders input:checked')].map(input => input.value);
+
+        if (!title) {
+            this.showDetailError('Please enter a title', 'detailTitle');
+            return;
+        }
+        if (dueDateInput.value && !TodoRecurrence.parseDate(dueDateInput.value)) {
+            this.showDetailError('Please enter a valid due date', 'detailDueDate');
+            return;
+        }
+        if (dueTimeInput.value && !dueDateInput.value) {
+            this.showDetailError('Please pick a due date for the time', 'detailDueDate');
+            return;
+        }
+        if (reminders.length && !dueDateInput.value) {
+            this.showDetailError('Reminders need a due date', 'detailDueDate');
+            return;
+        }
+        if (!TodoStorage.PRIORITIES.includes(priority)) {
+            this.showDetailError('Please choose a priority', 'detailPriority');
+            return;
+        }
+
+        const dueDate = dueDateInput.value ? TodoDates.combine(dueDateInput.value, dueTimeInput.value) : null;
+
+        const updated = this.storage.updateTodo(todo.id, { title, description, dueDate, priority, tags, reminders });
+
+        if (updated) {
+            this.closeDetail();
+
+            if (reminders.length && !this.areRemindersOn()) {
+                this.showNotification('Todo updated. Turn on reminders to get notified.', 'info', 6000, this.getRemindersAction());
+            } else {
+                this.showNotification('Todo updated', 'success', 3000, this.getUndoAction());
+            }
+        } else {
+            this.showDetailError('Failed to save changes. Please try again.');
+        }
+    }
+
+    /**
+     * Whether reminders are switched on and allowed by the browser
+     */
+    areRemindersOn() {
+        return Boolean(this.storage.getSettings().notifications) &&
+            typeof Notification !== 'undefined' &&
+            Notification.permission === 'granted';
+    }
+
+    /**
+     * Notification action that turns reminders on
+     */
+    getRemindersAction() {
+        return {
+            label: 'Turn on',
+            handler: () => document.getElementById('remindersToggle').click()
+        };
+    }
+
+    /**
+     * Show (or with null, clear) a validation message in the detail editor
+     */
+    showDetailError(message, fieldId = null) {
+        const error = document.getElementById('detailError');
+
+        error.textContent = message || '';
+        error.hidden = !message;
+
+        this.elements.detailForm.querySelectorAll('[aria-invalid]').forEach(field => {
+            field.removeAttribute('aria-invalid');
+        });
+
+        if (fieldId) {
+            const field = document.getElementById(fieldId);
+            field.setAttribute('aria-invalid', 'true');
+            field.focus();
+        }
+    }
+
+    /**
+     * Change a todo's priority
+     */
+    setPriority(todoId, priority) {
+        if (!this.storage.updateTodo(todoId, { priority })) {
+            this.showNotification('Failed to change priority', 'error');
+        }
+    }
+
+    /**
+     * Show only todos of one priority ('all' shows every priority)
+     */
+    setPriorityFilter(priority) {
+        this.currentPriority = priority;
+        this.currentView = 'todos';
+
+        document.getElementById('priorityFilter').value = priority;
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.filter === this.currentFilter);
+        });
+
+        this.render();
+    }
+
+    /**
+     * Change and remember the sort order ('field:order')
+     */
+    setSort(value) {
+        const [sortBy, sortOrder] = value.split(':');
+        const settings = this.storage.getSettings();
+
+        settings.sortBy = sortBy;
+        settings.sortOrder = sortOrder;
+        this.storage.saveSettings(settings);
+
+        this.render();
+    }
+
+    /**
+     * Change and remember how todos are grouped ('none', 'priority', 'list' or 'due')
+     */
+    setGroup(groupBy) {
+        const settings = this.storage.getSettings();
+
+        settings.groupBy = groupBy;
+        this.storage.saveSettings(settings);
+
+        this.render();
+    }
+
+    /**
+     * The current filters, search, sort and grouping, in saved view form
+     */
+    getViewState() {
+        const { sortBy, sortOrder, groupBy } = this.storage.getSettings();
+
+        return {
+            filter: this.currentFilter,
+            query: this.searchQuery.trim(),
+            priority: this.currentPriority,
+            tag: this.currentTag,
+            listId: this.currentList,
+            sortBy,
+            sortOrder,
+            groupBy
+        };
+    }
+
+    /**
+     * Save the current filters, search, sort and grouping under a name
+     */
+    saveCurrentView() {
+        const name = this.showPromptDialog(
+            'Save view',
+            'Name this view. Saving under an existing name replaces that view.'
+        );
+
+        if (!name || !name.trim()) return;
+
+        const view = this.storage.saveView({ name, ...this.getViewState() });
+
+        if (view) {
+            this.render();
+            this.showNotification(`Saved view "${view.name}"`, 'success');
+        } else {
+            this.showNotification('Failed to save view', 'error');
+        }
+    }
+
+    /**
+     * Apply a saved view by ID or name. Returns false if there is no such view.
+     */
+    applySavedView(idOrName) {
+        const view = this.storage.getSavedView(idOrName);
+        if (!view) return false;
+
+        this.currentFilter = view.filter;
+        this.currentPriority = view.priority;
+        this.currentTag = view.tag;
+        this.currentList = view.listId === 'all' || this.storage.getList(view.listId) ? view.listId : 'all';
+        this.currentView = 'todos';
+
+        const settings = this.storage.getSettings();
+        settings.sortBy = view.sortBy;
+        settings.sortOrder = view.sortOrder;
+        settings.groupBy = view.groupBy;
+        settings.currentListId = this.currentList;
+        this.storage.saveSettings(settings);
+
+        // Sync the controls
+        const searchInput = document.getElementById('searchInput');
+        this.searchQuery = view.query;
+        searchInput.value = view.query;
+        document.getElementById('clearSearch').style.display = view.query ? 'block' : 'none';
+        this.showSearchErrors();
+
+        document.getElementById('priorityFilter').value = view.priority;
+        document.getElementById('sortSelect').value = `${view.sortBy}:${view.sortOrder}`;
+        document.getElementById('groupSelect').value = view.groupBy;
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.filter === this.currentFilter);
+        });
+
+        this.render();
+        return true;
+    }
+
+    /**
+     * Delete a saved view
+     */
+    deleteSavedView(id) {
+        const view = this.storage.getSavedView(id);
+        if (!view || !this.showConfirmDialog('Delete view', `Delete the view "${view.name}"? Your todos are not affected.`)) {
+            return;
+        }
+
+        if (this.storage.deleteView(id)) {
+            this.render();
+            this.showNotification(`Deleted view "${view.name}"`, 'info');
+        } else {
+            this.showNotification('Failed to delete view', 'error');
+        }
+    }
+
+    /**
+     * Render the saved view buttons; a view is active while the current state matches it
+     */
+    renderSavedViews() {
+        const container = document.getElementById('savedViews');
+        if (!container) return;
+
+        const state = this.getViewState();
+        const fields = Object.keys(state);
+
+        container.innerHTML = this.storage.getSavedViews().map(view => {
+            const isActive = this.currentView === 'todos' && fields.every(field => view[field] === state[field]);
+
+            return `
+                <span class="saved-view">
+                    <button 
+                        class="filter-btn ${isActive ? 'active' : ''}" 
+                        data-saved-view="${view.id}"
+                        title="Link: ?filter=${this.escapeAttribute(encodeURIComponent(view.name))}"
+                    >⭐ ${this.escapeHtml(view.name)}</button>
+                    <button 
+                        class="saved-view-delete" 
+                        onclick="window.todoUI.deleteSavedView('${view.id}')"
+                        title="Delete view"
+                        aria-label="Delete view ${this.escapeAttribute(view.name)}"
+                    >&times;</button>
+                </span>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Add a tag to the add form
+     */
+    addFormTag(value) {
+        this.formTags = this.storage.normalizeTags([...this.formTags, ...value.split(',')]);
+        this.elements.tagInput.value = '';
+        this.renderFormTags();
+    }
+
+    /**
+     * Remove a tag from the add form
+     */
+    removeFormTag(index) {
+        this.formTags.splice(index, 1);
+        this.renderFormTags();
+        this.elements.tagInput.focus();
+    }
+
+    /**
+     * Render the add form's tag chips
+     */
+    renderFormTags() {
+        this.elements.formTags.innerHTML = this.formTags.map((tag, index) => `
+            <span class="tag-chip">
+                #${this.escapeHtml(tag)}
+                <button type="button" class="tag-remove" onclick="window.todoUI.removeFormTag(${index})" title="Remove tag">&times;</button>
+            </span>
+        `).join('');
+    }
+
+    /**
+     * Filter by a tag; choosing the active tag again clears the filter
+     */
+    setTag(tag) {
+        const isActive = tag && this.currentTag && tag.toLowerCase() === this.currentTag.toLowerCase();
+
+        this.currentTag = isActive ? null : tag || null;
+        this.currentView = 'todos';
+
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.filter === this.currentFilter);
+        });
+
+        this.render();
+    }
+
+    /**
+     * Show or hide the tag editor of a todo
+     */
+    toggleTagEditor(todoId) {
+        if (this.editingTags.has(todoId)) {
+            this.editingTags.delete(todoId);
+            this.patchTodos([todoId]);
+        } else {
+            this.editingTags.add(todoId);
+            this.patchTodos([todoId]);
+
+            const input = this.elements.todosList.querySelector(`.todo-tag-input[data-todo-id="${todoId}"]`);
+            if (input) input.focus();
+        }
+    }
+
+    /**
+     * Add tags (comma separated) to a todo
+     */
+    addTagToTodo(todoId, value) {
+        const todo = this.storage.getTodo(todoId);
+        if (!todo || !value.trim()) return;
+
+        if (this.storage.updateTodo(todoId, { tags: this.storage.normalizeTags([...todo.tags, ...value.split(',')]) })) {
+            const input = this.elements.todosList.querySelector(`.todo-tag-input[data-todo-id="${todoId}"]`);
+            if (input) input.focus();
+        }
+    }
+
+    /**
+     * Remove a tag from a todo
+     */
+    removeTagFromTodo(todoId, tag) {
+        const todo = this.storage.getTodo(todoId);
+        if (!todo) return;
+
+        this.storage.updateTodo(todoId, { tags: todo.tags.filter(entry => entry !== tag) });
+    }
+
+    /**
+     * Rename a tag everywhere; renaming to an existing tag merges them
+     */
+    renameTag(name) {
+        const newName = this.showPromptDialog(
+            `Rename #${name}`,
+            'Enter a new name. Use the name of an existing tag to merge them.',
+            name
+        );
+        const [target] = this.storage.normalizeTags([newName || '']);
+
+        if (!target || target === name) return;
+
+        const existing = this.storage.getTags().find(tag =>
+            tag.name.toLowerCase() === target.toLowerCase() && tag.name.toLowerCase() !== name.toLowerCase()
+        );
+
+        if (existing && !this.showConfirmDialog('Merge tags', `#${existing.name} already exists. Merge #${name} into it?`)) {
+            return;
+        }
+
+        const changed = existing
+            ? this.storage.mergeTags([name], existing.name)
+            : this.storage.renameTag(name, target);
+
+        if (changed) {
+            // The tag filter follows the renamed tag
+            if (this.currentTag && this.currentTag.toLowerCase() === name.toLowerCase()) {
+                this.currentTag = existing ? existing.name : target;
+                this.render();
+            }
+
+            this.showNotification(
+                existing ? `Merged #${name} into #${existing.name}` : `Renamed #${name} to #${target}`,
+                'success',
+                5000,
+                this.getUndoAction()
+            );
+        } else {
+            this.showNotification('Failed to rename tag', 'error');
+        }
+    }
+
+    /**
+     * Remove a tag from every todo
+     */
+    deleteTag(name) {
+        const changed = this.storage.deleteTag(name);
+
+        if (changed) {
+            if (this.currentTag && this.currentTag.toLowerCase() === name.toLowerCase()) {
+                this.currentTag = null;
+                this.render();
+            }
+
+            this.showNotification(`Removed #${name} from ${changed} todo${changed !== 1 ? 's' : ''}`, 'success', 5000, this.getUndoAction());
+        } else {
+            this.showNotification('Failed to delete tag', 'error');
+        }
+    }
+
+    /**
+     * Switch to a list ('all' shows every list)
+     */
+    setList(listId) {
+        this.currentList = listId;
+        this.currentView = 'todos';
+        this.closeListForm();
+
+        const settings = this.storage.getSettings();
+        settings.currentListId = listId;
+        this.storage.saveSettings(settings);
+
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.filter === this.currentFilter);
+        });
+
+        this.render();
+    }
+
+    /**
+     * Open the list form to create a list, or to edit one when given its ID
+     */
+    openListForm(listId = null) {
+        const list = listId ? this.storage.getList(listId) : null;
+
+        this.editingListId = list ? list.id : null;
+        document.getElementById('listName').value = list ? list.name : '';
+        document.getElementById('listEmoji').value = list ? list.emoji : '';
+        document.getElementById('listColor').value = list ? list.color : '#4F46E5';
+        document.getElementById('deleteList').hidden = !list || list.id === this.storage.defaultListId;
+
+        this.elements.listForm.hidden = false;
+        document.getElementById('listName').focus();
+    }
+
+    /**
+     * Hide the list form
+     */
+    closeListForm() {
+        this.editingListId = null;
+        this.elements.listForm.hidden = true;
+    }
+
+    /**
+     * Create or update a list from the list form
+     */
+    saveList() {
+        const listData = {
+            name: document.getElementById('listName').value.trim(),
+            emoji: document.getElementById('listEmoji').value.trim(),
+            color: document.getElementById('listColor').value
+        };
+
+        if (!listData.name) {
+            this.showNotification('Please enter a list name', 'error');
+            return;
+        }
+
+        if (this.editingListId) {
+            if (this.storage.updateList(this.editingListId, listData)) {
+                this.closeListForm();
+            } else {
+                this.showNotification('Failed to update list', 'error');
+            }
+            return;
+        }
+
+        const list = this.storage.addList(listData);
+
+        if (list) {
+            this.setList(list.id);
+            this.showNotification(`Created list "${list.name}"`, 'success', 3000, this.getUndoAction());
+        } else {
+            this.showNotification('Failed to create list', 'error');
+        }
+    }
+
+    /**
+     * Delete a list; its todos move to the default list
+     */
+    deleteList(listId) {
+        const list = this.storage.getList(listId);
+        if (!list) return;
+
+        if (this.storage.deleteList(listId)) {
+            this.setList('all');
+            this.showNotification(`Deleted list "${list.name}"`, 'success', 5000, this.getUndoAction());
+        } else {
+            this.showNotification('Failed to delete list', 'error');
+        }
+    }
+
+    /**
+     * Move a todo to another list
+     */
+    moveTodo(todoId, listId) {
+        const list = this.storage.getList(listId);
+
+        if (list && this.storage.moveTodoToList(todoId, listId)) {
+            this.showNotification(`Moved to ${this.formatListName(list)}`, 'success', 3000, this.getUndoAction());
+        } else {
+            this.showNotification('Failed to move todo', 'error');
+        }
+    }
+
+    /**
+     * Set current filter
+     */
+    setFilter(filter) {
+        this.currentFilter = filter;
+        this.currentView = 'todos';
+        
+        // Update active filter button
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.filter === filter);
+        });
+        
+        this.render();
+    }
+
+    /**
+     * Switch between the todo list and other views ('trash', 'archive')
+     */
+    setView(view) {
+        this.currentView = view;
+
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === view);
+        });
+
+        this.render();
+    }
+
+    /**
+     * Clear the form
+     */
+    clearForm() {
+        this.elements.titleInput.value = '';
+        this.renderQuickAddPreview();
+        this.elements.dueDateInput.value = '';
+        this.elements.dueTimeInput.value = '';
+        this.elements.prioritySelect.value = 'normal';
+        this.elements.reminderSelect.value = '';
+        this.elements.repeatSelect.value = '';
+        this.updateRepeatControls();
+        this.elements.tagInput.value = '';
+        this.formTags = [];
+        this.renderFormTags();
+        this.elements.titleInput.focus();
+    }
+
+    /**
+     * Toggle the custom repeat fields to match the selected options
+     */
+    updateRepeatControls() {
+        const custom = this.elements.repeatCustom;
+        const freq = document.getElementById('repeatFreq').value;
+        const ends = document.getElementById('repeatEnds').value;
+        const lastDay = document.getElementById('repeatLastDay').checked;
+
+        custom.hidden = this.elements.repeatSelect.value !== 'custom';
+        document.getElementById('repeatWeekdays').hidden = freq !== 'weekly';
+        document.getElementById('repeatMonthDay').hidden = freq !== 'monthly';
+        document.getElementById('repeatMonthDayInput').disabled = lastDay;
+        document.getElementById('repeatUntil').hidden = ends !== 'until';
+        document.getElementById('repeatCount').hidden = ends !== 'count';
+    }
+
+    /**
+     * Build a repeat rule from the add form, anchored on the due date (or today)
+     */
+    getRepeatRule(dueDate) {
+        const preset = this.elements.repeatSelect.value;
+        if (!preset) return null;
+
+        const anchor = TodoRecurrence.parseDate(dueDate) || new Date();
+
+        switch (preset) {
+            case 'daily':
+                return { freq: 'daily' };
+            case 'weekdays':
+                return { freq: 'weekly', byWeekday: [1, 2, 3, 4, 5] };
+            case 'weekly':
+                return { freq: 'weekly', byWeekday: [anchor.getDay()] };
+            case 'monthly':
+                return { freq: 'monthly', byMonthDay: anchor.getDate() };
+            case 'yearly':
+                return { freq: 'yearly' };
+        }
+
+        // Custom rule
+        const freq = document.getElementById('repeatFreq').value;
+        const ends = document.getElementById('repeatEnds').value;
+        const weekdays = [...document.querySelectorAll('#repeatWeekdays input:checked')]
+            .map(input => parseInt(input.value, 10));
+        const monthDay = document.getElementById('repeatLastDay').checked
+            ? -1
+            : parseInt(document.getElementById('repeatMonthDayInput').value, 10) || anchor.getDate();
+
+        return TodoRecurrence.normalize({
+            freq,
+            interval: document.getElementById('repeatInterval').value,
+            byWeekday: weekdays.length ? weekdays : [anchor.getDay()],
+            byMonthDay: monthDay,
+            until: ends === 'until' ? document.getElementById('repeatUntil').value : null,
+            count: ends === 'count' ? document.getElementById('repeatCount').value : null
+        });
+    }
+
+    /**
+     * Describe a todo's repeat rule and its next date
+     */
+    formatRepeat(todo) {
+        if (!todo.repeat) return null;
+
+        const rule = TodoRecurrence.describe(todo.repeat);
+
+        if (todo.completed && todo.nextOccurrenceId) {
+            return `${rule} · next occurrence scheduled`;
+        }
+
+        const nextDate = TodoRecurrence.nextDate(todo.repeat, todo.dueDate);
+        if (!nextDate) {
+            return `${rule} · last occurrence`;
+        }
+
+        const next = TodoRecurrence.parseDate(nextDate).toLocaleDateString(undefined, {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric'
+        });
+        return `${rule} · then ${next}`;
+    }
+
+    /**
+     * Focus on add input
+     */
+    focusAddInput() {
+        this.elements.titleInput.focus();
+    }
+
+    /**
+     * Submit form programmatically
+     */
+    submitForm() {
+        if (this.elements.titleInput.value.trim()) {
+            this.addTodo();
+        }
+    }
+
+    /**
+     * Auto-resize text inputs
+     */
+    autoResize(event) {
+        const input = event.target;
+        input.style.height = 'auto';
+        input.style.height = Math.min(input.scrollHeight, 150) + 'px';
+    }
+
+    /**
+     * Format date for display
+     */
+    formatDate(dateString) {
+        if (!dateString) return null;
+
+        // Compare local calendar days, not raw milliseconds
+        const now = new Date();
+        const diffDays = TodoDates.daysUntil(dateString, now);
+        const time = TodoDates.timeOf(dateString);
+        const atTime = time ? ` at ${this.formatTime(time)}` : '';
+
+        if (TodoDates.isOverdue(dateString, now)) {
+            return { 
+                text: diffDays === 0
+                    ? `Overdue since ${this.formatTime(time)}`
+                    : `Overdue by ${Math.abs(diffDays)} day${Math.abs(diffDays) !== 1 ? 's' : ''}`, 
+                class: 'overdue' 
+            };
+        }
+        if (diffDays === 0) return { text: `Due today${atTime}`, class: 'due-today' };
+        if (diffDays === 1) return { text: `Due tomorrow${atTime}`, class: 'due-soon' };
+        if (diffDays <= 7) return { text: `Due in ${diffDays} days${atTime}`, class: 'due-soon' };
+        
+        return { 
+            text: TodoDates.toDate(dateString).toLocaleDateString() + atTime, 
+            class: '' 
+        };
+    }
+
+    /**
+     * Get filtered and sorted todos
+     */
+    getFilteredTodos() {
         let todos = this.storage.getTodos();
+        let ranked = false;
+        this.searchMatches = new Map();
 
-        // Apply search filter
+        // Apply search filter; text searches come back in relevance order
         if (this.searchQuery) {
-            todos = this.storage.searchTodos(this.searchQuery);
+            const results = this.storage.search(this.searchQuery);
+            todos = results.todos;
+            ranked = results.ranked;
+            this.searchMatches = results.matches;
+        }
+
+        // Limit to the open list
+        if (this.currentList !== 'all') {
+            todos = todos.filter(todo => todo.listId === this.currentList);
+        }
+
+        // Apply tag filter
+        if (this.currentTag) {
+            const tag = this.currentTag.toLowerCase();
+            todos = todos.filter(todo => todo.tags.some(entry => entry.toLowerCase() === tag));
         }
 
+        // Apply priority filter
+        if (this.currentPriority !== 'all') {
+            todos = todos.filter(todo => todo.priority === this.currentPriority);
+        }
+
+        // Apply sorting, unless the search ranked the results
+        const { sortBy, sortOrder } = this.storage.getSettings();
+        if (!ranked) {
+            todos = this.storage.sortTodos(todos, { field: sortBy, order: sortOrder });
+        }
+
+        // Todos can be dragged while they are shown in manual order
+        this.canReorder = !ranked && sortBy === 'order' && sortOrder === 'asc';
+
         // Apply status filter
         if (this.currentFilter !== 'all') {
             todos = this.storage.filterTodos(todos, this.currentFilter);
@@ -438,20 +2149,19 @@ class TodoUI {
     }
 
     /**
-     * Update statistics display
+     * Update statistics display for the open list
      */
     updateStats() {
-        const allTodos = this.storage.getTodos();
-        const completed = allTodos.filter(t => t.completed).length;
-        const total = allTodos.length;
-        const pending = total - completed;
+        const stats = this.storage.getListStats();
+        const { total, completed, pending, archived } = stats[this.currentList] || stats.all;
 
         this.elements.totalTodos.textContent = total;
         this.elements.completedTodos.textContent = completed;
         this.elements.pendingTodos.textContent = pending;
+        this.elements.archivedTodos.textContent = archived;
 
         // Add animation to numbers
-        [this.elements.totalTodos, this.elements.completedTodos, this.elements.pendingTodos]
+        [this.elements.totalTodos, this.elements.completedTodos, this.elements.pendingTodos, this.elements.archivedTodos]
             .forEach(el => {
                 el.style.transform = 'scale(1.1)';
                 setTimeout(() => {
@@ -460,6 +2170,176 @@ class TodoUI {
             });
     }
 
+    /**
+     * Render the list switcher with pending counts
+     */
+    renderLists() {
+        const lists = this.storage.getLists();
+        const stats = this.storage.getListStats();
+        const count = id => stats[id].pending ? `<span class="list-count">${stats[id].pending}</span>` : '';
+
+        const listsHTML = lists.map(list => `
+            <button 
+                class="list-btn ${list.id === this.currentList ? 'active' : ''}" 
+                style="--list-color: ${list.color}"
+                onclick="window.todoUI.setList('${list.id}')"
+                ondblclick="window.todoUI.openListForm('${list.id}')"
+                title="${this.escapeAttribute(list.name)} (double-click to edit)"
+            >
+                ${list.emoji ? `<span class="list-emoji">${this.escapeHtml(list.emoji)}</span>` : '<span class="list-dot"></span>'}
+                ${this.escapeHtml(list.name)}
+                ${count(list.id)}
+            </button>
+        `).join('');
+
+        this.elements.listSwitcher.innerHTML = `
+            <button 
+                class="list-btn ${this.currentList === 'all' ? 'active' : ''}" 
+                onclick="window.todoUI.setList('all')"
+            >
+                All lists ${count('all')}
+            </button>
+            ${listsHTML}
+            ${this.currentList !== 'all' ? `
+                <button class="list-btn list-edit" onclick="window.todoUI.openListForm('${this.currentList}')" title="Edit list">✎</button>
+            ` : ''}
+            <button class="list-btn list-add" onclick="window.todoUI.openListForm()" title="New list">+ New list</button>
+        `;
+    }
+
+    /**
+     * Render the tag sidebar and refresh tag suggestions
+     */
+    renderTags() {
+        const tags = this.storage.getTags();
+        const activeTag = this.currentTag && this.currentTag.toLowerCase();
+
+        this.elements.tagSuggestions.innerHTML = tags
+            .map(tag => `<option value="${this.escapeAttribute(tag.name)}"></option>`)
+            .join('');
+
+        this.elements.tagSidebar.hidden = tags.length === 0 && !this.currentTag;
+
+        this.elements.tagSidebar.innerHTML = `
+            <div class="tag-sidebar-header">
+                <span>Tags</span>
+                ${this.currentTag ? `
+                    <button class="tag-clear" onclick="window.todoUI.setTag(null)">Clear #${this.escapeHtml(this.currentTag)}</button>
+                ` : ''}
+            </div>
+            <ul class="tag-sidebar-list">
+                ${tags.map(tag => `
+                    <li class="tag-sidebar-item ${tag.name.toLowerCase() === activeTag ? 'active' : ''}">
+                        <button 
+                            class="tag-filter" 
+                            data-tag="${this.escapeAttribute(tag.name)}"
+                            onclick="window.todoUI.setTag(this.dataset.tag)"
+                            title="${tag.pending} pending of ${tag.count}"
+                        >
+                            #${this.escapeHtml(tag.name)}
+                            <span class="tag-count">${tag.count}</span>
+                        </button>
+                        <button 
+                            class="subtask-btn" 
+                            data-tag="${this.escapeAttribute(tag.name)}"
+                            onclick="window.todoUI.renameTag(this.dataset.tag)"
+                            title="Rename or merge tag"
+                        >✎</button>
+                        <button 
+                            class="subtask-btn subtask-delete" 
+                            data-tag="${this.escapeAttribute(tag.name)}"
+                            onclick="window.todoUI.deleteTag(this.dataset.tag)"
+                            title="Remove tag from all todos"
+                        >&times;</button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Get a todo's tag chips and, when open, its tag editor
+     */
+    getTagsHTML(todo) {
+        const editing = this.editingTags.has(todo.id);
+        const activeTag = this.currentTag && this.currentTag.toLowerCase();
+
+        if (todo.tags.length === 0 && !editing) return '';
+
+        const chipsHTML = todo.tags.map(tag => `
+            <span class="tag-chip ${tag.toLowerCase() === activeTag ? 'active' : ''}">
+                <button 
+                    class="tag-chip-label" 
+                    data-tag="${this.escapeAttribute(tag)}"
+                    onclick="window.todoUI.setTag(this.dataset.tag)"
+                    title="Show todos tagged #${this.escapeAttribute(tag)}"
+                >#${this.escapeHtml(tag)}</button>
+                ${editing ? `
+                    <button 
+                        class="tag-remove" 
+                        data-tag="${this.escapeAttribute(tag)}"
+                        onclick="window.todoUI.removeTagFromTodo('${todo.id}', this.dataset.tag)"
+                        title="Remove tag"
+                    >&times;</button>
+                ` : ''}
+            </span>
+        `).join('');
+
+        return `
+            <div class="todo-tags">
+                ${chipsHTML}
+                ${editing ? `
+                    <input 
+                        type="text" 
+                        class="todo-tag-input" 
+                        data-todo-id="${todo.id}"
+                        list="tagSuggestions"
+                        placeholder="Add tag"
+                        onkeydown="if (event.key === 'Enter' || event.key === ',') { event.preventDefault(); window.todoUI.addTagToTodo('${todo.id}', this.value); }"
+                    >
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * List name prefixed with its emoji
+     */
+    formatListName(list) {
+        return list.emoji ? `${list.emoji} ${list.name}` : list.name;
+    }
+
+    /**
+     * Get the "move to list" control, and in the "All lists" view a badge for the todo's list
+     */
+    getListHTML(todo, lists) {
+        const list = lists.find(entry => entry.id === todo.listId);
+        const badgeHTML = this.currentList === 'all' && list ? `
+            <span class="todo-list-badge" style="--list-color: ${list.color}">
+                ${this.escapeHtml(this.formatListName(list))}
+            </span>
+        ` : '';
+
+        if (lists.length < 2) return { badgeHTML, moveHTML: '' };
+
+        const moveHTML = `
+            <select 
+                class="todo-move" 
+                onchange="window.todoUI.moveTodo('${todo.id}', this.value)"
+                aria-label="Move to list"
+                title="Move to list"
+            >
+                ${lists.map(entry => `
+                    <option value="${entry.id}" ${entry.id === todo.listId ? 'selected' : ''}>
+                        ${this.escapeHtml(this.formatListName(entry))}
+                    </option>
+                `).join('')}
+            </select>
+        `;
+
+        return { badgeHTML, moveHTML };
+    }
+
     /**
      * Render todos list
      */
@@ -469,45 +2349,21 @@ class TodoUI {
             return;
         }
 
-        const todosHTML = todos.map(todo => {
-            const dateInfo = this.formatDate(todo.dueDate);
-            const isOverdue = dateInfo && dateInfo.class === 'overdue';
-            
-            return `
-                <div class="todo-item ${todo.completed ? 'completed' : ''}" data-id="${todo.id}">
-                    <input 
-                        type="checkbox" 
-                        class="todo-checkbox" 
-                        ${todo.completed ? 'checked' : ''} 
-                        onchange="this.closest('.todo-item').classList.toggle('updating', true); window.todoUI.toggleTodo('${todo.id}')"
-                    >
-                    <div class="todo-content">
-                        <div class="todo-title ${todo.completed ? 'completed' : ''}">
-                            ${this.escapeHtml(todo.title)}
-                        </div>
-                        ${dateInfo ? `
-                            <div class="todo-date ${dateInfo.class}">
-                                ${dateInfo.text}
-                            </div>
-                        ` : ''}
-                        ${todo.description ? `
-                            <div class="todo-description">
-                                ${this.escapeHtml(todo.description)}
-                            </div>
-                        ` : ''}
-                    </div>
-                    <div class="todo-actions">
-                        <button 
-                            class="btn-small btn-delete" 
-                            onclick="window.todoUI.deleteTodo('${todo.id}')"
-                            title="Delete todo"
-                        >
-                            Delete
-                        </button>
-                    </div>
-                </div>
-            `;
-        }).join('');
+        const lists = this.storage.getLists();
+        const getTodoHTML = todo => this.getTodoHTML(todo, lists);
+
+        const { groupBy } = this.storage.getSettings();
+        const todosHTML = groupBy === 'none'
+            ? todos.map(getTodoHTML).join('')
+            : this.groupTodos(todos, groupBy).map(group => `
+                <section class="todo-group">
+                    <h3 class="todo-group-header">
+                        ${this.escapeHtml(group.label)}
+                        <span class="todo-group-count">${group.todos.length}</span>
+                    </h3>
+                    ${group.todos.map(getTodoHTML).join('')}
+                </section>
+            `).join('');
 
         this.elements.todosList.innerHTML = todosHTML;
 
@@ -526,6 +2382,517 @@ class TodoUI {
         });
     }
 
+    /**
+     * Get the row for one todo
+     */
+    getTodoHTML(todo, lists) {
+        const dateInfo = this.formatDate(todo.dueDate);
+        const isOverdue = dateInfo && dateInfo.class === 'overdue';
+        const { badgeHTML, moveHTML } = this.getListHTML(todo, lists);
+        const draggable = this.canReorder && this.editingTitleId !== todo.id;
+        
+        return `
+            <div 
+                class="todo-item priority-${todo.priority} ${todo.completed ? 'completed' : ''}" 
+                data-id="${todo.id}" 
+                tabindex="0"
+                draggable="${draggable}"
+            >
+                ${draggable ? `
+                    <span class="drag-handle" title="Drag to reorder (or Alt+↑/↓)" aria-hidden="true">⋮⋮</span>
+                ` : ''}
+                <input 
+                    type="checkbox" 
+                    class="todo-checkbox" 
+                    ${todo.completed ? 'checked' : ''} 
+                    onchange="this.closest('.todo-item').classList.toggle('updating', true); window.todoUI.toggleTodo('${todo.id}')"
+                >
+                <div class="todo-content">
+                    ${this.editingTitleId === todo.id ? `
+                        <input 
+                            type="text" 
+                            class="todo-title-input" 
+                            data-todo-id="${todo.id}"
+                            value="${this.escapeAttribute(todo.title)}"
+                            maxlength="200"
+                            aria-label="Todo title"
+                            onkeydown="window.todoUI.handleTitleKey(event, '${todo.id}')"
+                            onblur="window.todoUI.saveTitle('${todo.id}', this.value)"
+                        >
+                    ` : `
+                        <div 
+                            class="todo-title ${todo.completed ? 'completed' : ''}" 
+                            ondblclick="window.todoUI.startEditTitle('${todo.id}')"
+                            title="Double-click to edit"
+                        >
+                            ${this.highlight(todo.title, todo.id)}
+                        </div>
+                    `}
+                    ${badgeHTML}
+                    ${this.getTagsHTML(todo)}
+                    ${dateInfo ? `
+                        <div class="todo-date ${dateInfo.class}">
+                            ${dateInfo.text}
+                            ${todo.reminders.length ? `
+                                <span 
+                                    class="todo-reminder" 
+                                    title="Reminders: ${this.escapeAttribute(TodoReminders.describe(todo.reminders))}"
+                                >🔔</span>
+                            ` : ''}
+                        </div>
+                    ` : ''}
+                    ${todo.repeat ? `
+                        <div class="todo-repeat">
+                            ${this.escapeHtml(this.formatRepeat(todo))}
+                        </div>
+                    ` : ''}
+                    ${todo.description ? `
+                        <div class="todo-description">
+                            ${this.highlight(todo.description, todo.id)}
+                        </div>
+                    ` : ''}
+                    ${this.getSubtasksHTML(todo)}
+                </div>
+                <div class="todo-actions">
+                    <select 
+                        class="todo-priority priority-${todo.priority}" 
+                        onchange="window.todoUI.setPriority('${todo.id}', this.value)"
+                        aria-label="Priority"
+                        title="Priority"
+                    >
+                        ${TodoStorage.PRIORITIES.map(priority => `
+                            <option value="${priority}" ${priority === todo.priority ? 'selected' : ''}>
+                                ${TodoUI.PRIORITY_LABELS[priority]}
+                            </option>
+                        `).join('')}
+                    </select>
+                    ${moveHTML}
+                    <button 
+                        class="btn-small btn-tags ${this.editingTags.has(todo.id) ? 'active' : ''}" 
+                        onclick="window.todoUI.toggleTagEditor('${todo.id}')"
+                        title="Edit tags"
+                    >
+                        #
+                    </button>
+                    <button 
+                        class="btn-small btn-edit" 
+                        onclick="window.todoUI.openDetail('${todo.id}')"
+                        title="Edit details"
+                    >
+                        Edit
+                    </button>
+                    ${todo.subtasks.length === 0 && !this.expandedTodos.has(todo.id) ? `
+                        <button 
+                            class="btn-small btn-checklist" 
+                            onclick="window.todoUI.toggleSubtasks('${todo.id}')"
+                            title="Add a checklist"
+                        >
+                            Checklist
+                        </button>
+                    ` : ''}
+                    ${todo.completed ? `
+                        <button 
+                            class="btn-small btn-archive" 
+                            onclick="window.todoUI.archiveTodo('${todo.id}')"
+                            title="Move to the archive"
+                        >
+                            Archive
+                        </button>
+                    ` : ''}
+                    <button 
+                        class="btn-small btn-delete" 
+                        onclick="window.todoUI.deleteTodo('${todo.id}')"
+                        title="Delete todo"
+                    >
+                        Delete
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Get checklist progress and, when expanded, the checklist editor
+     */
+    getSubtasksHTML(todo) {
+        const expanded = this.expandedTodos.has(todo.id);
+        const total = todo.subtasks.length;
+
+        if (total === 0 && !expanded) return '';
+
+        const done = todo.subtasks.filter(subtask => subtask.completed).length;
+        const percent = total ? Math.round((done / total) * 100) : 0;
+
+        const summaryHTML = `
+            <div class="subtask-summary">
+                <button 
+                    class="subtask-toggle" 
+                    onclick="window.todoUI.toggleSubtasks('${todo.id}')"
+                    aria-expanded="${expanded}"
+                    title="${expanded ? 'Hide' : 'Show'} checklist"
+                >
+                    ${expanded ? '▾' : '▸'} ${done}/${total}
+                </button>
+                <div class="subtask-progress">
+                    <div class="subtask-progress-bar" style="width: ${percent}%"></div>
+                </div>
+            </div>
+        `;
+
+        if (!expanded) return summaryHTML;
+
+        const itemsHTML = todo.subtasks.map((subtask, index) => `
+            <li class="subtask-item ${subtask.completed ? 'completed' : ''}">
+                <input 
+                    type="checkbox" 
+                    ${subtask.completed ? 'checked' : ''} 
+                    onchange="window.todoUI.toggleSubtask('${todo.id}', '${subtask.id}')"
+                    aria-label="Complete subtask"
+                >
+                <span class="subtask-title">${this.escapeHtml(subtask.title)}</span>
+                <button 
+                    class="subtask-btn" 
+                    onclick="window.todoUI.moveSubtask('${todo.id}', '${subtask.id}', -1)"
+                    title="Move up"
+                    ${index === 0 ? 'disabled' : ''}
+                >↑</button>
+                <button 
+                    class="subtask-btn" 
+                    onclick="window.todoUI.moveSubtask('${todo.id}', '${subtask.id}', 1)"
+                    title="Move down"
+                    ${index === total - 1 ? 'disabled' : ''}
+                >↓</button>
+                <button 
+                    class="subtask-btn subtask-delete" 
+                    onclick="window.todoUI.deleteSubtask('${todo.id}', '${subtask.id}')"
+                    title="Remove subtask"
+                >&times;</button>
+            </li>
+        `).join('');
+
+        return summaryHTML + `
+            <div class="subtask-editor">
+                <ul class="subtask-list">${itemsHTML}</ul>
+                <input 
+                    type="text" 
+                    class="subtask-input" 
+                    data-todo-id="${todo.id}"
+                    placeholder="Add a subtask and press Enter"
+                    onkeydown="if (event.key === 'Enter') { event.preventDefault(); window.todoUI.addSubtask('${todo.id}', this.value); }"
+                >
+                <label class="subtask-option">
+                    <input 
+                        type="checkbox" 
+                        ${this.storage.getSettings().autoCompleteParent ? 'checked' : ''} 
+                        onchange="window.todoUI.setAutoCompleteParent(this.checked)"
+                    >
+                    Complete the todo when all subtasks are done
+                </label>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the trash view
+     */
+    renderTrash() {
+        const trash = this.storage.getTrash();
+        const retentionDays = this.storage.getSettings().trashRetentionDays;
+        const retentionOptions = [...new Set([7, 30, 90, retentionDays, 0])]
+            .sort((a, b) => (a || Infinity) - (b || Infinity));
+
+        const toolbarHTML = `
+            <div class="trash-toolbar">
+                <label for="trashRetention">
+                    Keep deleted todos
+                    <select id="trashRetention" onchange="window.todoUI.setTrashRetention(this.value)">
+                        ${retentionOptions.map(days => `
+                            <option value="${days}" ${days === retentionDays ? 'selected' : ''}>
+                                ${days ? `${days} days` : 'Forever'}
+                            </option>
+                        `).join('')}
+                    </select>
+                </label>
+                <button class="btn-small btn-delete" onclick="window.todoUI.emptyTrash()" ${trash.length ? '' : 'disabled'}>
+                    Empty trash
+                </button>
+            </div>
+            ${this.getCleanupControlsHTML()}
+        `;
+
+        if (trash.length === 0) {
+            this.elements.todosList.innerHTML = toolbarHTML + `
+                <div class="empty-state">
+                    <div style="font-size: 3rem; margin-bottom: 20px;">🗑️</div>
+                    <h3>Trash is empty</h3>
+                    <p>Deleted todos can be restored from here${retentionDays ? ` for ${retentionDays} days` : ''}.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const itemsHTML = trash.map(item => `
+            <div class="todo-item trashed" data-id="${item.id}">
+                <div class="todo-content">
+                    <div class="todo-title ${item.completed ? 'completed' : ''}">
+                        ${this.escapeHtml(item.title)}
+                    </div>
+                    <div class="todo-trash-info">
+                        ${this.formatTrashInfo(item, retentionDays)}
+                    </div>
+                </div>
+                <div class="todo-actions">
+                    <button 
+                        class="btn-small btn-restore" 
+                        onclick="window.todoUI.restoreTodo('${item.id}')"
+                        title="Restore todo"
+                    >
+                        Restore
+                    </button>
+                    <button 
+                        class="btn-small btn-delete" 
+                        onclick="window.todoUI.deleteTodoPermanently('${item.id}')"
+                        title="Delete permanently"
+                    >
+                        Delete forever
+                    </button>
+                </div>
+            </div>
+        `).join('');
+
+        this.elements.todosList.innerHTML = toolbarHTML + itemsHTML;
+    }
+
+    /**
+     * Cleanup settings, shown with the trash
+     */
+    getCleanupControlsHTML() {
+        const settings = this.storage.getSettings();
+        const { afterDays, keepCompleted, action } = TodoCleanup.getRules(settings);
+        const current = !TodoCleanup.isEnabled(settings) ? 'off' : afterDays ? `days:${afterDays}` : `keep:${keepCompleted}`;
+        const options = [
+            'off',
+            ...[...new Set([7, 30, 90, afterDays])].filter(Boolean).sort((a, b) => a - b).map(days => `days:${days}`),
+            ...[...new Set([20, 50, 100, keepCompleted])].filter(Boolean).sort((a, b) => a - b).map(count => `keep:${count}`)
+        ];
+        const label = value => {
+            const [rule, amount] = value.split(':');
+            if (rule === 'off') return 'Never';
+            return rule === 'days' ? `${amount} days after completion` : `Keep the last ${amount} completed`;
+        };
+
+        return `
+            <div class="trash-toolbar cleanup-settings">
+                <label for="cleanupRule">
+                    Clean up completed todos
+                    <select id="cleanupRule" onchange="window.todoUI.setCleanupRule(this.value)">
+                        ${options.map(value => `
+                            <option value="${value}" ${value === current ? 'selected' : ''}>${label(value)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <label for="cleanupAction">
+                    by moving them to
+                    <select id="cleanupAction" onchange="window.todoUI.setCleanupAction(this.value)" ${current === 'off' ? 'disabled' : ''}>
+                        <option value="trash" ${action === 'trash' ? 'selected' : ''}>the trash</option>
+                        <option value="archive" ${action === 'archive' ? 'selected' : ''}>the archive</option>
+                    </select>
+                </label>
+            </div>
+        `;
+    }
+
+    /**
+     * Describe when and why a todo was trashed, and when it will be purged
+     */
+    formatTrashInfo(item, retentionDays) {
+        const dayInMs = 24 * 60 * 60 * 1000;
+        const deletedAt = new Date(item.deletedAt).getTime();
+        const daysAgo = Math.floor((Date.now() - deletedAt) / dayInMs);
+
+        const when = daysAgo === 0 ? 'today' : `${daysAgo} day${daysAgo !== 1 ? 's' : ''} ago`;
+        const why = item.deletedReason === 'cleanup' ? 'Removed by automatic cleanup' : 'Deleted';
+        let text = `${why} ${when}`;
+
+        if (retentionDays) {
+            const daysLeft = Math.max(0, Math.ceil((deletedAt + retentionDays * dayInMs - Date.now()) / dayInMs));
+            text += ` · purged in ${daysLeft} day${daysLeft !== 1 ? 's' : ''}`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Render the archive view: archived todos matching the search, grouped by when they were archived
+     */
+    renderArchive() {
+        const archive = this.storage.searchArchive(this.searchQuery, this.currentList);
+        const stats = this.storage.getListStats();
+        const { completed, archived: total } = stats[this.currentList] || stats.all;
+
+        const toolbarHTML = `
+            <div class="trash-toolbar">
+                <span>${total} archived todo${total !== 1 ? 's' : ''}</span>
+                <button class="btn-small btn-archive" onclick="window.todoUI.archiveCompleted()" ${completed ? '' : 'disabled'}>
+                    Archive ${completed || ''} completed
+                </button>
+            </div>
+            ${this.getCleanupControlsHTML()}
+        `;
+
+        if (archive.length === 0) {
+            this.elements.todosList.innerHTML = toolbarHTML + `
+                <div class="empty-state">
+                    <div style="font-size: 3rem; margin-bottom: 20px;">🗄️</div>
+                    <h3>${total ? 'No archived todos match your search' : 'Archive is empty'}</h3>
+                    <p>${total ? 'Try a different search.' : 'Archive completed todos to keep them out of your lists.'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        const lists = this.storage.getLists();
+        const groupsHTML = this.groupArchive(archive).map(group => `
+            <section class="todo-group">
+                <h3 class="todo-group-header">
+                    ${this.escapeHtml(group.label)}
+                    <span class="todo-group-count">${group.todos.length}</span>
+                </h3>
+                ${group.todos.map(item => {
+                    const list = lists.find(entry => entry.id === item.listId);
+
+                    return `
+                        <div class="todo-item archived" data-id="${item.id}">
+                            <div class="todo-content">
+                                <div class="todo-title completed">
+                                    ${this.escapeHtml(item.title)}
+                                </div>
+                                <div class="todo-trash-info">
+                                    ${this.formatArchiveInfo(item, list)}
+                                </div>
+                            </div>
+                            <div class="todo-actions">
+                                <button 
+                                    class="btn-small btn-restore" 
+                                    onclick="window.todoUI.unarchiveTodo('${item.id}')"
+                                    title="Move back to the list"
+                                >
+                                    Unarchive
+                                </button>
+                                <button 
+                                    class="btn-small btn-delete" 
+                                    onclick="window.todoUI.deleteArchivedTodo('${item.id}')"
+                                    title="Move to the trash"
+                                >
+                                    Delete
+                                </button>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </section>
+        `).join('');
+
+        this.elements.todosList.innerHTML = toolbarHTML + groupsHTML;
+    }
+
+    /**
+     * Split archived todos (most recent first) into Today, Yesterday, This week and then by month
+     */
+    groupArchive(items) {
+        const now = new Date();
+        const groups = new Map();
+
+        items.forEach(item => {
+            const archivedAt = new Date(item.archivedAt);
+            const daysAgo = -TodoDates.daysUntil(TodoDates.today(archivedAt), now);
+            let key = `${archivedAt.getFullYear()}-${archivedAt.getMonth()}`;
+            let label = archivedAt.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+            if (daysAgo <= 0) {
+                [key, label] = ['today', 'Today'];
+            } else if (daysAgo === 1) {
+                [key, label] = ['yesterday', 'Yesterday'];
+            } else if (daysAgo < 7) {
+                [key, label] = ['week', 'This week'];
+            }
+
+            if (!groups.has(key)) {
+                groups.set(key, { key, label, todos: [] });
+            }
+            groups.get(key).todos.push(item);
+        });
+
+        return [...groups.values()];
+    }
+
+    /**
+     * Describe when and why a todo was archived, and which list it came from
+     */
+    formatArchiveInfo(item, list) {
+        const archivedAt = new Date(item.archivedAt).toLocaleDateString();
+        const why = item.archivedReason === 'cleanup' ? 'Archived by automatic cleanup' : 'Archived';
+        return `${why} on ${archivedAt}${list ? ` · ${this.escapeHtml(this.formatListName(list))}` : ''}`;
+    }
+
+    /**
+     * Split sorted todos into labelled groups, keeping their order within each group
+     */
+    groupTodos(todos, groupBy) {
+        const now = new Date();
+        const today = TodoDates.today(now);
+        const lists = this.storage.getLists();
+        let order = [];
+        let getGroup;
+
+        switch (groupBy) {
+            case 'priority':
+                order = TodoStorage.PRIORITIES;
+                getGroup = todo => [todo.priority, TodoUI.PRIORITY_LABELS[todo.priority]];
+                break;
+            case 'list':
+                order = lists.map(list => list.id);
+                getGroup = todo => {
+                    const list = lists.find(entry => entry.id === todo.listId);
+                    return [todo.listId, list ? this.formatListName(list) : todo.listId];
+                };
+                break;
+            case 'due':
+                order = Object.keys(TodoUI.DUE_GROUPS);
+                getGroup = todo => {
+                    let key = 'upcoming';
+
+                    if (!todo.dueDate) {
+                        key = 'none';
+                    } else if (!todo.completed && TodoDates.isOverdue(todo.dueDate, now)) {
+                        key = 'overdue';
+                    } else if (TodoDates.dayOf(todo.dueDate) === today) {
+                        key = 'today';
+                    } else if (TodoDates.dayOf(todo.dueDate) < today) {
+                        key = 'earlier';
+                    }
+
+                    return [key, TodoUI.DUE_GROUPS[key]];
+                };
+                break;
+            default:
+                return [{ key: 'all', label: '', todos }];
+        }
+
+        const groups = new Map();
+        todos.forEach(todo => {
+            const [key, label] = getGroup(todo);
+
+            if (!groups.has(key)) {
+                groups.set(key, { key, label, todos: [] });
+            }
+            groups.get(key).todos.push(todo);
+        });
+
+        const rank = key => order.includes(key) ? order.indexOf(key) : order.length;
+        return [...groups.values()].sort((a, b) => rank(a.key) - rank(b.key));
+    }
+
     /**
      * Get empty state HTML
      */
@@ -550,6 +2917,11 @@ class TodoUI {
                 icon: '⏰',
                 title: 'No overdue todos',
                 message: 'You\'re staying on top of things!'
+            },
+            today: {
+                icon: '📅',
+                title: 'Nothing due today',
+                message: 'Enjoy the free time, or plan ahead.'
             }
         };
 
@@ -568,6 +2940,19 @@ class TodoUI {
             `;
         }
 
+        if (this.currentTag) {
+            return `
+                <div class="empty-state">
+                    <div style="font-size: 3rem; margin-bottom: 20px;">🏷️</div>
+                    <h3>No todos tagged #${this.escapeHtml(this.currentTag)}</h3>
+                    <p>Try another list or filter.</p>
+                    <button class="btn-small" onclick="window.todoUI.setTag(null)" style="margin-top: 15px;">
+                        Clear tag filter
+                    </button>
+                </div>
+            `;
+        }
+
         return `
             <div class="empty-state">
                 <div style="font-size: 3rem; margin-bottom: 20px;">${config.icon}</div>
@@ -578,14 +2963,15 @@ class TodoUI {
     }
 
     /**
-     * Show notification to user
+     * Show notification to user, optionally with an action button ({ label, handler })
      */
-    showNotification(message, type = 'info', duration = 3000) {
+    showNotification(message, type = 'info', duration = 3000, action = null) {
         const notification = document.createElement('div');
         notification.className = `notification ${type}`;
         notification.innerHTML = `
             <div class="notification-content">
                 <span>${this.escapeHtml(message)}</span>
+                ${action ? `<button class="notification-action">${this.escapeHtml(action.label)}</button>` : ''}
                 <button class="notification-close">&times;</button>
             </div>
         `;
@@ -621,6 +3007,20 @@ class TodoUI {
                     cursor: pointer;
                     margin-left: 10px;
                 }
+                .notification-action {
+                    background: rgba(255, 255, 255, 0.2);
+                    border: 1px solid rgba(255, 255, 255, 0.6);
+                    color: inherit;
+                    font-size: 13px;
+                    font-weight: 600;
+                    padding: 4px 10px;
+                    border-radius: 6px;
+                    cursor: pointer;
+                    margin-left: 10px;
+                }
+                .notification-action:hover {
+                    background: rgba(255, 255, 255, 0.35);
+                }
             `;
             document.head.appendChild(style);
         }
@@ -641,6 +3041,14 @@ class TodoUI {
         // Close button
         notification.querySelector('.notification-close').addEventListener('click', removeNotification);
 
+        // Action button runs once, then dismisses the notification
+        if (action) {
+            notification.querySelector('.notification-action').addEventListener('click', () => {
+                removeNotification();
+                action.handler();
+            });
+        }
+
         // Auto remove after duration
         if (duration > 0) {
             setTimeout(removeNotification, duration);
@@ -654,6 +3062,96 @@ class TodoUI {
         return confirm(`${title}\n\n${message}`);
     }
 
+    /**
+     * Show a text prompt, returning null when cancelled
+     */
+    showPromptDialog(title, message, defaultValue = '') {
+        return prompt(`${title}\n\n${message}`, defaultValue);
+    }
+
+    /**
+     * Ask which CSV column holds each todo field, starting from `guess`
+     * (see TodoFormats.guessMapping). Resolves with the mapping, or null when cancelled.
+     */
+    showColumnMapping(headers, rows, guess) {
+        const overlay = document.getElementById('mappingOverlay');
+        const form = document.getElementById('mappingForm');
+        const fields = document.getElementById('mappingFields');
+        const error = document.getElementById('mappingError');
+        const sample = rows[0] || [];
+
+        document.getElementById('mappingSummary').textContent =
+            `${rows.length} row${rows.length !== 1 ? 's' : ''} found. Choose the column to read each field from.`;
+
+        fields.innerHTML = Object.entries(TodoFormats.CSV_FIELDS).map(([field, label]) => `
+            <label class="mapping-field">
+                <span>${this.escapeHtml(label)}</span>
+                <select data-field="${field}">
+                    <option value="-1">— Skip —</option>
+                    ${headers.map((header, index) => `
+                        <option value="${index}" ${index === guess[field] ? 'selected' : ''}>
+                            ${this.escapeHtml(header || `Column ${index + 1}`)}
+                        </option>
+                    `).join('')}
+                </select>
+                <span class="mapping-sample"></span>
+            </label>
+        `).join('');
+
+        // Show what the first row holds in the chosen column
+        const showSample = select => {
+            const value = sample[select.value] || '';
+            select.nextElementSibling.textContent = value.length > 40 ? `${value.slice(0, 40)}…` : value;
+        };
+        fields.querySelectorAll('select').forEach(showSample);
+
+        error.hidden = true;
+        overlay.hidden = false;
+        fields.querySelector('select').focus();
+
+        return new Promise(resolve => {
+            const close = (mapping) => {
+                overlay.hidden = true;
+                form.removeEventListener('submit', submit);
+                form.removeEventListener('change', change);
+                form.removeEventListener('keydown', keydown);
+                overlay.removeEventListener('click', click);
+                resolve(mapping);
+            };
+            const submit = (event) => {
+                event.preventDefault();
+
+                const mapping = {};
+                fields.querySelectorAll('select').forEach(select => {
+                    mapping[select.dataset.field] = parseInt(select.value, 10);
+                });
+
+                if (mapping.title < 0) {
+                    error.textContent = 'Choose the column that holds the titles';
+                    error.hidden = false;
+                    return;
+                }
+
+                close(mapping);
+            };
+            const change = (event) => {
+                if (event.target.matches('select')) showSample(event.target);
+            };
+            const keydown = (event) => {
+                if (event.key === 'Escape') close(null);
+            };
+            // Clicking the backdrop or Cancel cancels
+            const click = (event) => {
+                if (event.target === overlay || event.target.id === 'mappingCancel') close(null);
+            };
+
+            form.addEventListener('submit', submit);
+            form.addEventListener('change', change);
+            form.addEventListener('keydown', keydown);
+            overlay.addEventListener('click', click);
+        });
+    }
+
     /**
      * Escape HTML to prevent XSS
      */
@@ -663,31 +3161,119 @@ class TodoUI {
         return div.innerHTML;
     }
 
+    /**
+     * Escape text and mark the words the current search matched in a todo
+     */
+    highlight(text, todoId) {
+        const terms = this.searchMatches.get(todoId);
+        if (!terms || terms.length === 0) return this.escapeHtml(text);
+
+        // Longest first so "reports" wins over "report"; matched words only as whole words
+        const pattern = [...new Set(terms)]
+            .sort((a, b) => b.length - a.length)
+            .map(term => /^[\p{L}\p{N}]+$/u.test(term)
+                ? `(?<![\\p{L}\\p{N}])${term}(?![\\p{L}\\p{N}])`
+                : term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|');
+
+        return text
+            .split(new RegExp(`(${pattern})`, 'giu'))
+            .map((part, index) => index % 2
+                ? `<mark class="search-hit">${this.escapeHtml(part)}</mark>`
+                : this.escapeHtml(part))
+            .join('');
+    }
+
+    /**
+     * Escape text for use inside a double-quoted attribute
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+
     /**
      * Main render method
      */
     render() {
         try {
-            // Update statistics
-            this.updateStats();
-
-            // Get filtered todos
-            const todos = this.getFilteredTodos();
-
-            // Render todos list
-            this.renderTodos(todos);
+            // The open list may have been deleted (e.g. in another tab)
+            if (this.currentList !== 'all' && !this.storage.getList(this.currentList)) {
+                this.currentList = 'all';
+            }
 
-            // Update document title with pending count
-            const pendingCount = this.storage.getTodos().filter(t => !t.completed).length;
-            document.title = pendingCount > 0 ? `(${pendingCount}) Todo PWA` : 'Todo PWA';
+            // Everything is about to be current again
+            this.staleTodos.clear();
+            this.staleList = false;
+
+            // Update list switcher, tags, saved views, statistics and counters
+            this.renderSavedViews();
+            this.renderCounts();
+
+            if (this.currentView === 'trash') {
+                this.elements.todosHeader.textContent = 'Trash';
+                this.renderTrash();
+            } else if (this.currentView === 'archive') {
+                const list = this.storage.getList(this.currentList);
+                this.elements.todosHeader.textContent = list ? `Archive · ${this.formatListName(list)}` : 'Archive';
+                this.renderArchive();
+            } else {
+                const list = this.storage.getList(this.currentList);
+                this.elements.todosHeader.textContent = list ? this.formatListName(list) : 'All lists';
+
+                // Get filtered todos
+                const todos = this.getFilteredTodos();
+
+                // Render todos list
+                this.renderTodos(todos);
+            }
 
         } catch (error) {
             console.error('Todo PWA: Render error:', error);
             this.showNotification('Something went wrong while updating the display', 'error');
         }
     }
+
+    /**
+     * Update everything that counts todos: list switcher, tags, statistics, trash, archive and title
+     */
+    renderCounts() {
+        this.renderLists();
+        this.renderTags();
+        this.updateStats();
+
+        const trashCount = this.storage.getTrash().length;
+        document.getElementById('trashCount').textContent = trashCount ? `(${trashCount})` : '';
+
+        // Archived todos of the open list, like the statistics
+        const stats = this.storage.getListStats();
+        const { archived } = stats[this.currentList] || stats.all;
+        document.getElementById('archiveCount').textContent = archived ? `(${archived})` : '';
+
+        // Update document title with pending count
+        const pendingCount = this.storage.getTodos().filter(t => !t.completed).length;
+        document.title = pendingCount > 0 ? `(${pendingCount}) Todo PWA` : 'Todo PWA';
+    }
 }
 
+TodoUI.PRIORITY_LABELS = {
+    urgent: '🔴 Urgent',
+    high: '🟠 High',
+    normal: '⚪ Normal',
+    low: '🔵 Low'
+};
+
+// Built-in status filters (see TodoStorage.filterTodos)
+TodoUI.FILTERS = ['all', 'pending', 'completed', 'overdue', 'today'];
+
+// Due date groups, in display order
+TodoUI.DUE_GROUPS = {
+    overdue: 'Overdue',
+    today: 'Today',
+    upcoming: 'Upcoming',
+    earlier: 'Earlier',
+    none: 'No due date'
+};
+
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.TodoUI = TodoUI;
@@ -1,3 +1,9 @@
+// Shared IndexedDB access, same data source as the page
+importScripts('/js/db.js');
+
+// Due-date, reminder, cleanup and sync helpers shared with the page
+importScripts('/js/recurrence.js', '/js/dates.js', '/js/reminders.js', '/js/cleanup.js', '/js/merge.js', '/js/sync.js');
+
 const CACHE_NAME = 'todo-pwa-v1.0.0';
 const OFFLINE_URL = '/offline.html';
 
@@ -7,6 +13,20 @@ const FILES_TO_CACHE = [
   '/index.html',
   '/css/styles.css',
   '/js/app.js',
+  '/js/db.js',
+  '/js/migrations.js',
+  '/js/history.js',
+  '/js/recurrence.js',
+  '/js/dates.js',
+  '/js/reminders.js',
+  '/js/cleanup.js',
+  '/js/quickadd.js',
+  '/js/query.js',
+  '/js/search.js',
+  '/js/merge.js',
+  '/js/sync.js',
+  '/js/channel.js',
+  '/js/formats.js',
   '/js/storage.js',
   '/js/ui.js',
   '/manifest.json',
@@ -111,15 +131,12 @@ self.addEventListener('fetch', (event) => {
   );
 });
 
-// Background sync for future enhancements
+// Background sync - replay queued changes to the sync server
 self.addEventListener('sync', (event) => {
   console.log('Service Worker: Background sync triggered', event.tag);
   
-  if (event.tag === 'todo-sync') {
-    event.waitUntil(
-      // Here you could sync todos with a server in the future
-      console.log('Service Worker: Todo sync completed')
-    );
+  if (event.tag === TodoSync.SYNC_TAG) {
+    event.waitUntil(replayOutbox());
   }
 });
 
@@ -161,7 +178,15 @@ self.addEventListener('notificationclick', (event) => {
   
   event.notification.close();
 
-  if (event.action === 'explore') {
+  const data = event.notification.data || {};
+
+  if (data.todoId && TodoReminders.ACTIONS[event.action]) {
+    // Reminder action - update the todo without opening a window
+    event.waitUntil(applyReminderAction(data.todoId, event.action));
+  } else if (data.todoId) {
+    // Reminder - show the todo in an open window, or open one
+    event.waitUntil(openTodo(data));
+  } else if (event.action === 'explore') {
     // Open the app
     event.waitUntil(
       clients.openWindow('/')
@@ -183,28 +208,200 @@ self.addEventListener('message', (event) => {
     console.log('Service Worker: Skipping waiting...');
     self.skipWaiting();
   }
+
+  // The page asks for due reminders while it is open
+  if (event.data && event.data.type === 'CHECK_REMINDERS') {
+    event.waitUntil(checkReminders());
+  }
 });
 
 // Periodic background sync (requires user permission)
 self.addEventListener('periodicsync', (event) => {
   console.log('Service Worker: Periodic sync triggered', event.tag);
   
-  if (event.tag === 'todo-cleanup') {
-    event.waitUntil(
-      // Clean up completed todos older than 30 days
-      cleanupOldTodos()
-    );
+  if (event.tag === TodoCleanup.SYNC_TAG) {
+    event.waitUntil(cleanupOldTodos());
+  }
+
+  if (event.tag === TodoReminders.SYNC_TAG) {
+    event.waitUntil(checkReminders());
   }
 });
 
-// Helper function for cleanup (future enhancement)
+// Show reminders that fell due since the last check
+async function checkReminders() {
+  const db = new TodoDB();
+
+  try {
+    const settings = await db.get('meta', 'settings');
+    if (!settings || !settings.notifications) return;
+
+    const now = Date.now();
+    const since = (await db.get('meta', TodoReminders.CHECKPOINT_KEY)) || now;
+    const todos = await db.getAll('todos');
+    const due = TodoReminders.collectDue(todos, since, now);
+
+    // Move the checkpoint first so an overlapping check doesn't repeat them
+    await db.set('meta', TodoReminders.CHECKPOINT_KEY, now);
+
+    await Promise.all(due.map((reminder) => {
+      const { title, options } = TodoReminders.getNotification(reminder);
+      return self.registration.showNotification(title, options);
+    }));
+
+    if (due.length > 0) {
+      console.log(`Service Worker: Showed ${due.length} reminder(s)`);
+    }
+  } catch (error) {
+    console.error('Service Worker: Reminder check failed', error);
+  } finally {
+    await db.close();
+  }
+}
+
+// Complete or snooze a todo from a reminder notification
+async function applyReminderAction(todoId, action) {
+  const db = new TodoDB();
+
+  try {
+    const deviceId = await db.get('meta', 'deviceId');
+
+    // Holds the write lock and runs again on fresh todos if a tab wrote in between
+    const { data, writes } = await db.update(['todos'], ({ todos }) => {
+      const updated = TodoReminders.applyAction(todos, todoId, action, generateId);
+
+      // Stamp the changed fields like the page does, so the change merges across devices
+      return updated && { todos: TodoMerge.track(todos, updated, TodoMerge.stamp(deviceId), deviceId) };
+    });
+
+    if (!writes) return;
+    console.log(`Service Worker: Applied reminder action "${action}" to todo`, todoId);
+
+    // Open tabs patch the changed todos into their copy of the data
+    const changes = TodoSync.diff('todos', data.todos, writes.todos);
+    await postToWindows({ type: 'TODOS_CHANGED', changes });
+
+    const settings = await db.get('meta', 'settings');
+    if (settings && settings.syncEndpoint) {
+      await new TodoSync(db).enqueue(changes);
+      await requestReplay();
+    }
+  } catch (error) {
+    console.error('Service Worker: Reminder action failed', error);
+  } finally {
+    await db.close();
+  }
+}
+
+// Send queued changes to the sync server. Rejecting while changes are still
+// pending makes the browser fire the sync event again later.
+async function replayOutbox() {
+  const db = new TodoDB();
+
+  try {
+    const settings = await db.get('meta', 'settings');
+    if (!settings || !settings.syncEndpoint) return;
+
+    const status = await new TodoSync(db).replay(settings.syncEndpoint);
+    await postToWindows({ type: 'SYNC_STATUS', status });
+
+    console.log(`Service Worker: Sync ${status.state}, ${status.pending} change(s) pending`);
+
+    if (status.pending > 0) {
+      throw new Error(status.lastError || 'Changes still pending');
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+// Replay via Background Sync where supported, otherwise right away
+async function requestReplay() {
+  try {
+    if ('sync' in self.registration) {
+      await self.registration.sync.register(TodoSync.SYNC_TAG);
+    } else {
+      await replayOutbox();
+    }
+  } catch (error) {
+    console.log('Service Worker: Sync will be retried', error.message);
+  }
+}
+
+// Message every open app window
+async function postToWindows(message) {
+  const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach((client) => client.postMessage(message));
+}
+
+// Same ID format as TodoStorage.generateId()
+function generateId() {
+  return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+}
+
+// Focus an open app window on a todo, or open the app at it
+async function openTodo(data) {
+  const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+  if (windows.length > 0) {
+    const client = windows[0];
+    client.postMessage({ type: 'OPEN_TODO', todoId: data.todoId });
+    return client.focus();
+  }
+
+  return clients.openWindow(data.url);
+}
+
+// Move completed todos to the trash or archive as the user's cleanup settings say
 async function cleanupOldTodos() {
+  const db = new TodoDB();
+
   try {
-    console.log('Service Worker: Cleaning up old todos...');
-    // This would interact with your storage system
-    // For now, just log the action
-    console.log('Service Worker: Todo cleanup completed');
+    const settings = await db.get('meta', 'settings');
+    if (!TodoCleanup.isEnabled(settings)) return;
+
+    const deviceId = await db.get('meta', 'deviceId');
+    let result = null;
+
+    // Holds the write lock and runs again on fresh data if a tab wrote in between
+    const { data, writes } = await db.update(['todos', 'trash', 'archive', 'tombstones'], (data) => {
+      result = TodoCleanup.apply(data, settings);
+
+      // Stamp and tombstone like the page does, so the change merges across devices
+      return result && TodoMerge.trackCollections(data, result.collections, data.tombstones, TodoMerge.stamp(deviceId), deviceId);
+    });
+
+    await db.set('meta', TodoCleanup.LAST_RUN_KEY, Date.now());
+
+    if (!writes) {
+      console.log('Service Worker: Nothing to clean up');
+      return;
+    }
+
+    const message = TodoCleanup.describe(result);
+    console.log(`Service Worker: ${message}`);
+
+    // Open tabs patch the moved todos into their copy of the data
+    const changes = Object.keys(writes).flatMap((name) => TodoSync.diff(name, data[name], writes[name]));
+    await postToWindows({ type: 'TODOS_CHANGED', changes });
+
+    if (settings.syncEndpoint) {
+      await new TodoSync(db).enqueue(changes);
+      await requestReplay();
+    }
+
+    // Only tell the user when they have allowed notifications
+    if (settings.notifications) {
+      await self.registration.showNotification('Todos cleaned up', {
+        body: message,
+        icon: '/images/icon-192x192.png',
+        badge: '/images/icon-72x72.png',
+        tag: TodoCleanup.SYNC_TAG
+      });
+    }
   } catch (error) {
     console.error('Service Worker: Cleanup failed', error);
+  } finally {
+    await db.close();
   }
 }
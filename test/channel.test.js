@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, createLocalStorage, plain } = require('./helpers');
+
+/**
+ * Tabs sharing one localStorage, without BroadcastChannel: each write fires a
+ * `storage` event in the other tabs, as browsers do
+ */
+function createTabs(count) {
+    const store = {};
+    const tabs = [];
+
+    const fire = (writer, key, newValue) => {
+        tabs.filter(tab => tab !== writer).forEach(tab => {
+            tab.window.dispatchEvent(Object.assign(new Event('storage'), { key, newValue }));
+        });
+    };
+
+    for (let index = 0; index < count; index++) {
+        const localStorage = createLocalStorage(store);
+        const sandbox = createSandbox({ scripts: ['channel'], globals: { localStorage } });
+        const tab = { window: sandbox.window, localStorage, received: [] };
+
+        localStorage.setItem = (key, value) => {
+            store[key] = String(value);
+            fire(tab, key, String(value));
+        };
+        localStorage.removeItem = key => {
+            delete store[key];
+            fire(tab, key, null);
+        };
+
+        tab.channel = new (sandbox.get('TodoChannel'))().open();
+        tab.channel.subscribe(message => tab.received.push(plain(message)));
+        tabs.push(tab);
+    }
+
+    return { tabs, store };
+}
+
+test('falls back to localStorage events without BroadcastChannel', () => {
+    const { tabs: [first, second, third], store } = createTabs(3);
+
+    assert.strictEqual(first.channel.channel, null);
+    assert.ok(first.channel.storageListener);
+
+    assert.strictEqual(first.channel.post({ type: 'reload', source: 'first' }), true);
+    assert.strictEqual(first.channel.post({ type: 'reload', source: 'first' }), true);
+
+    // Delivered to every other tab, once per message (the key removal is skipped)
+    assert.deepStrictEqual(first.received, []);
+    assert.deepStrictEqual(second.received, [{ type: 'reload', source: 'first' }, { type: 'reload', source: 'first' }]);
+    assert.deepStrictEqual(third.received, second.received);
+
+    // The message key does not stay behind in storage
+    assert.deepStrictEqual(Object.keys(store), []);
+});
+
+test('ignores other keys and unreadable messages', () => {
+    const { tabs: [first, second] } = createTabs(2);
+    const warn = console.warn;
+    console.warn = () => {};
+
+    try {
+        first.localStorage.setItem('todo-pwa-data', '[]');
+        first.localStorage.setItem(first.channel.messageKey, '{not json');
+        first.localStorage.setItem(first.channel.messageKey, JSON.stringify({ nonce: '1', message: 'text' }));
+    } finally {
+        console.warn = warn;
+    }
+
+    assert.deepStrictEqual(second.received, []);
+});
+
+test('stops receiving once closed, and reports messages it cannot send', () => {
+    const { tabs: [first, second] } = createTabs(2);
+
+    second.channel.close();
+    first.channel.post({ type: 'reload' });
+    assert.deepStrictEqual(second.received, []);
+    assert.strictEqual(second.channel.post({ type: 'reload' }), false);
+
+    const warn = console.warn;
+    console.warn = () => {};
+    first.localStorage.setItem = () => {
+        throw new Error('QuotaExceededError');
+    };
+
+    try {
+        assert.strictEqual(first.channel.post({ type: 'reload' }), false);
+    } finally {
+        console.warn = warn;
+    }
+});
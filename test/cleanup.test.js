@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, plain } = require('./helpers');
+
+const TodoCleanup = createSandbox({ scripts: ['cleanup'] }).get('TodoCleanup');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 19, 12, 0);
+const daysAgo = days => new Date(NOW - days * DAY).toISOString();
+
+const todo = (id, completedDaysAgo, overrides = {}) => ({
+    id,
+    title: id,
+    completed: completedDaysAgo !== null,
+    completedAt: completedDaysAgo !== null ? daysAgo(completedDaysAgo) : null,
+    createdAt: daysAgo(100),
+    repeat: null,
+    ...overrides
+});
+
+const select = (todos, settings) => plain(TodoCleanup.select(todos, settings, NOW)).sort();
+
+test('removes completed todos done more than the cutoff ago', () => {
+    const todos = [todo('old', 31), todo('edge', 30), todo('recent', 29), todo('open', null)];
+
+    assert.deepStrictEqual(select(todos, { cleanupAfterDays: 30 }), ['edge', 'old']);
+    assert.deepStrictEqual(select(todos, { cleanupAfterDays: 7 }), ['edge', 'old', 'recent']);
+
+    // Todos completed without a completion time count from when they were created
+    assert.deepStrictEqual(select([todo('undated', 1, { completedAt: null })], { cleanupAfterDays: 30 }), ['undated']);
+});
+
+test('keeps the most recently completed todos', () => {
+    const todos = [todo('a', 1), todo('b', 2), todo('c', 3), todo('d', 4)];
+
+    assert.deepStrictEqual(select(todos, { cleanupKeepCompleted: 2 }), ['c', 'd']);
+    assert.deepStrictEqual(select(todos, { cleanupAfterDays: 3, cleanupKeepCompleted: 3 }), ['c', 'd']);
+});
+
+test('never removes recurring or open todos', () => {
+    const todos = [
+        todo('recurring', 90, { repeat: { freq: 'weekly', interval: 1 } }),
+        todo('open', null, { createdAt: daysAgo(400) }),
+        todo('done', 90)
+    ];
+
+    assert.deepStrictEqual(select(todos, { cleanupAfterDays: 30 }), ['done']);
+    assert.deepStrictEqual(select(todos, { cleanupKeepCompleted: 1 }), []);
+});
+
+test('does nothing when turned off or without rules', () => {
+    const todos = [todo('old', 400)];
+
+    assert.deepStrictEqual(select(todos, { autoCleanup: false, cleanupAfterDays: 30 }), []);
+    assert.deepStrictEqual(select(todos, { cleanupAfterDays: 0, cleanupKeepCompleted: 0 }), []);
+    assert.deepStrictEqual(select(todos, { cleanupAfterDays: -5 }), []);
+    assert.strictEqual(TodoCleanup.apply({ todos }, { autoCleanup: false, cleanupAfterDays: 30 }, NOW), null);
+});
+
+test('moves removed todos to the trash or the archive', () => {
+    const data = { todos: [todo('old', 40), todo('recent', 1)], trash: [], archive: [{ id: 'earlier' }] };
+
+    const trashed = plain(TodoCleanup.apply(data, { cleanupAfterDays: 30 }, NOW));
+    assert.strictEqual(trashed.action, 'trash');
+    assert.deepStrictEqual(trashed.collections.todos.map(item => item.id), ['recent']);
+    assert.deepStrictEqual(trashed.collections.trash.map(item => [item.id, item.deletedReason, item.deletedAt]), [['old', 'cleanup', daysAgo(0)]]);
+
+    const archived = plain(TodoCleanup.apply(data, { cleanupAfterDays: 30, cleanupAction: 'archive' }, NOW));
+    assert.deepStrictEqual(archived.collections.archive.map(item => [item.id, item.archivedReason || null]), [['old', 'cleanup'], ['earlier', null]]);
+    assert.strictEqual(TodoCleanup.describe(archived), 'Moved 1 completed todo to the archive');
+});
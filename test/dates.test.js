@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./helpers');
+
+const TodoDates = createSandbox({ scripts: ['recurrence', 'dates'] }).get('TodoDates');
+
+// UTC, a zone with DST west of UTC, zones east of UTC with a half-hour offset and with DST
+const ZONES = ['UTC', 'America/New_York', 'Asia/Kolkata', 'Pacific/Auckland'];
+
+/**
+ * Run `callback` with the process in another timezone
+ */
+function inZone(zone, callback) {
+    const previous = process.env.TZ;
+    process.env.TZ = zone;
+
+    try {
+        callback();
+    } finally {
+        if (previous === undefined) {
+            delete process.env.TZ;
+        } else {
+            process.env.TZ = previous;
+        }
+    }
+}
+
+/**
+ * 'YYYY-MM-DDTHH:MM' of an instant in a zone, worked out with Intl rather than the code under test
+ */
+function wallClock(instant, zone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(new Date(instant)).map(part => [part.type, part.value]));
+
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+}
+
+ZONES.forEach(zone => {
+    test(`normalize keeps calendar values and converts zoned timestamps (${zone})`, () => inZone(zone, () => {
+        assert.strictEqual(TodoDates.normalize('2026-03-08'), '2026-03-08');
+        assert.strictEqual(TodoDates.normalize('2026-04-05'), '2026-04-05');
+        assert.strictEqual(TodoDates.normalize('2026-10-19T09:30'), '2026-10-19T09:30');
+        assert.strictEqual(TodoDates.normalize('2026-10-19T09:30:15.500'), '2026-10-19T09:30');
+
+        assert.strictEqual(TodoDates.normalize('2026-02-30'), null);
+        assert.strictEqual(TodoDates.normalize('2026-10-19T24:00'), null);
+        assert.strictEqual(TodoDates.normalize(''), null);
+        assert.strictEqual(TodoDates.normalize('soon'), null);
+
+        ['2026-03-08T07:30:00Z', '2026-10-18T23:45:00Z', '2026-06-30T12:00:00+02:00'].forEach(instant => {
+            assert.strictEqual(TodoDates.normalize(instant), wallClock(instant, zone), instant);
+        });
+    }));
+
+    test(`combine joins a day and an optional time (${zone})`, () => inZone(zone, () => {
+        assert.strictEqual(TodoDates.combine('2026-10-19'), '2026-10-19');
+        assert.strictEqual(TodoDates.combine('2026-10-19', '07:05'), '2026-10-19T07:05');
+        assert.strictEqual(TodoDates.normalize(TodoDates.combine('2026-03-08', '02:30')), '2026-03-08T02:30');
+    }));
+
+    test(`isOverdue goes by the local day and clock (${zone})`, () => inZone(zone, () => {
+        // All-day todos are overdue from the next local day on
+        assert.strictEqual(TodoDates.isOverdue('2026-10-19', new Date(2026, 9, 19, 23, 59)), false);
+        assert.strictEqual(TodoDates.isOverdue('2026-10-19', new Date(2026, 9, 20, 0, 0)), true);
+
+        // Timed todos once their time has passed
+        assert.strictEqual(TodoDates.isOverdue('2026-10-19T09:30', new Date(2026, 9, 19, 9, 29)), false);
+        assert.strictEqual(TodoDates.isOverdue('2026-10-19T09:30', new Date(2026, 9, 19, 9, 31)), true);
+
+        assert.strictEqual(TodoDates.isOverdue(null, new Date()), false);
+    }));
+
+    test(`isDueToday compares local days (${zone})`, () => inZone(zone, () => {
+        assert.strictEqual(TodoDates.isDueToday('2026-10-19', new Date(2026, 9, 19, 0, 0)), true);
+        assert.strictEqual(TodoDates.isDueToday('2026-10-19T23:30', new Date(2026, 9, 19, 23, 45)), true);
+        assert.strictEqual(TodoDates.isDueToday('2026-10-19', new Date(2026, 9, 20, 0, 5)), false);
+        assert.strictEqual(TodoDates.isDueToday(null, new Date(2026, 9, 19)), false);
+    }));
+
+    test(`daysUntil counts calendar days across DST changes (${zone})`, () => inZone(zone, () => {
+        // New York falls back on 2026-11-01 and springs forward on 2026-03-08;
+        // Auckland falls back on 2026-04-05 and springs forward on 2026-09-27
+        assert.strictEqual(TodoDates.daysUntil('2026-11-02', new Date(2026, 9, 31, 23, 30)), 2);
+        assert.strictEqual(TodoDates.daysUntil('2026-03-09', new Date(2026, 2, 7, 0, 30)), 2);
+        assert.strictEqual(TodoDates.daysUntil('2026-04-06', new Date(2026, 3, 4, 12)), 2);
+        assert.strictEqual(TodoDates.daysUntil('2026-09-26T23:00', new Date(2026, 8, 28, 1)), -2);
+        assert.strictEqual(TodoDates.daysUntil('2026-10-19', new Date(2026, 9, 19, 23, 59)), 0);
+    }));
+});
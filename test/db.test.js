@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox } = require('./helpers');
+
+// Let other writers run in between steps
+const pause = () => new Promise(resolve => setTimeout(resolve, Math.random() * 3));
+
+/**
+ * An exclusive Web Locks stand-in: callbacks for the same name run one at a time
+ */
+function createLocks() {
+    const queues = new Map();
+
+    return {
+        request(name, options, callback) {
+            const previous = queues.get(name) || Promise.resolve();
+            const result = previous.then(() => callback());
+            queues.set(name, result.catch(() => {}));
+            return result;
+        }
+    };
+}
+
+/**
+ * TodoDB over an in-memory store shared by every instance. Reads and writes yield to
+ * other writers, and `beforeSwap` runs just before each compare-and-swap.
+ */
+function createDB(TodoDB, store, beforeSwap = () => {}) {
+    class MemoryDB extends TodoDB {
+        async readRevision(storeNames) {
+            await pause();
+
+            const data = {};
+            storeNames.forEach(name => {
+                data[name] = JSON.parse(JSON.stringify(store[name] || []));
+            });
+            return { revision: store.revision, data };
+        }
+
+        async compareAndSwap(expected, writes) {
+            await beforeSwap();
+            await pause();
+
+            if (store.revision !== expected) return null;
+
+            Object.assign(store, JSON.parse(JSON.stringify(writes)));
+            store.revision++;
+            return store.revision;
+        }
+    }
+
+    return new MemoryDB();
+}
+
+// Each writer appends its own todos one update at a time
+async function runWriters(TodoDB, store, writers, updates, onAttempt = () => {}) {
+    await Promise.all([...Array(writers)].map(async (_, writer) => {
+        const db = createDB(TodoDB, store);
+
+        for (let index = 0; index < updates; index++) {
+            await db.update(['todos'], (data, attempt) => {
+                onAttempt(writer, data, attempt);
+                return { todos: [...data.todos, { id: `${writer}-${index}` }] };
+            });
+        }
+    }));
+}
+
+test('writers holding the lock never conflict or lose updates', async () => {
+    const sandbox = createSandbox({ scripts: ['db'], globals: { navigator: { locks: createLocks() } } });
+    const TodoDB = sandbox.get('TodoDB');
+    const store = { revision: 0, todos: [] };
+    let retries = 0;
+
+    await runWriters(TodoDB, store, 10, 10, (writer, data, attempt) => {
+        if (attempt > 1) retries++;
+    });
+
+    assert.strictEqual(store.todos.length, 100);
+    assert.strictEqual(new Set(store.todos.map(todo => todo.id)).size, 100);
+    assert.strictEqual(store.revision, 100);
+    assert.strictEqual(retries, 0);
+});
+
+test('interleaved writers without a lock retry on fresh data and lose no updates', async () => {
+    const sandbox = createSandbox({ scripts: ['db'], globals: { navigator: {} } });
+    const TodoDB = sandbox.get('TodoDB');
+    const store = { revision: 0, todos: [] };
+    let retries = 0;
+
+    TodoDB.MAX_ATTEMPTS = 1000;
+
+    // A retry always sees at least one more write than the attempt it replaces
+    const lastSeen = new Map();
+    await runWriters(TodoDB, store, 8, 10, (writer, data, attempt) => {
+        if (attempt > 1) {
+            retries++;
+            assert.ok(data.todos.length > lastSeen.get(writer), 'retry ran on stale data');
+        }
+        lastSeen.set(writer, data.todos.length);
+    });
+
+    assert.strictEqual(store.todos.length, 80);
+    assert.strictEqual(new Set(store.todos.map(todo => todo.id)).size, 80);
+    assert.strictEqual(store.revision, 80);
+    assert.ok(retries > 0, 'the writers never raced');
+});
+
+test('a write that loses the race runs again with the winning write in its data', async () => {
+    const sandbox = createSandbox({ scripts: ['db'], globals: { navigator: {} } });
+    const TodoDB = sandbox.get('TodoDB');
+    const store = { revision: 0, todos: [{ id: 'a', title: 'Old' }] };
+    const other = createDB(TodoDB, store);
+    let interrupted = false;
+
+    // Another writer gets in between the first read and swap
+    const db = createDB(TodoDB, store, async () => {
+        if (interrupted) return;
+        interrupted = true;
+        await other.update(['todos'], ({ todos }) => ({ todos: [...todos, { id: 'b', title: 'Theirs' }] }));
+    });
+
+    const calls = [];
+    const result = await db.update(['todos'], (data, attempt) => {
+        calls.push({ attempt, ids: data.todos.map(todo => todo.id) });
+        return { todos: data.todos.map(todo => todo.id === 'a' ? { ...todo, title: 'Mine' } : todo) };
+    });
+
+    assert.deepStrictEqual(calls, [
+        { attempt: 1, ids: ['a'] },
+        { attempt: 2, ids: ['a', 'b'] }
+    ]);
+    assert.deepStrictEqual(store.todos, [{ id: 'a', title: 'Mine' }, { id: 'b', title: 'Theirs' }]);
+    assert.strictEqual(result.revision, 2);
+});
+
+test('update gives up after MAX_ATTEMPTS conflicts', async () => {
+    const sandbox = createSandbox({ scripts: ['db'], globals: { navigator: {} } });
+    const TodoDB = sandbox.get('TodoDB');
+    const store = { revision: 0, todos: [] };
+
+    // Someone else always writes first
+    const db = createDB(TodoDB, store, () => {
+        store.revision++;
+    });
+
+    await assert.rejects(db.update(['todos'], data => data), /after 5 conflicting attempts/);
+});
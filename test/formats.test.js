@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, plain } = require('./helpers');
+
+const TodoFormats = createSandbox().get('TodoFormats');
+
+const todo = overrides => ({
+    title: 'Task',
+    description: '',
+    completed: false,
+    priority: 'normal',
+    dueDate: null,
+    tags: [],
+    listId: 'inbox',
+    subtasks: [],
+    createdAt: '2026-10-19T08:00:00.000Z',
+    completedAt: null,
+    ...overrides
+});
+
+const roundTrip = todos => {
+    const [headers, ...rows] = TodoFormats.parseCSV(TodoFormats.toCSV(todos));
+    return plain(TodoFormats.fromCSV(rows, TodoFormats.guessMapping(headers)));
+};
+
+test('prefixes formula-like CSV cells so spreadsheets show them as text', () => {
+    const csv = TodoFormats.toCSV([
+        todo({ title: '=HYPERLINK("http://example.com")', description: '+1 555 0100' }),
+        todo({ title: '@mention', description: '-5 degrees' }),
+        todo({ title: '\tindented', description: '\rreturn' })
+    ]);
+    const [, ...rows] = TodoFormats.parseCSV(csv);
+
+    rows.forEach(row => {
+        assert.ok(row[0].startsWith("'"), row[0]);
+        assert.ok(row[1].startsWith("'"), row[1]);
+    });
+    assert.strictEqual(TodoFormats.quoteCSV('Plain title'), 'Plain title');
+});
+
+test('strips the formula prefix again on import', () => {
+    const titles = ['=SUM(A1:A2)', '+call', '-minus', '@home', 'Plain', "'quoted already"];
+    const imported = roundTrip(titles.map(title => todo({ title, description: `=${title}` })));
+
+    assert.deepStrictEqual(imported.map(item => item.title), ['=SUM(A1:A2)', '+call', '-minus', '@home', 'Plain', "'quoted already"]);
+    assert.deepStrictEqual(imported.map(item => item.description), titles.map(title => `=${title}`));
+});
+
+test('detects the format of .txt files from their contents', () => {
+    assert.strictEqual(TodoFormats.detect('todos.txt', 'Title,Completed\r\nBuy milk,no\r\n'), 'csv');
+    assert.strictEqual(TodoFormats.detect('todos.txt', '- [ ] Buy milk\n- [x] Call mum\n'), 'markdown');
+    assert.strictEqual(TodoFormats.detect('todos.txt', '{"todos": []}'), 'json');
+    assert.strictEqual(TodoFormats.detect('todos.md', 'Title,Completed'), 'markdown');
+    assert.strictEqual(TodoFormats.detect('todos.csv', '- [ ] Buy milk'), 'csv');
+});
@@ -0,0 +1,75 @@
+/**
+ * Todo PWA - Test Helpers
+ * Loads the app's browser scripts into a sandbox with the globals they expect.
+ * Run the tests with `node --test test/`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', 'js');
+
+// Scripts in the order index.html loads them
+const SCRIPTS = [
+    'db', 'migrations', 'history', 'recurrence', 'dates', 'reminders', 'cleanup', 'quickadd',
+    'query', 'search', 'merge', 'sync', 'channel', 'formats', 'storage'
+];
+
+/**
+ * A localStorage stand-in backed by a plain object
+ */
+function createLocalStorage(store = {}) {
+    return {
+        store,
+        getItem: key => key in store ? store[key] : null,
+        setItem: (key, value) => { store[key] = String(value); },
+        removeItem: key => { delete store[key]; }
+    };
+}
+
+/**
+ * A sandbox with the named scripts loaded (all of them by default). Classes are read
+ * with `sandbox.get('TodoStorage')`. There is no BroadcastChannel, so nothing keeps the
+ * test process alive.
+ */
+function createSandbox({ scripts = SCRIPTS, globals = {} } = {}) {
+    const context = vm.createContext({
+        console,
+        setTimeout,
+        clearTimeout,
+        structuredClone,
+        URL,
+        CustomEvent,
+        window: new EventTarget(),
+        localStorage: createLocalStorage(),
+        ...globals
+    });
+
+    scripts.forEach(name => {
+        const file = path.join(SCRIPTS_DIR, `${name}.js`);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+
+    context.get = name => vm.runInContext(name, context);
+    return context;
+}
+
+/**
+ * A loaded TodoStorage on localStorage
+ */
+async function createStorage(options) {
+    const sandbox = createSandbox(options);
+    const storage = sandbox.get('new TodoStorage()');
+    await storage.ready;
+    return { sandbox, storage };
+}
+
+/**
+ * Values from a sandbox have its prototypes; compare them as plain data
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { createSandbox, createStorage, createLocalStorage, plain };
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, createStorage, plain } = require('./helpers');
+
+const TodoHistory = createSandbox({ scripts: ['history'] }).get('TodoHistory');
+
+// Collections without modification stamps, which every write (undo included) renews
+const state = storage => plain(['todos', 'trash'].map(name =>
+    storage.cache[name].map(({ fieldTimes, origin, ...record }) => record)
+));
+
+test('keeps only the changed records of a write', async () => {
+    const { storage } = await createStorage();
+    for (let index = 0; index < 20; index++) storage.addTodo({ title: `Todo ${index}` });
+
+    const [todo] = storage.getTodos();
+    storage.updateTodo(todo.id, { title: 'Renamed' });
+
+    const [entry] = storage.history.undoStack.slice(-1);
+    assert.deepStrictEqual(plain(entry.changes.map(change => change.collection)), ['todos']);
+    assert.deepStrictEqual(plain(entry.changes[0].records.map(record => record.id)), [todo.id]);
+    assert.strictEqual(entry.changes[0].records[0].before.title, todo.title);
+    assert.strictEqual(entry.changes[0].records[0].after.title, 'Renamed');
+    assert.strictEqual(entry.changes[0].order, null);
+});
+
+test('undoes and redoes adds, edits and deletes back to the same state', async () => {
+    const { storage } = await createStorage();
+    const states = [state(storage)];
+
+    const first = storage.addTodo({ title: 'First' });
+    states.push(state(storage));
+    storage.addTodo({ title: 'Second' });
+    states.push(state(storage));
+    storage.addTodo({ title: 'Third' });
+    states.push(state(storage));
+    storage.updateTodo(first.id, { completed: true, title: 'First, done' });
+    states.push(state(storage));
+    storage.deleteTodo(first.id);
+    states.push(state(storage));
+
+    for (let index = states.length - 2; index >= 0; index--) {
+        assert.ok(storage.history.undo());
+        assert.deepStrictEqual(state(storage), states[index]);
+    }
+    assert.strictEqual(storage.history.undo(), null);
+
+    for (let index = 1; index < states.length; index++) {
+        assert.ok(storage.history.redo());
+        assert.deepStrictEqual(state(storage), states[index]);
+    }
+    assert.strictEqual(storage.history.redo(), null);
+});
+
+test('puts moved records back in their old order', () => {
+    const before = ['a', 'b', 'c', 'd'].map(id => ({ id, title: id }));
+    const after = [before[2], before[0], { id: 'b', title: 'B' }, before[3]];
+
+    const change = TodoHistory.diff('todos', before, after);
+    assert.deepStrictEqual(plain(change.order), { before: ['a', 'b', 'c', 'd'], after: ['c', 'a', 'b', 'd'] });
+    assert.deepStrictEqual(plain(TodoHistory.rebuild(after, change, 'before')), before);
+    assert.deepStrictEqual(plain(TodoHistory.rebuild(before, change, 'after')), after);
+});
+
+test('puts removed and added records back at their positions', () => {
+    const before = ['a', 'b', 'c', 'd', 'e'].map(id => ({ id }));
+    const after = [{ id: 'new' }, before[0], before[2], before[4]];
+
+    const change = TodoHistory.diff('todos', before, after);
+    assert.strictEqual(change.order, null);
+    assert.deepStrictEqual(plain(TodoHistory.rebuild(after, change, 'before')), before);
+    assert.deepStrictEqual(plain(TodoHistory.rebuild(before, change, 'after')), after);
+    assert.strictEqual(TodoHistory.diff('todos', before, [...before]), null);
+});
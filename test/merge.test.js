@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, createStorage, plain } = require('./helpers');
+
+test('merging a record with itself gives it back unchanged', () => {
+    const TodoMerge = createSandbox().get('TodoMerge');
+    const unstamped = { id: 'inbox', name: 'Inbox', color: '#4F46E5' };
+    const stamped = { id: 'a', title: 'A', fieldTimes: { title: '2026-01-01T00:00:00.000Z#0@d1' }, origin: 'd1' };
+
+    assert.deepStrictEqual(plain(TodoMerge.mergeRecords(unstamped, { ...unstamped })), unstamped);
+    assert.deepStrictEqual(plain(TodoMerge.mergeRecords(stamped, { ...stamped })), stamped);
+});
+
+test('merging the stored data again reports no changes', async () => {
+    const { storage } = await createStorage();
+    storage.addTodo({ title: 'Buy milk' });
+    storage.trashTodos([storage.addTodo({ title: 'Old' }).id]);
+
+    const snapshot = JSON.parse(JSON.stringify(storage.cache));
+
+    for (let round = 0; round < 3; round++) {
+        assert.strictEqual(storage.mergeData(snapshot), 0, `round ${round + 1}`);
+    }
+});
+
+test('data merged from another device is taken over once', async () => {
+    const { storage: local } = await createStorage();
+    const { storage: remote } = await createStorage();
+    remote.addTodo({ title: 'From the other device' });
+
+    const data = JSON.parse(JSON.stringify(remote.cache));
+
+    assert.ok(local.mergeData(data) > 0);
+    assert.strictEqual(local.mergeData(data), 0);
+    assert.ok(local.getTodos().some(todo => todo.title === 'From the other device'));
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, createStorage, createLocalStorage, plain } = require('./helpers');
+
+const TodoMigrations = createSandbox({ scripts: ['migrations'] }).get('TodoMigrations');
+const CURRENT = '1.10.0';
+const CREATED = '2026-10-01T09:00:00.000Z';
+
+// Stored data as each version wrote it: every version adds to the one before
+const FIXTURES = [
+    ['0.0.0', () => ({ todos: [{ title: 'Legacy todo' }, null] })],
+    ['1.0.0', () => ({ todos: [{ id: 'a1', title: 'Write report', completed: false, createdAt: CREATED }] })],
+    ['1.1.0', data => ({ ...data, trash: [{ id: 't1', title: 'Old idea', completed: false, createdAt: CREATED, deletedAt: CREATED }] })],
+    ['1.2.0', data => addFields(data, { subtasks: [{ id: 's1', title: 'Outline', completed: true }] })],
+    ['1.3.0', data => addFields(data, { repeat: null, nextOccurrenceId: null })],
+    ['1.4.0', data => ({
+        ...addFields(data, { listId: 'inbox' }),
+        lists: [{ id: 'inbox', name: 'Inbox', emoji: '📥', color: '#4F46E5', createdAt: CREATED }]
+    })],
+    ['1.5.0', data => addFields(data, { order: 0 })],
+    ['1.6.0', data => addFields(data, { reminders: [] })],
+    ['1.7.0', data => addFields(data, { snoozedUntil: null })],
+    ['1.8.0', data => ({
+        ...addFields(data, { fieldTimes: { title: `${CREATED}@device` } }),
+        lists: data.lists.map(list => ({ ...list, fieldTimes: { name: `${CREATED}@device` } })),
+        tombstones: []
+    })],
+    ['1.9.0', data => ({ ...data, archive: [] })]
+];
+
+function addFields(data, fields) {
+    const add = record => ({ ...record, ...fields });
+    return { ...data, todos: data.todos.map(add), trash: data.trash.map(add) };
+}
+
+function fixture(version) {
+    let data = null;
+    for (const [fixtureVersion, build] of FIXTURES) {
+        data = build(data);
+        if (fixtureVersion === version) break;
+    }
+    return { ...data, settings: version === '0.0.0' ? {} : { version } };
+}
+
+function assertCurrent(data) {
+    assert.strictEqual(data.settings.version, CURRENT);
+    ['todos', 'trash', 'lists', 'tombstones', 'archive'].forEach(name => {
+        assert.ok(Array.isArray(data[name]), `${name} is an array`);
+    });
+
+    [...data.todos, ...data.trash].forEach(todo => {
+        assert.strictEqual(typeof todo.id, 'string');
+        assert.strictEqual(typeof todo.completed, 'boolean');
+        assert.ok(Array.isArray(todo.subtasks));
+        assert.ok('repeat' in todo);
+        assert.strictEqual(todo.listId, 'inbox');
+        assert.ok(Number.isFinite(todo.order));
+        assert.ok(Array.isArray(todo.reminders));
+        assert.ok('snoozedUntil' in todo);
+        assert.ok(todo.fieldTimes && typeof todo.fieldTimes === 'object');
+    });
+    data.lists.forEach(list => assert.ok(list.fieldTimes));
+}
+
+FIXTURES.forEach(([version]) => {
+    test(`migrates ${version} data to ${CURRENT}`, () => {
+        const data = plain(new TodoMigrations().run(fixture(version), version, CURRENT));
+
+        assertCurrent(data);
+        assert.deepStrictEqual(
+            data.todos.map(todo => todo.title),
+            [version === '0.0.0' ? 'Legacy todo' : 'Write report']
+        );
+    });
+
+    test(`loads ${version} data from localStorage`, async () => {
+        const { todos, trash, lists, settings } = fixture(version);
+        const store = {
+            'todo-pwa-data': JSON.stringify(todos),
+            'todo-pwa-settings': JSON.stringify(settings)
+        };
+        if (trash) store['todo-pwa-trash'] = JSON.stringify(trash);
+        if (lists) store['todo-pwa-lists'] = JSON.stringify(lists);
+
+        const { storage } = await createStorage({ globals: { localStorage: createLocalStorage(store) } });
+
+        assert.strictEqual(storage.backend, 'localStorage');
+        assert.strictEqual(storage.getSettings().version, CURRENT);
+        assert.strictEqual(storage.getTodos().length, 1);
+        assert.strictEqual(storage.getTrash().length, trash ? 1 : 0);
+        assert.strictEqual(JSON.parse(store['todo-pwa-settings']).version, CURRENT);
+    });
+});
+
+test('treats missing or malformed collections as empty', () => {
+    const data = plain(new TodoMigrations().run({
+        todos: [{ id: 'a1', title: 'Kept', completed: false, createdAt: CREATED }],
+        trash: { broken: true },
+        lists: 'inbox',
+        settings: { version: '1.1.0' }
+    }, '1.1.0', CURRENT));
+
+    assertCurrent(data);
+    assert.deepStrictEqual(data.trash, []);
+    assert.deepStrictEqual(data.lists.map(list => list.id), ['inbox']);
+    assert.deepStrictEqual(data.todos.map(todo => todo.title), ['Kept']);
+
+    const withoutTrash = plain(new TodoMigrations().run({ todos: [], settings: { version: '1.5.0' } }, '1.5.0', CURRENT));
+    assertCurrent(withoutTrash);
+});
+
+test('gives legacy IDs that are unsafe in markup new ones, references included', async () => {
+    const store = {
+        'todo-pwa-data': JSON.stringify([
+            { id: 'imported.1', title: 'Legacy', completed: false, createdAt: CREATED, listId: 'work list', nextOccurrenceId: 'next"1', subtasks: [{ id: 's 1', title: 'Step', completed: false }] },
+            { id: 'next"1', title: 'Next', completed: false, createdAt: CREATED, listId: 'work list' }
+        ]),
+        'todo-pwa-lists': JSON.stringify([{ id: 'work list', name: 'Work', createdAt: CREATED }]),
+        'todo-pwa-settings': JSON.stringify({
+            version: '1.0.0',
+            currentListId: 'work list',
+            savedViews: [{ id: "view'1", name: 'Work view', listId: 'work list' }]
+        })
+    };
+
+    const { storage } = await createStorage({ globals: { localStorage: createLocalStorage(store) } });
+    const [legacy, next] = storage.getTodos().sort((a, b) => a.title < b.title ? -1 : 1);
+    const work = storage.getLists().find(list => list.name === 'Work');
+
+    assert.ok(legacy && next && work);
+    [legacy.id, next.id, work.id, legacy.subtasks[0].id, storage.getSavedViews()[0].id].forEach(id => {
+        assert.ok(storage.isValidId(id), id);
+    });
+    assert.strictEqual(legacy.listId, work.id);
+    assert.strictEqual(next.listId, work.id);
+    assert.strictEqual(legacy.nextOccurrenceId, next.id);
+    assert.strictEqual(storage.getSettings().currentListId, work.id);
+    assert.strictEqual(storage.getSavedViews()[0].listId, work.id);
+
+    // Every device (and every import of the same file) picks the same new ID
+    assert.strictEqual(TodoMigrations.safeId('imported.1'), legacy.id);
+    assert.notStrictEqual(TodoMigrations.safeId('a.b'), TodoMigrations.safeId('a,b'));
+    assert.strictEqual(TodoMigrations.safeId('x'.repeat(100)).length <= 64, true);
+});
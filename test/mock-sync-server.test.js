@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const MockSyncServer = require('../tools/mock-sync-server.js');
+
+/**
+ * Status code of a GET for a raw path (sent as is, without URL normalisation)
+ */
+function status(port, rawPath) {
+    return new Promise((resolve, reject) => {
+        http.get({ port, path: rawPath }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        }).on('error', reject);
+    });
+}
+
+test('serves the app and nothing else from the repository', async t => {
+    const originalLog = console.log;
+    console.log = () => {};
+    const server = new MockSyncServer({ port: 0, latency: 0, failRate: 0, data: null }).listen();
+    t.after(() => {
+        console.log = originalLog;
+        server.close();
+    });
+
+    await new Promise(resolve => server.once('listening', resolve));
+    const { port } = server.address();
+
+    for (const rawPath of ['/', '/index.html', '/sw.js', '/manifest.json', '/js/app.js', '/css/styles.css']) {
+        assert.strictEqual(await status(port, rawPath), 200, rawPath);
+    }
+
+    for (const rawPath of [
+        '/.git/HEAD', '/requests.jsonl', '/tools/mock-sync-server.js', '/test/helpers.js',
+        '/js/../.git/HEAD', '/%2e%2e/%2e%2e/etc/passwd', '/js/%2e%2e/.git/HEAD', '/js'
+    ]) {
+        assert.strictEqual(await status(port, rawPath), 404, rawPath);
+    }
+
+    assert.strictEqual(await status(port, '/%E0%A4%A'), 400);
+    assert.strictEqual(await status(port, '/api/todos/%E0%A4%A'), 400);
+    assert.strictEqual(await status(port, '/api'), 200);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStorage } = require('./helpers');
+
+// Titles in manual order, top first
+const ordered = storage => storage.getTodos()
+    .sort((a, b) => a.order - b.order)
+    .map(todo => todo.title);
+
+async function createOrderedStorage(titles) {
+    const { storage } = await createStorage();
+    const todos = {};
+
+    // Each new todo goes on top, so add them bottom first
+    [...titles].reverse().forEach(title => {
+        todos[title] = storage.addTodo({ title });
+    });
+
+    return { storage, todos };
+}
+
+test('new todos go on top', async () => {
+    const { storage } = await createOrderedStorage(['A', 'B', 'C']);
+
+    assert.deepStrictEqual(ordered(storage), ['A', 'B', 'C']);
+    assert.strictEqual(storage.getTopOrder(), Math.min(...storage.getTodos().map(todo => todo.order)) - 1);
+});
+
+test('a moved todo takes the midpoint of its new neighbours', async () => {
+    const { storage, todos } = await createOrderedStorage(['A', 'B', 'C']);
+    const order = title => storage.getTodo(todos[title].id).order;
+
+    assert.ok(storage.reorderTodo(todos.C.id, todos.A.id, todos.B.id));
+    assert.deepStrictEqual(ordered(storage), ['A', 'C', 'B']);
+    assert.strictEqual(order('C'), (order('A') + order('B')) / 2);
+
+    // To either end: one step past the todo it ends up next to
+    assert.ok(storage.reorderTodo(todos.B.id, null, todos.A.id));
+    assert.strictEqual(order('B'), order('A') - 1);
+    assert.ok(storage.reorderTodo(todos.A.id, todos.C.id, null));
+    assert.strictEqual(order('A'), order('C') + 1);
+    assert.deepStrictEqual(ordered(storage), ['B', 'C', 'A']);
+
+    assert.strictEqual(storage.reorderTodo('missing', null, null), false);
+});
+
+test('renumbers once repeated moves use up the gap', async () => {
+    const { storage, todos } = await createOrderedStorage(['A', 'B', 'C']);
+    const renumberTodos = storage.renumberTodos.bind(storage);
+    let renumbered = 0;
+    storage.renumberTodos = list => {
+        renumbered++;
+        return renumberTodos(list);
+    };
+
+    // Each move into the gap below A halves it: 2^-20 is below MIN_ORDER_GAP
+    for (let move = 0; move < 40; move++) {
+        const mover = move % 2 ? todos.B : todos.C;
+        const [, below] = ordered(storage);
+        const next = storage.getTodos().find(todo => todo.title === below);
+
+        assert.ok(storage.reorderTodo(mover.id, todos.A.id, next.id));
+        assert.deepStrictEqual(ordered(storage).slice(0, 2), ['A', mover.title]);
+    }
+
+    assert.ok(renumbered >= 1 && renumbered <= 2, `renumbered ${renumbered} times`);
+
+    const orders = storage.getTodos().map(todo => todo.order);
+    assert.strictEqual(new Set(orders).size, orders.length);
+});
+
+test('renumbering gives whole numbers and keeps the order', async () => {
+    const { storage, todos } = await createOrderedStorage(['A', 'B', 'C']);
+    const gap = storage.constructor.MIN_ORDER_GAP / 4;
+
+    // A and B almost touching
+    storage.saveTodos(storage.getTodos().map(todo => todo.id === todos.B.id
+        ? { ...todo, order: storage.getTodo(todos.A.id).order + gap }
+        : todo));
+
+    assert.ok(storage.reorderTodo(todos.C.id, todos.A.id, todos.B.id));
+    assert.deepStrictEqual(ordered(storage), ['A', 'C', 'B']);
+
+    const orders = storage.getTodos().sort((a, b) => a.order - b.order).map(todo => todo.order);
+    assert.deepStrictEqual(orders, [0, 0.5, 1]);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, plain } = require('./helpers');
+
+const TodoQuery = createSandbox().get('TodoQuery');
+
+// Monday 19 October 2026, 10:00 local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+const parse = text => plain(TodoQuery.parse(text, NOW));
+const messages = text => parse(text).errors.map(error => error.message);
+
+test('parses fields, negation, OR and groups', () => {
+    const { ast, errors } = parse('tag:work -is:done ("quarterly report" OR due:<2026-11-01)');
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(ast, {
+        type: 'and',
+        children: [
+            { type: 'tag', value: 'work' },
+            { type: 'not', child: { type: 'is', value: 'done' } },
+            {
+                type: 'or',
+                children: [
+                    { type: 'text', value: 'quarterly report', phrase: true },
+                    { type: 'due', op: '<', value: '2026-11-01' }
+                ]
+            }
+        ]
+    });
+});
+
+test('reports unknown fields, including inherited object keys', () => {
+    ['constructor:x', '__proto__:x', 'toString:x', 'note:x'].forEach(text => {
+        const { ast, errors } = parse(text);
+
+        assert.strictEqual(ast, null, text);
+        assert.strictEqual(errors.length, 1, text);
+        assert.match(errors[0].message, /^Unknown field/);
+    });
+
+    // Quoted, the same text is an ordinary search
+    assert.deepStrictEqual(parse('"note:x"').ast, { type: 'text', value: 'note:x', phrase: true });
+});
+
+test('reports unknown statuses, including inherited object keys', () => {
+    ['is:constructor', 'is:__proto__', 'is:hasOwnProperty', 'is:later'].forEach(text => {
+        const { ast, errors } = parse(text);
+
+        assert.strictEqual(ast, null, text);
+        assert.strictEqual(errors.length, 1, text);
+        assert.match(errors[0].message, /^Unknown status/);
+    });
+
+    assert.deepStrictEqual(parse('IS:Completed').ast, { type: 'is', value: 'done' });
+});
+
+test('reports a dangling operator once', () => {
+    assert.deepStrictEqual(messages('( OR )'), ['OR needs a term on both sides']);
+    assert.deepStrictEqual(messages('OR milk'), ['OR needs a term on both sides']);
+    assert.deepStrictEqual(messages('milk OR'), ['OR needs a term on both sides']);
+    assert.deepStrictEqual(messages('NOT OR milk'), ['Nothing to negate', 'OR needs a term on both sides']);
+    assert.deepStrictEqual(messages('NOT AND milk'), ['Nothing to negate']);
+});
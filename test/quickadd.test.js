@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, plain } = require('./helpers');
+
+const TodoQuickAdd = createSandbox({ scripts: ['recurrence', 'quickadd'] }).get('TodoQuickAdd');
+
+// Monday 19 October 2026, 10:00 local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+const parse = text => plain(TodoQuickAdd.parse(text, NOW));
+
+test('pulls date, time, tags, priority and repeat rule out of the title', () => {
+    const result = parse('Pay rent tomorrow 9am #home !high every month');
+
+    assert.strictEqual(result.title, 'Pay rent');
+    assert.strictEqual(result.dueDate, '2026-10-20T09:00');
+    assert.deepStrictEqual(result.tags, ['home']);
+    assert.strictEqual(result.priority, 'high');
+    assert.strictEqual(result.repeat.freq, 'monthly');
+    assert.strictEqual(result.repeat.byMonthDay, 20);
+});
+
+test('reads ISO dates and leaves impossible ones in the title', () => {
+    assert.deepStrictEqual(
+        [parse('Launch 2026-03-02').title, parse('Launch 2026-03-02').dueDate],
+        ['Launch', '2026-03-02']
+    );
+    assert.deepStrictEqual(
+        [parse('Launch 2026-02-30').title, parse('Launch 2026-02-30').dueDate],
+        ['Launch 2026-02-30', null]
+    );
+    assert.strictEqual(parse('Party 2026-13-01').dueDate, null);
+});
+
+test('resolves relative days against the clock', () => {
+    assert.strictEqual(parse('Call mom friday').dueDate, '2026-10-23');
+    assert.strictEqual(parse('Call mom monday').dueDate, '2026-10-26');
+    assert.strictEqual(parse('Plan next week').dueDate, '2026-10-26');
+    assert.strictEqual(parse('Taxes in 2 weeks').dueDate, '2026-11-02');
+    assert.strictEqual(parse('Renew in a month').dueDate, '2026-11-19');
+});
+
+test('month names without a year mean the next such day', () => {
+    assert.strictEqual(parse('Party jan 5').dueDate, '2027-01-05');
+    assert.strictEqual(parse('Party 31 Dec').dueDate, '2026-12-31');
+    assert.strictEqual(parse('Party feb 30').dueDate, null);
+});
+
+test('a time alone is today, or tomorrow once it has passed', () => {
+    assert.strictEqual(parse('Lunch 12pm').dueDate, '2026-10-19T12:00');
+    assert.strictEqual(parse('Standup 9:30').dueDate, '2026-10-20T09:30');
+    assert.strictEqual(parse('Dinner tonight').dueDate, '2026-10-19T20:00');
+});
+
+test('repeat rules without a date start from the first matching day', () => {
+    const weekdays = parse('every weekday standup');
+    assert.strictEqual(weekdays.title, 'standup');
+    assert.strictEqual(weekdays.dueDate, '2026-10-19');
+    assert.deepStrictEqual(weekdays.repeat.byWeekday, [1, 2, 3, 4, 5]);
+
+    const saturdays = parse('Clean every saturday');
+    assert.strictEqual(saturdays.dueDate, '2026-10-24');
+    assert.deepStrictEqual(saturdays.repeat.byWeekday, [6]);
+});
+
+test('quoted text is kept as typed', () => {
+    const result = parse('"Monday Night Football" tomorrow !!!');
+
+    assert.strictEqual(result.title, 'Monday Night Football');
+    assert.strictEqual(result.dueDate, '2026-10-20');
+    assert.strictEqual(result.priority, 'urgent');
+});
+
+test('plain titles are left alone', () => {
+    assert.deepStrictEqual(parse('Read chapter 3'), {
+        title: 'Read chapter 3',
+        dueDate: null,
+        time: null,
+        tags: [],
+        priority: null,
+        repeat: null
+    });
+});
+
+test('reads short day names only after on, due, by or next', () => {
+    assert.deepStrictEqual([parse('Buy sun cream').title, parse('Buy sun cream').dueDate], ['Buy sun cream', null]);
+    assert.deepStrictEqual([parse('Fix the sat nav').title, parse('Fix the sat nav').dueDate], ['Fix the sat nav', null]);
+    assert.deepStrictEqual([parse('Email Wed and Fri').title, parse('Email Wed and Fri').dueDate], ['Email Wed and Fri', null]);
+
+    assert.deepStrictEqual([parse('Buy sun cream on sat').title, parse('Buy sun cream on sat').dueDate], ['Buy sun cream', '2026-10-24']);
+    assert.strictEqual(parse('Report due fri').dueDate, '2026-10-23');
+    assert.strictEqual(parse('Call next tue').dueDate, '2026-10-20');
+    assert.deepStrictEqual([parse('Call Mum friday').title, parse('Call Mum friday').dueDate], ['Call Mum', '2026-10-23']);
+    assert.strictEqual(parse('Call Mum on Monday').dueDate, '2026-10-26');
+});
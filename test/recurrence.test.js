@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, plain } = require('./helpers');
+
+const TodoRecurrence = createSandbox({ scripts: ['recurrence'] }).get('TodoRecurrence');
+
+// Follow a rule from a first due date, `count` occurrences long
+function series(rule, dueDate, count) {
+    const dates = [dueDate];
+    let current = TodoRecurrence.anchor(rule, dueDate);
+
+    while (dates.length < count) {
+        dates.push(TodoRecurrence.nextDate(current, dates[dates.length - 1]));
+        current = TodoRecurrence.advance(current);
+    }
+
+    return dates;
+}
+
+test('a monthly rule on the 31st comes back to the 31st after short months', () => {
+    assert.deepStrictEqual(series({ freq: 'monthly' }, '2026-01-31', 5), [
+        '2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31'
+    ]);
+});
+
+test('a yearly rule on Feb 29 returns to Feb 29 in leap years', () => {
+    assert.deepStrictEqual(series({ freq: 'yearly' }, '2028-02-29', 5), [
+        '2028-02-29', '2029-02-28', '2030-02-28', '2031-02-28', '2032-02-29'
+    ]);
+});
+
+test('anchoring keeps a day the rule already names', () => {
+    const rule = plain(TodoRecurrence.anchor({ freq: 'monthly', byMonthDay: -1 }, '2026-03-15'));
+    assert.strictEqual(rule.byMonthDay, -1);
+    assert.deepStrictEqual(series({ freq: 'monthly', byMonthDay: -1 }, '2026-01-31', 3), ['2026-01-31', '2026-02-28', '2026-03-31']);
+});
+
+test('times of day carry over to the next occurrence', () => {
+    assert.strictEqual(TodoRecurrence.nextDate({ freq: 'daily', interval: 2 }, '2026-10-30T09:15'), '2026-11-01T09:15');
+});
+
+test('weekly rules move to the next listed weekday', () => {
+    // 2026-10-19 is a Monday
+    assert.deepStrictEqual(series({ freq: 'weekly', byWeekday: [1, 3] }, '2026-10-19', 4), [
+        '2026-10-19', '2026-10-21', '2026-10-26', '2026-10-28'
+    ]);
+});
+
+test('series end at their until date or count', () => {
+    assert.strictEqual(TodoRecurrence.nextDate({ freq: 'daily', until: '2026-10-20' }, '2026-10-20'), null);
+    assert.strictEqual(TodoRecurrence.nextDate({ freq: 'daily', count: 2, occurrence: 2 }, '2026-10-20'), null);
+});
+
+test('parseDate rejects days that do not exist', () => {
+    assert.strictEqual(TodoRecurrence.parseDate('2026-02-30'), null);
+    assert.strictEqual(TodoRecurrence.parseDate('2026-13-01'), null);
+    assert.strictEqual(TodoRecurrence.parseDate('2027-02-29'), null);
+    assert.strictEqual(TodoRecurrence.formatDate(TodoRecurrence.parseDate('2028-02-29')), '2028-02-29');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSandbox, createStorage, plain } = require('./helpers');
+
+const TodoSearchIndex = createSandbox({ scripts: ['search'] }).get('TodoSearchIndex');
+
+const todo = (id, overrides = {}) => ({
+    id,
+    title: '',
+    description: '',
+    tags: [],
+    subtasks: [],
+    createdAt: '2026-10-01T09:00:00.000Z',
+    ...overrides
+});
+
+test('splits text into lowercase words, letters and digits only', () => {
+    assert.deepStrictEqual(plain(TodoSearchIndex.tokenize('Call Zoë re: Q3-report, 2x!')), ['call', 'zoë', 're', 'q3', 'report', '2x']);
+    assert.deepStrictEqual(plain(TodoSearchIndex.tokenize(null)), []);
+});
+
+test('indexes each word with its best field weight and re-indexes only changed todos', () => {
+    const index = new TodoSearchIndex();
+    const report = todo('a', { title: 'Quarterly report', description: 'report numbers', tags: ['work'] });
+    const groceries = todo('b', { title: 'Groceries', subtasks: [{ id: 's', title: 'Milk', completed: false }] });
+
+    index.sync([report, groceries]);
+    assert.strictEqual(index.postings.get('report').get('a'), TodoSearchIndex.FIELD_WEIGHTS.title);
+    assert.strictEqual(index.postings.get('work').get('a'), TodoSearchIndex.FIELD_WEIGHTS.tags);
+    assert.strictEqual(index.postings.get('milk').get('b'), TodoSearchIndex.FIELD_WEIGHTS.subtasks);
+
+    const entry = index.entries.get('b');
+    index.sync([{ ...report, title: 'Annual report' }, { ...groceries }]);
+    assert.strictEqual(index.entries.get('b'), entry);
+    assert.ok(index.postings.has('annual'));
+    assert.ok(!index.postings.has('quarterly'));
+
+    index.sync([groceries]);
+    assert.ok(!index.postings.has('report'));
+    assert.deepStrictEqual([...index.entries.keys()], ['b']);
+});
+
+test('finds exact words, prefixes, inner parts and typos, best first', () => {
+    const index = new TodoSearchIndex();
+    index.sync([
+        todo('exact', { title: 'report' }),
+        todo('prefix', { title: 'reporting' }),
+        todo('typo', { title: 'rpeort' }),
+        todo('other', { title: 'groceries' })
+    ]);
+
+    const results = index.lookup('report');
+    assert.deepStrictEqual([...results.keys()].sort(), ['exact', 'prefix', 'typo']);
+    assert.ok(results.get('exact').score > results.get('prefix').score);
+    assert.ok(results.get('prefix').score > results.get('typo').score);
+
+    // Short words must match exactly or by prefix
+    assert.deepStrictEqual([...index.lookup('rep').keys()].sort(), ['exact', 'prefix']);
+    assert.strictEqual(TodoSearchIndex.editDistance('teh', 'the', 2), 1);
+});
+
+test('ranks title hits above description hits and newer todos above older ones', async () => {
+    const { storage } = await createStorage();
+    const old = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString();
+
+    storage.addTodo({ title: 'Pay invoice', description: 'for the garden' });
+    storage.addTodo({ title: 'Garden party' });
+    const tools = storage.addTodo({ title: 'Garden tools' });
+    storage.saveTodos(storage.getTodos().map(item => item.id === tools.id ? { ...item, createdAt: old } : item));
+
+    const { todos, ranked } = storage.search('garden');
+    assert.strictEqual(ranked, true);
+    assert.deepStrictEqual(todos.map(item => item.title), ['Garden party', 'Garden tools', 'Pay invoice']);
+});
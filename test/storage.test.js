@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStorage, createLocalStorage, plain } = require('./helpers');
+
+test('records with IDs that could break out of markup are dropped', async () => {
+    const { storage } = await createStorage();
+    const todo = { title: 'Crafted', completed: false };
+    const crafted = "x');alert(1);('";
+
+    storage.mergeData({
+        todos: [
+            { ...todo, id: crafted },
+            { ...todo, id: 'ok-123', subtasks: [{ id: '"><img src=x>', title: 'Bad' }, { id: 's1', title: 'Good' }] }
+        ],
+        lists: [{ id: '<b>', name: 'Bad list' }]
+    });
+
+    assert.deepStrictEqual(storage.getTodos().map(entry => entry.id), ['ok-123']);
+    assert.deepStrictEqual(storage.getTodo('ok-123').subtasks.map(subtask => subtask.id), ['s1']);
+    assert.ok(!storage.getLists().some(list => list.id === '<b>'));
+});
+
+test('generated IDs pass validation', async () => {
+    const { storage } = await createStorage();
+
+    assert.ok(storage.isValidId(storage.generateId()));
+    assert.ok(storage.isValidId(storage.defaultListId));
+});
+
+test('the archive is searched and counted per list', async () => {
+    const { storage } = await createStorage();
+    const work = storage.addList({ name: 'Work' });
+    const done = title => {
+        const todo = storage.addTodo({ title, listId: title.startsWith('Work') ? work.id : undefined });
+        storage.updateTodo(todo.id, { completed: true });
+        return todo.id;
+    };
+
+    storage.archiveTodos([done('Work report'), done('Work review'), done('Groceries')]);
+
+    assert.deepStrictEqual(storage.searchArchive('', work.id).map(item => item.title).sort(), ['Work report', 'Work review']);
+    assert.deepStrictEqual(storage.searchArchive('review').map(item => item.title), ['Work review']);
+    assert.strictEqual(storage.getListStats()[work.id].archived, 2);
+    assert.strictEqual(storage.getListStats().all.archived, 3);
+    assert.strictEqual(storage.getTodos().length, 0);
+});
+
+test('frees space once when storage is full, then reports the failure', async () => {
+    const store = {};
+    const localStorage = createLocalStorage(store);
+    const { sandbox, storage } = await createStorage({ globals: { localStorage } });
+
+    storage.addTodo({ title: 'First' });
+    storage.addTodo({ title: 'Second' });
+    storage.getTodos().forEach(todo => storage.deleteTodo(todo.id));
+
+    const events = [];
+    sandbox.window.addEventListener('todo-storage-change', event => {
+        if (event.detail.type === 'quota_exceeded') events.push(plain(event.detail.data));
+    });
+
+    localStorage.setItem = () => {
+        const error = new Error('The quota has been exceeded');
+        error.name = 'QuotaExceededError';
+        throw error;
+    };
+
+    assert.strictEqual(storage.addTodo({ title: 'Too much' }), null);
+    assert.deepStrictEqual(events, [{ purged: 0, failed: true }]);
+    assert.strictEqual(storage.getTrash().length, 2);
+
+    // The next full-storage error gets its own cleanup
+    await storage.flush();
+    storage.addTodo({ title: 'Still too much' });
+    assert.strictEqual(events.length, 2);
+});
+
+test('clearing all data leaves tombstones and queues the deletions for sync', async () => {
+    const { storage } = await createStorage();
+    const kept = storage.addTodo({ title: 'Kept' });
+    const trashed = storage.addTodo({ title: 'Trashed' });
+    storage.deleteTodo(trashed.id);
+
+    const queued = [];
+    storage.isSyncEnabled = () => true;
+    storage.sync = { enqueue: async changes => { queued.push(...changes); } };
+
+    assert.strictEqual(storage.clearAll(), true);
+    await storage.flush();
+
+    assert.strictEqual(storage.getTodos().length, 0);
+    assert.strictEqual(storage.getTrash().length, 0);
+    const tombstones = storage.cache.tombstones.map(tombstone => `${tombstone.collection}/${tombstone.recordId}`);
+    assert.ok(tombstones.includes(`todos/${kept.id}`));
+    assert.ok(tombstones.includes(`trash/${trashed.id}`));
+
+    const deletions = queued.filter(change => change.op === 'delete').map(change => `${change.collection}/${change.recordId}`);
+    assert.ok(deletions.includes(`todos/${kept.id}`));
+    assert.ok(deletions.includes(`trash/${trashed.id}`));
+
+    // Merging the old records back in does not bring them back
+    storage.mergeData({ todos: [kept] });
+    assert.strictEqual(storage.getTodos().length, 0);
+});
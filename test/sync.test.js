@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStorage } = require('./helpers');
+
+/**
+ * A storage with sync turned on against a fake server: `fetch` answers the pull and
+ * queued outbox changes are collected in `queued`
+ */
+async function createSyncedStorage(fetch) {
+    const { sandbox, storage } = await createStorage();
+    const TodoSync = sandbox.get('TodoSync');
+    const queued = [];
+
+    storage.sync = new TodoSync({}, fetch);
+    storage.sync.enqueue = async changes => { queued.push(...changes); };
+    storage.isSyncEnabled = () => true;
+    storage.cache.settings.syncEndpoint = 'https://sync.example.com/api';
+
+    return { storage, queued };
+}
+
+const respond = body => async () => ({ ok: true, json: async () => body });
+
+test('a pull that cannot reach the server fails', async () => {
+    const { storage } = await createSyncedStorage(() => Promise.reject(new TypeError('Failed to fetch')));
+
+    await assert.rejects(storage.pullFromServer(), /Could not fetch data from the sync server/);
+});
+
+test('a pull the server answers with an error fails', async () => {
+    const { storage } = await createSyncedStorage(async () => ({ ok: false, status: 503 }));
+
+    await assert.rejects(storage.pullFromServer(), /Could not fetch data from the sync server/);
+});
+
+test('a pull whose merge fails fails', async () => {
+    const { storage } = await createSyncedStorage(respond({ todos: [] }));
+    storage.mergeData = () => null;
+
+    await assert.rejects(storage.pullFromServer(), /Could not merge data from the sync server/);
+});
+
+test('records merged from the server are not queued to go back', async () => {
+    const { storage: other } = await createStorage();
+    other.addTodo({ title: 'From another device' });
+    const server = { todos: other.cache.todos, lists: other.cache.lists };
+
+    const { storage, queued } = await createSyncedStorage(respond(server));
+    storage.addTodo({ title: 'Made here' });
+    await storage.pendingWrite;
+    queued.length = 0;
+
+    assert.ok(await storage.pullFromServer() > 0);
+    await storage.pendingWrite;
+
+    assert.deepStrictEqual(storage.getTodos().map(todo => todo.title).sort(), ['From another device', 'Made here']);
+    assert.deepStrictEqual(queued.filter(change => change.collection === 'todos'), []);
+});
+
+test('merged records that differ from the server copy are queued', async () => {
+    const { storage: other } = await createStorage();
+    const shared = other.addTodo({ title: 'Shared' });
+
+    const { storage, queued } = await createSyncedStorage(respond({ todos: other.cache.todos }));
+    await storage.pullFromServer();
+
+    // Both devices edit the todo; the other device's edit reaches the server first
+    storage.updateTodo(shared.id, { title: 'Renamed here' });
+    other.updateTodo(shared.id, { description: 'Notes from there' });
+    storage.sync.fetch = respond({ todos: other.cache.todos });
+    await storage.pendingWrite;
+    queued.length = 0;
+
+    await storage.pullFromServer();
+    await storage.pendingWrite;
+
+    const merged = storage.getTodo(shared.id);
+    assert.strictEqual(merged.title, 'Renamed here');
+    assert.strictEqual(merged.description, 'Notes from there');
+    assert.deepStrictEqual(queued.map(change => change.recordId), [shared.id]);
+    assert.strictEqual(queued[0].record.title, 'Renamed here');
+});
@@ -0,0 +1,256 @@
+/**
+ * Todo PWA - Mock Sync Server
+ * A small REST backend for trying server sync end to end without real infrastructure.
+ * Serves the app itself as well, so the service worker and Background Sync work on one origin.
+ *
+ *   node tools/mock-sync-server.js [--port 8787] [--latency 300] [--fail-rate 0.2] [--data sync-data.json]
+ *
+ * Then open http://localhost:8787/ and set the sync endpoint to http://localhost:8787/api.
+ *
+ *   GET    /api                     every collection
+ *   GET    /api/:collection         records of todos, trash, archive, lists or tombstones
+ *   GET    /api/:collection/:id     one record
+ *   PUT    /api/:collection/:id     create a record, or merge it into the stored one field by field
+ *   DELETE /api/:collection/:id     remove a record (404 if unknown)
+ *   POST   /api/_mock               change failure simulation, e.g. {"down": true} or {"failRate": 0.5}
+ *
+ * Only Node's built-in modules are used; data lives in memory unless --data is given.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const TodoMerge = require('../js/merge.js');
+
+const COLLECTIONS = ['todos', 'trash', 'archive', 'lists', 'tombstones'];
+const ROOT = path.resolve(__dirname, '..');
+
+// What the app is made of: everything else in the repository stays private
+const APP_FILES = ['index.html', 'sw.js', 'manifest.json'];
+const APP_DIRECTORIES = ['css', 'js', 'icons'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * Read --name value pairs from the command line
+ */
+function parseArgs(argv) {
+    const options = { port: 8787, latency: 0, failRate: 0, data: null };
+
+    for (let i = 0; i < argv.length; i += 2) {
+        const value = argv[i + 1];
+
+        switch (argv[i]) {
+            case '--port': options.port = Number(value); break;
+            case '--latency': options.latency = Number(value); break;
+            case '--fail-rate': options.failRate = Number(value); break;
+            case '--data': options.data = path.resolve(value); break;
+            default:
+                console.error(`Unknown option ${argv[i]}`);
+                process.exit(1);
+        }
+    }
+
+    return options;
+}
+
+class MockSyncServer {
+    constructor(options) {
+        this.options = { ...options, down: false };
+        this.store = this.load();
+    }
+
+    /**
+     * Load persisted records, or start empty
+     */
+    load() {
+        const store = {};
+        COLLECTIONS.forEach(name => {
+            store[name] = {};
+        });
+
+        if (this.options.data && fs.existsSync(this.options.data)) {
+            Object.assign(store, JSON.parse(fs.readFileSync(this.options.data, 'utf8')));
+        }
+
+        return store;
+    }
+
+    save() {
+        if (this.options.data) {
+            fs.writeFileSync(this.options.data, JSON.stringify(this.store, null, 2));
+        }
+    }
+
+    listen() {
+        const server = http.createServer((request, response) => {
+            this.handle(request, response).catch(error => {
+                console.error('Mock sync server:', error);
+                this.send(response, 500, { error: 'Internal error' });
+            });
+        });
+
+        server.listen(this.options.port, () => {
+            console.log(`Mock sync server: app on http://localhost:${this.options.port}/, ` +
+                `sync endpoint http://localhost:${this.options.port}/api`);
+        });
+
+        return server;
+    }
+
+    async handle(request, response) {
+        const url = new URL(request.url, `http://${request.headers.host}`);
+
+        if (url.pathname !== '/api' && !url.pathname.startsWith('/api/')) {
+            return this.serveFile(url.pathname, response);
+        }
+
+        // The app may be served from elsewhere during development
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, POST, OPTIONS');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+        if (request.method === 'OPTIONS') {
+            return this.send(response, 204);
+        }
+
+        let collection;
+        let id;
+        try {
+            [, , collection, id] = url.pathname.split('/').map(decodeURIComponent);
+        } catch (error) {
+            return this.send(response, 400, { error: 'Malformed path' });
+        }
+        const body = await this.readBody(request);
+
+        if (collection === '_mock' && request.method === 'POST') {
+            Object.assign(this.options, body);
+            console.log('Mock sync server: simulation', JSON.stringify(this.options));
+            return this.send(response, 200, this.options);
+        }
+
+        if (this.options.latency) {
+            await new Promise(resolve => setTimeout(resolve, this.options.latency));
+        }
+
+        if (this.options.down || Math.random() < this.options.failRate) {
+            console.log(`Mock sync server: ${request.method} ${url.pathname} -> 503 (simulated)`);
+            return this.send(response, 503, { error: 'Simulated failure' });
+        }
+
+        const status = this.route(request.method, collection, id, body, response);
+        console.log(`Mock sync server: ${request.method} ${url.pathname} -> ${status}`);
+    }
+
+    /**
+     * Apply a REST request to the store; returns the response status
+     */
+    route(method, collection, id, body, response) {
+        if (!collection) {
+            return method === 'GET' ? this.send(response, 200, this.store) : this.send(response, 405);
+        }
+
+        if (!COLLECTIONS.includes(collection)) {
+            return this.send(response, 404, { error: `Unknown collection "${collection}"` });
+        }
+
+        const records = this.store[collection];
+
+        if (!id) {
+            return method === 'GET' ? this.send(response, 200, Object.values(records)) : this.send(response, 405);
+        }
+
+        switch (method) {
+            case 'GET':
+                return records[id] ? this.send(response, 200, records[id]) : this.send(response, 404);
+            case 'PUT':
+                if (!body || body.id !== id) {
+                    return this.send(response, 400, { error: 'Body must be a record with a matching id' });
+                }
+                // Concurrent edits from several devices must not overwrite each other
+                records[id] = collection === 'tombstones'
+                    ? TodoMerge.mergeTombstones(records[id] ? [records[id]] : [], [body])[0]
+                    : TodoMerge.mergeRecords(records[id], body);
+                this.save();
+                return this.send(response, 200, records[id]);
+            case 'DELETE':
+                if (!records[id]) return this.send(response, 404);
+                delete records[id];
+                this.save();
+                return this.send(response, 204);
+            default:
+                return this.send(response, 405);
+        }
+    }
+
+    readBody(request) {
+        return new Promise((resolve, reject) => {
+            let data = '';
+            request.on('data', chunk => {
+                data += chunk;
+            });
+            request.on('end', () => {
+                try {
+                    resolve(data ? JSON.parse(data) : null);
+                } catch (error) {
+                    resolve(null);
+                }
+            });
+            request.on('error', reject);
+        });
+    }
+
+    send(response, status, body) {
+        if (body === undefined) {
+            response.writeHead(status);
+            response.end();
+        } else {
+            response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+            response.end(JSON.stringify(body));
+        }
+
+        return status;
+    }
+
+    /**
+     * Serve a file of the app (see APP_FILES and APP_DIRECTORIES), and nothing else
+     */
+    serveFile(pathname, response) {
+        let file;
+        try {
+            file = path.join(ROOT, pathname === '/' ? 'index.html' : decodeURIComponent(pathname));
+        } catch (error) {
+            response.writeHead(400);
+            response.end('Bad request');
+            return;
+        }
+
+        const [first, ...rest] = path.relative(ROOT, file).split(path.sep);
+        const isAppFile = rest.length === 0 ? APP_FILES.includes(first) : APP_DIRECTORIES.includes(first);
+
+        if (!isAppFile || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream'
+        });
+        fs.createReadStream(file).pipe(response);
+    }
+}
+
+if (require.main === module) {
+    new MockSyncServer(parseArgs(process.argv.slice(2))).listen();
+}
+
+module.exports = MockSyncServer;